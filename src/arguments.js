@@ -0,0 +1,91 @@
+// Validación de los argumentos de una llamada contra el `inputSchema` de la herramienta.
+// Cubre el subconjunto de JSON Schema que usan las herramientas: type (uno o varios),
+// enum, required, properties, items, additionalProperties (esquema o false), minimum y default.
+
+const { createTranslator } = require('./i18n.js');
+
+const defaultTranslator = createTranslator();
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return type === 'number' ? actual === 'number' || actual === 'integer' : actual === type;
+}
+
+// Valida `value` en `path`, añade los problemas a `errors` y devuelve el valor con los defaults aplicados
+function check(schema, value, path, errors, t) {
+  const label = path || t('arguments.root');
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => matchesType(value, type))) {
+      errors.push({ path: label, message: t('arguments.wrongType', { expected: types.join(' | '), actual: typeOf(value) }) });
+      return value;
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ path: label, message: t('arguments.notInEnum', { value: JSON.stringify(value), allowed: schema.enum.join(', ') }) });
+  }
+
+  if (schema.minimum !== undefined && typeof value === 'number' && value < schema.minimum) {
+    errors.push({ path: label, message: t('arguments.belowMinimum', { minimum: schema.minimum }) });
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    return value.map((item, index) => check(schema.items, item, `${path}[${index}]`, errors, t));
+  }
+
+  if (typeOf(value) === 'object' && (schema.properties || schema.required || schema.additionalProperties !== undefined)) {
+    const result = { ...value };
+    const properties = schema.properties || {};
+    const missing = (schema.required || []).filter(name => result[name] === undefined || result[name] === null);
+
+    for (const name of missing) {
+      errors.push({ path: path ? `${path}.${name}` : name, message: t('arguments.required') });
+    }
+
+    for (const [name, propertySchema] of Object.entries(properties)) {
+      if (result[name] === undefined) {
+        if (propertySchema.default !== undefined) result[name] = propertySchema.default;
+      } else if (!missing.includes(name)) {
+        result[name] = check(propertySchema, result[name], path ? `${path}.${name}` : name, errors, t);
+      }
+    }
+
+    if (schema.additionalProperties === false) {
+      for (const name of Object.keys(result).filter(key => !properties[key])) {
+        errors.push({ path: path ? `${path}.${name}` : name, message: t('arguments.unexpected') });
+      }
+    } else if (typeof schema.additionalProperties === 'object') {
+      for (const name of Object.keys(result).filter(key => !properties[key])) {
+        result[name] = check(schema.additionalProperties, result[name], path ? `${path}.${name}` : name, errors, t);
+      }
+    }
+    return result;
+  }
+
+  return value;
+}
+
+/**
+ * Valida los argumentos de una herramienta contra su `inputSchema`.
+ * Devuelve `{ valid, errors, warnings, value }`; `value` son los argumentos con
+ * los valores por defecto aplicados. Las propiedades no declaradas se aceptan
+ * salvo que el esquema tenga `additionalProperties: false`.
+ */
+function validateArguments(schema, args, t = defaultTranslator) {
+  const errors = [];
+  const value = check(schema, args ?? {}, '', errors, t);
+  return { valid: errors.length === 0, errors, warnings: [], value };
+}
+
+module.exports = {
+  validateArguments
+};
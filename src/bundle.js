@@ -0,0 +1,156 @@
+const YAML = require('yaml');
+const { generateId, getGraph } = require('./graph.js');
+
+// Bundles portables de flujos para moverlos entre instancias o guardarlos en git
+
+const BUNDLE_FORMAT = 'hiveflow-flow-bundle';
+const BUNDLE_VERSION = 1;
+const BUNDLE_FORMATS = ['json', 'yaml'];
+
+// Campos propios de la instancia de origen que no tienen sentido en otra
+const INSTANCE_FIELDS = [
+  '_id', '__v', 'id', 'userId', 'user', 'owner', 'ownerId', 'createdBy', 'updatedBy',
+  'workspaceId', 'organizationId', 'instanceId', 'createdAt', 'updatedAt',
+  'lastExecuted', 'lastExecutedAt', 'executionCount', 'status'
+];
+const SERVER_INSTANCE_FIELDS = ['_id', '__v', 'id', 'userId', 'status', 'isConnected', 'createdAt', 'updatedAt', 'lastConnected'];
+
+// Campos de `node.data` que pueden referenciar un servidor MCP por nombre
+const SERVER_REFERENCE_FIELDS = ['serverName', 'mcpServer', 'server'];
+
+const omit = (object, fields) =>
+  Object.fromEntries(Object.entries(object || {}).filter(([key]) => !fields.includes(key)));
+
+// Nombres de los servidores MCP a los que hacen referencia los nodos
+function referencedServers(nodes) {
+  const names = new Set();
+  for (const node of nodes) {
+    for (const field of SERVER_REFERENCE_FIELDS) {
+      const value = node?.data?.[field];
+      if (typeof value === 'string' && value) names.add(value);
+    }
+  }
+  return [...names];
+}
+
+// Metadatos del bundle que se pueden enviar al crear el flujo: sin los campos de
+// instancia, que un bundle manipulado podría usar para fijar el propietario o el ID
+function importMetadata(metadata) {
+  if (!metadata || typeof metadata !== 'object' || Array.isArray(metadata)) return {};
+  return omit(metadata, INSTANCE_FIELDS);
+}
+
+// Las variables de entorno suelen llevar secretos: se exportan solo sus nombres
+function exportServer(server) {
+  const exported = omit(server, SERVER_INSTANCE_FIELDS);
+  if (exported.env && typeof exported.env === 'object') {
+    exported.env = Object.fromEntries(Object.keys(exported.env).map(name => [name, '']));
+  }
+  return exported;
+}
+
+/**
+ * Crea el bundle de un flujo. `servers` son los servidores MCP de la instancia;
+ * se incluyen los que usan los nodos (o solo su nombre si no se encuentran).
+ */
+function createBundle(flow, servers = []) {
+  const { nodes, edges } = getGraph(flow);
+  const { name, description, nodes: _nodes, edges: _edges, ...rest } = flow;
+
+  return {
+    format: BUNDLE_FORMAT,
+    version: BUNDLE_VERSION,
+    exportedAt: new Date().toISOString(),
+    flow: {
+      name,
+      description: description || '',
+      nodes,
+      edges: edges.map(edge => omit(edge, ['_id'])),
+      metadata: omit(rest, INSTANCE_FIELDS)
+    },
+    mcpServers: referencedServers(nodes).map(serverName => {
+      const server = servers.find(item => item.name === serverName);
+      return server ? exportServer(server) : { name: serverName };
+    })
+  };
+}
+
+function serializeBundle(bundle, format = 'json') {
+  return format === 'yaml'
+    ? { text: YAML.stringify(bundle), mimeType: 'application/yaml' }
+    : { text: JSON.stringify(bundle, null, 2), mimeType: 'application/json' };
+}
+
+/**
+ * Lee un bundle ya parseado o como texto JSON/YAML. Devuelve `{ bundle }` o
+ * `{ error }` con la clave de i18n y sus parámetros si no es un bundle válido.
+ */
+function parseBundle(input) {
+  let bundle = input;
+  if (typeof input === 'string') {
+    try {
+      // YAML 1.2 es un superconjunto de JSON, así que sirve para ambos formatos
+      bundle = YAML.parse(input);
+    } catch (error) {
+      return { error: ['errors.bundleUnreadable', { message: error.message }] };
+    }
+  }
+
+  if (!bundle || typeof bundle !== 'object' || bundle.format !== BUNDLE_FORMAT) {
+    return { error: ['errors.notABundle', { format: BUNDLE_FORMAT }] };
+  }
+  if (bundle.version > BUNDLE_VERSION) {
+    return { error: ['errors.unsupportedBundleVersion', { version: bundle.version, supported: BUNDLE_VERSION }] };
+  }
+  if (!bundle.flow || typeof bundle.flow.name !== 'string') {
+    return { error: ['errors.bundleMissingFlow', {}] };
+  }
+  return { bundle };
+}
+
+/**
+ * Asigna IDs nuevos a los nodos y edges para que no choquen con los de la
+ * instancia de destino. Devuelve el grafo nuevo y el mapa de IDs antiguos a nuevos.
+ */
+function remapNodeIds({ nodes = [], edges = [] }) {
+  const nodeIdMap = {};
+  const remappedNodes = nodes.map(node => {
+    const id = generateId('node');
+    if (node.id) nodeIdMap[node.id] = id;
+    return { ...node, id };
+  });
+
+  const remappedEdges = edges.map(edge => ({
+    ...edge,
+    id: generateId('edge'),
+    // Los extremos desconocidos se dejan tal cual para que la validación los señale
+    source: nodeIdMap[edge.source] || edge.source,
+    target: nodeIdMap[edge.target] || edge.target
+  }));
+
+  return { nodes: remappedNodes, edges: remappedEdges, nodeIdMap };
+}
+
+// Problemas de validación de un grafo remapeado con los IDs de nodo del bundle,
+// que son los que conoce el usuario
+function restoreNodeIds(validation, nodeIdMap) {
+  const entries = Object.entries(nodeIdMap);
+  const restore = (issue) => ({
+    ...issue,
+    message: entries.reduce((message, [original, remapped]) => message.split(remapped).join(original), issue.message)
+  });
+  return { ...validation, errors: validation.errors.map(restore), warnings: validation.warnings.map(restore) };
+}
+
+module.exports = {
+  BUNDLE_FORMAT,
+  BUNDLE_VERSION,
+  BUNDLE_FORMATS,
+  createBundle,
+  serializeBundle,
+  parseBundle,
+  remapNodeIds,
+  restoreNodeIds,
+  referencedServers,
+  importMetadata
+};
@@ -0,0 +1,148 @@
+const axios = require('axios');
+
+// TTL de cada endpoint GET que se cachea; el resto de peticiones van siempre al backend.
+// Las ejecuciones cambian rápido, así que se cachean poco tiempo.
+const CACHE_RULES = [
+  { pattern: /^\/api\/flows$/, ttlMs: 10000 },
+  { pattern: /^\/api\/flows\/[^/]+$/, ttlMs: 10000 },
+  { pattern: /^\/api\/flows\/[^/]+\/processes$/, ttlMs: 3000 },
+  { pattern: /^\/api\/mcp\/servers$/, ttlMs: 30000 }
+];
+
+// Colecciones conocidas: una mutación dentro de una de ellas solo invalida
+// el listado y el elemento afectado (con sus subrecursos)
+const COLLECTIONS = ['/api/flows', '/api/mcp/servers'];
+
+const DEFAULT_MAX_ENTRIES = 500;
+
+const pathOf = (url) => new URL(url, 'http://localhost').pathname.replace(/\/+$/, '') || '/';
+
+/**
+ * Caché en memoria de respuestas GET con TTL por endpoint y revalidación con
+ * ETag/If-None-Match. Las entradas se indexan por la URL completa (con query).
+ */
+class ResponseCache {
+  constructor({ rules = CACHE_RULES, maxEntries = DEFAULT_MAX_ENTRIES } = {}) {
+    this.rules = rules;
+    this.maxEntries = maxEntries;
+    this.entries = new Map();
+  }
+
+  ttlFor(path) {
+    return this.rules.find(rule => rule.pattern.test(path))?.ttlMs || 0;
+  }
+
+  get(key) {
+    return this.entries.get(key);
+  }
+
+  set(key, entry) {
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    // Descartar las entradas más antiguas si se supera el tamaño máximo
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  isFresh(entry) {
+    return Date.now() - entry.storedAt < entry.ttlMs;
+  }
+
+  // Invalidar lo que puede haber cambiado tras una mutación en `path`
+  invalidate(path) {
+    const collection = COLLECTIONS.find(root => path === root || path.startsWith(`${root}/`));
+    if (!collection) {
+      this.clear();
+      return;
+    }
+
+    const itemId = path.slice(collection.length + 1).split('/')[0];
+    const item = itemId ? `${collection}/${itemId}` : null;
+
+    for (const [key, entry] of this.entries) {
+      if (entry.path === collection || (item && (entry.path === item || entry.path.startsWith(`${item}/`)))) {
+        this.entries.delete(key);
+      }
+    }
+  }
+
+  clear() {
+    this.entries.clear();
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+}
+
+/**
+ * Envuelve el adapter de axios para servir los GET desde `cache`. Las peticiones
+ * con `cache: false` en su config van siempre al backend (y refrescan la caché).
+ *
+ * El adapter trabaja con el cuerpo sin parsear, así que cada respuesta servida
+ * desde la caché se vuelve a transformar y nunca comparte objetos con otra.
+ */
+function createCachingAdapter(cache, adapter = axios.getAdapter(axios.defaults.adapter)) {
+  return async (config) => {
+    const method = (config.method || 'get').toLowerCase();
+    const url = axios.getUri(config);
+    const path = pathOf(config.url || '');
+
+    if (method !== 'get') {
+      const response = await adapter(config);
+      cache.invalidate(path);
+      return response;
+    }
+
+    const ttlMs = cache.ttlFor(path);
+    if (!ttlMs) return adapter(config);
+
+    const key = url;
+    const entry = cache.get(key);
+    const cached = () => ({ ...entry.response, config, cached: true });
+
+    if (entry && config.cache !== false && cache.isFresh(entry)) {
+      return cached();
+    }
+
+    // Revalidar con ETag: un 304 confirma que la copia en caché sigue siendo válida
+    let request = config;
+    if (entry?.etag) {
+      const validateStatus = config.validateStatus;
+      request = {
+        ...config,
+        headers: config.headers.concat({ 'If-None-Match': entry.etag }),
+        validateStatus: (status) => status === 304 || (validateStatus ? validateStatus(status) : status >= 200 && status < 300)
+      };
+    }
+
+    const response = await adapter(request);
+    if (response.status === 304 && entry) {
+      entry.storedAt = Date.now();
+      return cached();
+    }
+
+    if (response.status >= 200 && response.status < 300) {
+      cache.set(key, {
+        path,
+        ttlMs,
+        etag: response.headers?.etag,
+        storedAt: Date.now(),
+        response: {
+          data: response.data,
+          status: response.status,
+          statusText: response.statusText,
+          headers: response.headers
+        }
+      });
+    }
+    return response;
+  };
+}
+
+module.exports = {
+  ResponseCache,
+  createCachingAdapter,
+  CACHE_RULES
+};
@@ -0,0 +1,232 @@
+const fs = require('node:fs');
+const YAML = require('yaml');
+const { InvalidArgumentError } = require('commander');
+
+// Subcomandos de la CLI para usar HiveFlow desde la terminal o CI sin un asistente.
+// Cada uno llama a la misma herramienta que usaría un cliente MCP, así que
+// comparten validación de argumentos, política de herramientas y mensajes.
+
+const parseInteger = (value) => {
+  const parsed = Number(value);
+  if (!Number.isInteger(parsed)) throw new InvalidArgumentError('Not an integer.');
+  return parsed;
+};
+
+const collect = (value, previous = []) => [...previous, value];
+
+// `clave=valor`; el valor se interpreta como JSON si se puede (números, booleanos, objetos...)
+function parseKeyValue(value) {
+  const index = value.indexOf('=');
+  if (index <= 0) throw new InvalidArgumentError('Expected key=value.');
+  const raw = value.slice(index + 1);
+  let parsed = raw;
+  try {
+    parsed = JSON.parse(raw);
+  } catch (error) {
+    parsed = raw;
+  }
+  return [value.slice(0, index), parsed];
+}
+
+const collectKeyValue = (value, previous = {}) => {
+  const [key, parsed] = parseKeyValue(value);
+  return { ...previous, [key]: parsed };
+};
+
+const collectEnv = (value, previous = {}) => {
+  const index = value.indexOf('=');
+  if (index <= 0) throw new InvalidArgumentError('Expected NAME=value.');
+  return { ...previous, [value.slice(0, index)]: value.slice(index + 1) };
+};
+
+// Definición de un flujo o bundle exportado en un fichero JSON o YAML
+function readDefinition(path) {
+  let text;
+  try {
+    text = fs.readFileSync(path, 'utf8');
+  } catch (error) {
+    throw new InvalidArgumentError(`Cannot read ${path}: ${error.message}`);
+  }
+  try {
+    // YAML 1.2 es un superconjunto de JSON, así que sirve para ambos formatos
+    return YAML.parse(text);
+  } catch (error) {
+    throw new InvalidArgumentError(`Cannot parse ${path}: ${error.message}`);
+  }
+}
+
+// Quitar las claves sin valor para que se apliquen los defaults de cada herramienta
+const compact = (object) =>
+  Object.fromEntries(Object.entries(object).filter(([, value]) => value !== undefined));
+
+function withCommonOptions(command) {
+  return command
+    .option('--instance <name>', 'HiveFlow instance (profile) to use')
+    .option('--json', 'Print the structured result as JSON');
+}
+
+// Una ejecución esperada con --wait que falló o no terminó a tiempo
+const isUnfinishedRun = (result) =>
+  result.structuredContent?.succeeded === false || result.structuredContent?.timedOut === true;
+
+// Texto o JSON del resultado de una herramienta; los errores salen por stderr y con código 1,
+// y una ejecución fallida o sin terminar también termina con código 1
+function printResult(result, json) {
+  if (json) {
+    const error = result._meta?.['hiveflow/error'];
+    console.log(JSON.stringify(error ? { error } : result.structuredContent ?? {}, null, 2));
+  } else {
+    const text = result.content.map(item => item.text).join('\n');
+    if (result.isError) {
+      console.error(text);
+    } else {
+      console.log(text);
+    }
+  }
+  if (result.isError || isUnfinishedRun(result)) process.exitCode = 1;
+}
+
+/**
+ * Registra los subcomandos en `program`. `createServer(options)` crea el
+ * HiveFlowMCPServer con las opciones globales de la CLI.
+ */
+function registerCommands(program, { createServer }) {
+  // Ejecutar una herramienta con los argumentos que construye `toArgs` a partir del comando
+  const runTool = (toolName, toArgs) => async (...params) => {
+    const command = params[params.length - 1];
+    const options = command.optsWithGlobals();
+    const server = createServer(options);
+    try {
+      const args = compact({ ...toArgs(...params.slice(0, -2), command.opts()), instance: options.instance });
+      printResult(await server.handleToolCall(toolName, args), options.json);
+    } finally {
+      await server.stop();
+    }
+  };
+
+  const flows = program.command('flows').description('List, inspect and run flows');
+
+  withCommonOptions(flows.command('list'))
+    .description('List flows')
+    .option('--status <status>', 'Only flows with this status (active, paused, stopped, draft)')
+    .option('--limit <count>', 'Maximum flows to return', parseInteger)
+    .option('--cursor <cursor>', 'Cursor returned as nextCursor by the previous page')
+    .action(runTool('list_flows', ({ status, limit, cursor }) => ({ status, limit, cursor })));
+
+  withCommonOptions(flows.command('get'))
+    .description('Show the details of a flow; --json prints it with its nodes and connections')
+    .argument('<flowId>', 'Flow ID')
+    .action(runTool('get_flow', (flowId) => ({ flowId })));
+
+  withCommonOptions(flows.command('run'))
+    .description('Execute a flow')
+    .argument('<flowId>', 'Flow ID')
+    .option('--input <key=value>', 'Input for the flow; repeat for several (values are parsed as JSON when possible)', collectKeyValue)
+    .option('--wait', 'Wait for the execution to finish and show its result')
+    .option('--wait-timeout <ms>', 'Maximum time to wait with --wait', parseInteger)
+    .option('--dry-run', 'Show the request that would be sent without executing the flow')
+    .action(runTool('execute_flow', (flowId, { input, wait, waitTimeout, dryRun }) => ({
+      flowId,
+      inputs: input,
+      wait,
+      timeoutMs: waitTimeout,
+      dryRun
+    })));
+
+  withCommonOptions(flows.command('diff'))
+    .description('Show what changed from one flow to another flow or to a local definition')
+    .argument('<flowId>', 'Flow to compare from')
+    .argument('[otherFlowId]', 'Flow to compare with')
+    .option('--file <path>', 'JSON or YAML flow definition (or export_flow bundle) to compare with instead of another flow', readDefinition)
+    .option('--include-positions', 'Also report nodes that were only moved')
+    .action(runTool('diff_flows', (flowId, otherFlowId, { file, includePositions }) => ({
+      flowId,
+      otherFlowId,
+      definition: file,
+      includePositions
+    })));
+
+  for (const [action, toolName, description] of [
+    ['pause', 'pause_flow', 'Pause a running flow'],
+    ['resume', 'resume_flow', 'Resume a paused flow']
+  ]) {
+    withCommonOptions(flows.command(action))
+      .description(description)
+      .argument('<flowId>', 'Flow ID')
+      .option('--dry-run', 'Show the request that would be sent without changing the flow')
+      .action(runTool(toolName, (flowId, { dryRun }) => ({ flowId, dryRun })));
+  }
+
+  withCommonOptions(program.command('executions'))
+    .description('List the executions of a flow, most recent first')
+    .argument('<flowId>', 'Flow ID')
+    .option('--status <status>', 'Only executions with this status')
+    .option('--since <date>', 'Only executions started at or after this date (ISO 8601)')
+    .option('--until <date>', 'Only executions started at or before this date (ISO 8601)')
+    .option('--limit <count>', 'Maximum executions to return', parseInteger)
+    .option('--cursor <cursor>', 'Cursor returned as nextCursor by the previous page')
+    .action(runTool('get_flow_executions', (flowId, { status, since, until, limit, cursor }) => ({
+      flowId,
+      status,
+      since,
+      until,
+      limit,
+      cursor
+    })));
+
+  const mcpServers = program.command('mcp-servers').description('Manage the MCP servers registered in HiveFlow');
+
+  withCommonOptions(mcpServers.command('list'))
+    .description('List MCP servers')
+    .option('--limit <count>', 'Maximum servers to return', parseInteger)
+    .option('--cursor <cursor>', 'Cursor returned as nextCursor by the previous page')
+    .action(runTool('list_mcp_servers', ({ limit, cursor }) => ({ limit, cursor })));
+
+  withCommonOptions(mcpServers.command('add'))
+    .description('Register a new MCP server')
+    .argument('<name>', 'Server name')
+    .requiredOption('--command <command>', 'Command that starts the server')
+    .option('--arg <value>', 'Argument for the command; repeat for several', collect)
+    .option('--env <NAME=value>', 'Environment variable for the server; repeat for several', collectEnv)
+    .option('--description <text>', 'Server description')
+    .option('--dry-run', 'Show the request that would be sent without registering the server')
+    .action(runTool('create_mcp_server', (name, { command, arg, env, description, dryRun }) => ({
+      name,
+      command,
+      args: arg,
+      env,
+      description,
+      dryRun
+    })));
+
+  withCommonOptions(program.command('doctor'))
+    .description('Check the API URL, the API key and that HiveFlow is reachable')
+    .action(async (_options, command) => {
+      const options = command.optsWithGlobals();
+      const server = createServer(options, { requireApiKey: false });
+      try {
+        const names = options.instance ? [options.instance] : Object.keys(server.instances);
+        const reports = [];
+        for (const name of names.length > 0 ? names : [undefined]) {
+          reports.push(await server.diagnose(name));
+        }
+
+        if (options.json) {
+          console.log(JSON.stringify(reports.length === 1 ? reports[0] : reports, null, 2));
+        } else {
+          console.log(reports.map(report => server.formatDiagnostics(report)).join('\n\n'));
+        }
+        if (reports.some(report => !report.ok)) process.exitCode = 1;
+      } catch (error) {
+        console.error(`❌ Error: ${error.message}`);
+        process.exitCode = 1;
+      } finally {
+        await server.stop();
+      }
+    });
+}
+
+module.exports = {
+  registerCommands,
+  parseKeyValue
+};
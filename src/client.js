@@ -0,0 +1,226 @@
+const axios = require('axios');
+const { createTranslator } = require('./i18n.js');
+const { HiveFlowError, ERROR_CODES, fromBackendResponse } = require('./errors.js');
+const { ResponseCache, createCachingAdapter } = require('./cache.js');
+
+const DEFAULT_HTTP_OPTIONS = {
+  timeoutMs: 30000,
+  retries: 3,
+  retryDelayMs: 500,
+  maxRetryDelayMs: 10000,
+  circuitThreshold: 5,
+  circuitResetMs: 30000,
+  cache: true
+};
+
+const IDEMPOTENT_METHODS = ['get', 'head', 'options'];
+const RETRYABLE_STATUSES = [429, 502, 503, 504];
+const NETWORK_ERROR_CODES = ['ECONNREFUSED', 'ECONNRESET', 'ETIMEDOUT', 'ECONNABORTED', 'EAI_AGAIN', 'ENOTFOUND', 'EPIPE'];
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Fallos que indican que el backend no está sano (cuentan para el circuit breaker)
+function isBackendFailure(error) {
+  if (!error.response) return true;
+  return error.response.status >= 500;
+}
+
+// Solo se repiten las peticiones idempotentes (GET, HEAD...) o las marcadas con
+// `idempotent: true`: aunque un 429 debería indicar que no se procesó, repetir un
+// POST /execute podría lanzar el flujo dos veces
+function isRetryable(error, config) {
+  const method = (config.method || 'get').toLowerCase();
+  if (!IDEMPOTENT_METHODS.includes(method) && config.idempotent !== true) return false;
+  if (!error.response) return NETWORK_ERROR_CODES.includes(error.code);
+  return RETRYABLE_STATUSES.includes(error.response.status);
+}
+
+// Retry-After puede venir en segundos o como fecha HTTP
+function parseRetryAfter(value) {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+// Backoff exponencial con jitter completo
+function backoffDelay(attempt, { retryDelayMs, maxRetryDelayMs }) {
+  const ceiling = Math.min(maxRetryDelayMs, retryDelayMs * 2 ** attempt);
+  return Math.round(Math.random() * ceiling);
+}
+
+/**
+ * Circuit breaker: tras `threshold` fallos consecutivos del backend se abre
+ * durante `resetMs` y las peticiones fallan inmediatamente. Después deja pasar
+ * una petición de prueba (half-open) que decide si se cierra o se vuelve a abrir.
+ */
+class CircuitBreaker {
+  constructor({ threshold, resetMs }) {
+    this.threshold = threshold;
+    this.resetMs = resetMs;
+    this.failures = 0;
+    this.state = 'closed';
+    this.openedAt = 0;
+    this.trialInFlight = false;
+  }
+
+  // Devuelve los ms que faltan para reintentar si el circuito está abierto, o 0 si se puede pasar
+  check() {
+    if (this.state === 'closed') return 0;
+
+    const remaining = this.openedAt + this.resetMs - Date.now();
+    if (remaining > 0) return remaining;
+
+    if (this.trialInFlight) return this.resetMs;
+    this.state = 'half-open';
+    this.trialInFlight = true;
+    return 0;
+  }
+
+  recordSuccess() {
+    this.failures = 0;
+    this.state = 'closed';
+    this.trialInFlight = false;
+  }
+
+  recordFailure() {
+    this.failures += 1;
+    this.trialInFlight = false;
+    if (this.state === 'half-open' || this.failures >= this.threshold) {
+      this.state = 'open';
+      this.openedAt = Date.now();
+    }
+  }
+}
+
+/**
+ * Crea el cliente HTTP de una instancia de HiveFlow con timeouts, reintentos
+ * con backoff para peticiones idempotentes, soporte de Retry-After en 429/503,
+ * circuit breaker y caché de respuestas GET (desactivable con `cache: false`).
+ * `adapter` sustituye al adapter HTTP de axios (p. ej. el backend de `--mock`).
+ */
+function createHiveFlowClient(instance, options = {}) {
+  const settings = { ...DEFAULT_HTTP_OPTIONS, ...options };
+  const t = settings.t || createTranslator();
+
+  const headers = {
+    'Authorization': `ApiKey ${instance.apiKey}`,
+    'Content-Type': 'application/json'
+  };
+  if (instance.instanceId) {
+    headers['X-HiveFlow-Instance-Id'] = instance.instanceId;
+  }
+
+  const client = axios.create({
+    baseURL: instance.apiUrl,
+    headers,
+    timeout: settings.timeoutMs
+  });
+
+  if (settings.adapter) {
+    client.defaults.adapter = settings.adapter;
+  }
+
+  if (settings.cache) {
+    client.cache = new ResponseCache();
+    client.defaults.adapter = createCachingAdapter(client.cache, settings.adapter);
+  }
+
+  const breaker = settings.circuitThreshold > 0
+    ? new CircuitBreaker({ threshold: settings.circuitThreshold, resetMs: settings.circuitResetMs })
+    : null;
+  client.circuitBreaker = breaker;
+
+  client.interceptors.request.use((config) => {
+    const remaining = breaker ? breaker.check() : 0;
+    if (remaining > 0) {
+      const error = new Error(t('errors.circuitOpen', {
+        url: instance.apiUrl,
+        seconds: Math.ceil(remaining / 1000),
+        failures: breaker.failures
+      }));
+      error.code = 'CIRCUIT_OPEN';
+      error.config = config;
+      throw error;
+    }
+    return config;
+  });
+
+  client.interceptors.response.use(
+    (response) => {
+      // Las respuestas servidas desde la caché no dicen nada de la salud del backend
+      if (!response.cached) breaker?.recordSuccess();
+      // Algunos endpoints responden 200 con `success: false`
+      if (response.data?.success === false) {
+        throw fromBackendResponse(response, t);
+      }
+      return response;
+    },
+    async (error) => {
+      const config = error.config;
+      if (!config || error.code === 'CIRCUIT_OPEN') throw error;
+
+      if (breaker) {
+        if (isBackendFailure(error)) {
+          const wasOpen = breaker.state === 'open';
+          breaker.recordFailure();
+          if (!wasOpen && breaker.state === 'open') {
+            settings.logger?.warn('Circuit breaker opened', { url: instance.apiUrl, failures: breaker.failures });
+          }
+        } else {
+          breaker.recordSuccess();
+        }
+      }
+
+      const attempt = config.retryAttempt || 0;
+      const method = (config.method || 'get').toLowerCase();
+      if (attempt >= settings.retries || !isRetryable(error, config)) {
+        throw error;
+      }
+
+      const retryAfter = parseRetryAfter(error.response?.headers?.['retry-after']);
+      const delay = retryAfter !== null
+        ? Math.min(retryAfter, settings.maxRetryDelayMs)
+        : backoffDelay(attempt, settings);
+
+      settings.logger?.debug('Retrying HiveFlow request', {
+        method: method.toUpperCase(),
+        url: config.url,
+        status: error.response?.status,
+        code: error.code,
+        attempt: attempt + 1,
+        delayMs: delay
+      });
+      await sleep(delay);
+      return client.request({ ...config, retryAttempt: attempt + 1 });
+    }
+  );
+
+  return client;
+}
+
+/**
+ * Crea un tag de template para construir rutas del API con cada valor interpolado
+ * codificado como un segmento: `` apiPath`/api/flows/${flowId}/execute` ``.
+ * Los segmentos vacíos o `.`/`..` se rechazan para que un ID no pueda apuntar a
+ * otro endpoint del backend.
+ */
+function createPathBuilder(t = createTranslator()) {
+  return (strings, ...segments) => strings.reduce((path, part, index) => {
+    if (index === 0) return part;
+    const segment = segments[index - 1];
+    const text = typeof segment === 'number' ? String(segment) : segment;
+    if (typeof text !== 'string' || text === '' || text === '.' || text === '..') {
+      throw new HiveFlowError(ERROR_CODES.VALIDATION, t('errors.invalidPathSegment', { value: JSON.stringify(segment) ?? String(segment) }));
+    }
+    return `${path}${encodeURIComponent(text)}${part}`;
+  }, '');
+}
+
+module.exports = {
+  createHiveFlowClient,
+  createPathBuilder,
+  CircuitBreaker,
+  DEFAULT_HTTP_OPTIONS
+};
@@ -0,0 +1,103 @@
+const { getGraph } = require('./graph.js');
+
+// Diferencias entre dos versiones de un flujo: campos del flujo, nodos añadidos,
+// eliminados o modificados (con cada campo cambiado) y edges. Los nodos se emparejan
+// por ID y los edges por sus extremos, que es lo que se conserva entre versiones.
+
+// Campos del flujo que se comparan; el resto dependen de la instancia
+const FLOW_FIELDS = ['name', 'description', 'status'];
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const edgeKey = (edge) =>
+  [edge.source, edge.sourceHandle || '', edge.target, edge.targetHandle || ''].join('|');
+
+const nodeSummary = (node) => ({ id: node.id, type: node.type || null, label: node.data?.label || null });
+
+const edgeSummary = (edge) => ({
+  id: edge.id || null,
+  source: edge.source,
+  target: edge.target,
+  ...(edge.sourceHandle && { sourceHandle: edge.sourceHandle }),
+  ...(edge.targetHandle && { targetHandle: edge.targetHandle })
+});
+
+// Añade a `changes` un `{ path, before, after }` por cada valor distinto; los
+// objetos se recorren campo a campo y los arrays posición a posición
+function compareValues(before, after, path, changes) {
+  if (isPlainObject(before) && isPlainObject(after)) {
+    const keys = [...new Set([...Object.keys(before), ...Object.keys(after)])];
+    keys.forEach(key => compareValues(before[key], after[key], path ? `${path}.${key}` : key, changes));
+    return;
+  }
+  if (Array.isArray(before) && Array.isArray(after)) {
+    for (let index = 0; index < Math.max(before.length, after.length); index++) {
+      compareValues(before[index], after[index], `${path}[${index}]`, changes);
+    }
+    return;
+  }
+  if (JSON.stringify(before) !== JSON.stringify(after)) {
+    changes.push({ path, before: before ?? null, after: after ?? null });
+  }
+}
+
+/**
+ * Compara `before` con `after` (flujos con `nodes` y `edges`). Con
+ * `ignorePositions` no cuenta como cambio mover un nodo en el editor.
+ * Devuelve `{ identical, flow, nodes: { added, removed, modified }, edges: { added, removed, modified } }`.
+ */
+function diffFlows(before, after, { ignorePositions = true } = {}) {
+  const flow = [];
+  for (const field of FLOW_FIELDS) {
+    // Una definición local sin el campo no lo cambia (p. ej. sin `status`)
+    if (after?.[field] === undefined) continue;
+    if ((before?.[field] ?? null) !== (after[field] ?? null)) {
+      flow.push({ path: field, before: before?.[field] ?? null, after: after[field] ?? null });
+    }
+  }
+
+  const beforeGraph = getGraph(before);
+  const afterGraph = getGraph(after);
+
+  const beforeNodes = new Map(beforeGraph.nodes.map(node => [node.id, node]));
+  const afterNodes = new Map(afterGraph.nodes.map(node => [node.id, node]));
+  const nodes = {
+    added: afterGraph.nodes.filter(node => !beforeNodes.has(node.id)).map(nodeSummary),
+    removed: beforeGraph.nodes.filter(node => !afterNodes.has(node.id)).map(nodeSummary),
+    modified: []
+  };
+  for (const node of afterGraph.nodes.filter(item => beforeNodes.has(item.id))) {
+    const { id, position, ...previous } = beforeNodes.get(node.id);
+    const { id: _id, position: nextPosition, ...next } = node;
+    const changes = [];
+    compareValues(previous, next, '', changes);
+    if (!ignorePositions) compareValues(position, nextPosition, 'position', changes);
+    if (changes.length > 0) nodes.modified.push({ ...nodeSummary(node), changes });
+  }
+
+  const beforeEdges = new Map(beforeGraph.edges.map(edge => [edgeKey(edge), edge]));
+  const afterEdges = new Map(afterGraph.edges.map(edge => [edgeKey(edge), edge]));
+  const edges = {
+    added: afterGraph.edges.filter(edge => !beforeEdges.has(edgeKey(edge))).map(edgeSummary),
+    removed: beforeGraph.edges.filter(edge => !afterEdges.has(edgeKey(edge))).map(edgeSummary),
+    modified: []
+  };
+  for (const edge of afterGraph.edges.filter(item => beforeEdges.has(edgeKey(item)))) {
+    // El ID del edge cambia al importar o recrear la conexión: no es un cambio
+    const { id, _id, ...previous } = beforeEdges.get(edgeKey(edge));
+    const { id: nextId, _id: nextMongoId, ...next } = edge;
+    const changes = [];
+    compareValues(previous, next, '', changes);
+    if (changes.length > 0) edges.modified.push({ ...edgeSummary(edge), changes });
+  }
+
+  const identical = flow.length === 0 &&
+    [nodes, edges].every(group => group.added.length === 0 && group.removed.length === 0 && group.modified.length === 0);
+
+  return { identical, flow, nodes, edges };
+}
+
+module.exports = {
+  FLOW_FIELDS,
+  diffFlows
+};
@@ -0,0 +1,117 @@
+const { createTranslator } = require('./i18n.js');
+
+// Códigos de error estables que devuelven herramientas y recursos.
+// Los clientes pueden decidir qué hacer según el código sin analizar el mensaje.
+const ERROR_CODES = {
+  AUTH_FAILED: 'AUTH_FAILED',
+  FORBIDDEN: 'FORBIDDEN',
+  NOT_FOUND: 'NOT_FOUND',
+  VALIDATION: 'VALIDATION',
+  CONFLICT: 'CONFLICT',
+  RATE_LIMITED: 'RATE_LIMITED',
+  TIMEOUT: 'TIMEOUT',
+  BACKEND_UNAVAILABLE: 'BACKEND_UNAVAILABLE',
+  BACKEND_ERROR: 'BACKEND_ERROR',
+  UNKNOWN_INSTANCE: 'UNKNOWN_INSTANCE',
+  UNKNOWN_TOOL: 'UNKNOWN_TOOL',
+  CANCELLED: 'CANCELLED',
+  INTERNAL: 'INTERNAL'
+};
+
+const TIMEOUT_CODES = ['ECONNABORTED', 'ETIMEDOUT'];
+
+/**
+ * Error con código estable. `hint` sugiere cómo resolverlo, `status` es el
+ * estado HTTP del backend (si lo hay) y `details` datos adicionales.
+ */
+class HiveFlowError extends Error {
+  constructor(code, message, { hint, status, details, cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = 'HiveFlowError';
+    this.code = code;
+    this.hint = hint;
+    this.status = status;
+    this.details = details;
+  }
+
+  toJSON() {
+    const json = { code: this.code, message: this.message };
+    if (this.hint) json.hint = this.hint;
+    if (this.status) json.status = this.status;
+    if (this.details) json.details = this.details;
+    return json;
+  }
+}
+
+function codeForStatus(status) {
+  if (status === 401) return ERROR_CODES.AUTH_FAILED;
+  if (status === 403) return ERROR_CODES.FORBIDDEN;
+  if (status === 404) return ERROR_CODES.NOT_FOUND;
+  if (status === 400 || status === 422) return ERROR_CODES.VALIDATION;
+  if (status === 409) return ERROR_CODES.CONFLICT;
+  if (status === 429) return ERROR_CODES.RATE_LIMITED;
+  if (status === 408 || status === 504) return ERROR_CODES.TIMEOUT;
+  if (status === 502 || status === 503) return ERROR_CODES.BACKEND_UNAVAILABLE;
+  return ERROR_CODES.BACKEND_ERROR;
+}
+
+// Mensaje que envía el backend en `{ error }` o `{ message }`, si es texto
+function backendMessage(data) {
+  if (!data || typeof data !== 'object') return undefined;
+  if (typeof data.error === 'string' && data.error) return data.error;
+  if (typeof data.message === 'string' && data.message) return data.message;
+  return undefined;
+}
+
+/**
+ * Convierte cualquier error (de axios, del circuit breaker, del backend o del
+ * propio servidor) en un HiveFlowError con código, mensaje traducido y pista.
+ */
+function toHiveFlowError(error, t = createTranslator()) {
+  const url = error?.config?.baseURL;
+  const hint = (code) => t(`errors.hints.${code}`, { url });
+
+  if (error instanceof HiveFlowError) {
+    if (error.hint === undefined) error.hint = hint(error.code);
+    return error;
+  }
+
+  const create = (code, message, extra = {}) =>
+    new HiveFlowError(code, message || t(`errors.codes.${code}`), { hint: hint(code), cause: error, ...extra });
+
+  if (error?.code === 'CIRCUIT_OPEN') {
+    return create(ERROR_CODES.BACKEND_UNAVAILABLE, error.message);
+  }
+
+  if (error?.isAxiosError && !error.response) {
+    if (TIMEOUT_CODES.includes(error.code)) {
+      return create(ERROR_CODES.TIMEOUT, t('errors.codes.TIMEOUT'));
+    }
+    return create(ERROR_CODES.BACKEND_UNAVAILABLE, t('errors.backendUnavailable', { url }));
+  }
+
+  if (error?.response) {
+    const { status, data } = error.response;
+    return create(codeForStatus(status), backendMessage(data), { status });
+  }
+
+  return create(ERROR_CODES.INTERNAL, error?.message);
+}
+
+/**
+ * Error para respuestas 2xx en las que el backend indica `success: false`.
+ */
+function fromBackendResponse(response, t = createTranslator()) {
+  return new HiveFlowError(
+    ERROR_CODES.BACKEND_ERROR,
+    backendMessage(response.data) || t('errors.codes.BACKEND_ERROR'),
+    { hint: t('errors.hints.BACKEND_ERROR', { url: response.config?.baseURL }), status: response.status }
+  );
+}
+
+module.exports = {
+  ERROR_CODES,
+  HiveFlowError,
+  toHiveFlowError,
+  fromBackendResponse
+};
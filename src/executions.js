@@ -0,0 +1,101 @@
+// Detalle de una ejecución: pasos por nodo, entradas/salidas, errores y logs,
+// recortando los valores grandes para no desbordar el contexto del cliente
+
+const DEFAULT_MAX_PAYLOAD_CHARS = 2000;
+const DEFAULT_MAX_LOG_LINES = 100;
+
+const errorText = (error) => (error ? String(error.message || error) : null);
+
+function normalizeStep(step, index) {
+  return {
+    nodeId: step.nodeId || step.id || step.node || `#${index + 1}`,
+    nodeType: step.nodeType || step.type || null,
+    label: step.label || step.name || null,
+    status: step.status || 'pending',
+    startTime: step.startTime || null,
+    endTime: step.endTime || null,
+    duration: typeof step.duration === 'number' ? step.duration : null,
+    inputs: step.inputs ?? step.input ?? null,
+    outputs: step.outputs ?? step.output ?? step.result ?? null,
+    error: errorText(step.error)
+  };
+}
+
+function normalizeLog(entry) {
+  if (typeof entry === 'string') {
+    return { timestamp: null, level: 'info', nodeId: null, message: entry };
+  }
+  return {
+    timestamp: entry.timestamp || entry.time || null,
+    level: entry.level || 'info',
+    nodeId: entry.nodeId || null,
+    message: String(entry.message ?? '')
+  };
+}
+
+/**
+ * Convierte el proceso que devuelve el backend en el detalle que publican
+ * get_execution y hiveflow://executions/{processId}. Acepta los pasos en
+ * `steps`, `nodeExecutions` o `nodes`.
+ */
+function normalizeExecutionDetail(process) {
+  const steps = process.steps || process.nodeExecutions || process.nodes || [];
+  return {
+    executionId: process.processId || process._id,
+    flowId: process.flowId || null,
+    flowName: process.flowName || null,
+    status: process.status || 'pending',
+    startTime: process.startTime || null,
+    endTime: process.endTime || null,
+    duration: typeof process.duration === 'number' ? process.duration : null,
+    retryOf: process.retryOf || null,
+    inputs: process.inputs ?? null,
+    outputs: process.outputs ?? process.output ?? process.result ?? null,
+    error: errorText(process.error),
+    steps: steps.map(normalizeStep),
+    logs: (process.logs || []).map(normalizeLog)
+  };
+}
+
+/**
+ * Recorta el detalle: cada entrada, salida o mensaje de más de `maxPayloadChars`
+ * caracteres (serializado como JSON) se sustituye por su comienzo en texto, y de
+ * los logs solo quedan las últimas `maxLogLines` líneas. `truncated` lista lo
+ * recortado con su tamaño original (caracteres, o líneas para `logs`).
+ */
+function truncateExecutionDetail(detail, { maxPayloadChars = DEFAULT_MAX_PAYLOAD_CHARS, maxLogLines = DEFAULT_MAX_LOG_LINES } = {}) {
+  const truncated = [];
+  const clip = (value, path) => {
+    if (value === null || value === undefined) return null;
+    const text = typeof value === 'string' ? value : JSON.stringify(value);
+    if (text.length <= maxPayloadChars) return value;
+    truncated.push({ path, size: text.length });
+    return `${text.slice(0, maxPayloadChars)}…`;
+  };
+
+  const logs = detail.logs.length > maxLogLines ? detail.logs.slice(-maxLogLines) : detail.logs;
+  if (logs !== detail.logs) truncated.push({ path: 'logs', size: detail.logs.length });
+  const offset = detail.logs.length - logs.length;
+
+  return {
+    ...detail,
+    inputs: clip(detail.inputs, 'inputs'),
+    outputs: clip(detail.outputs, 'outputs'),
+    error: clip(detail.error, 'error'),
+    steps: detail.steps.map((step, index) => ({
+      ...step,
+      inputs: clip(step.inputs, `steps[${index}].inputs`),
+      outputs: clip(step.outputs, `steps[${index}].outputs`),
+      error: clip(step.error, `steps[${index}].error`)
+    })),
+    logs: logs.map((entry, index) => ({ ...entry, message: clip(entry.message, `logs[${index + offset}].message`) })),
+    truncated
+  };
+}
+
+module.exports = {
+  DEFAULT_MAX_PAYLOAD_CHARS,
+  DEFAULT_MAX_LOG_LINES,
+  normalizeExecutionDetail,
+  truncateExecutionDetail
+};
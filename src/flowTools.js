@@ -0,0 +1,191 @@
+const { ENTRY_NODE_PATTERN } = require('./validation.js');
+
+// Herramientas generadas a partir de los flujos activos (`run_flow_<slug>`), con
+// un inputSchema tipado según las entradas que declara el nodo de entrada del flujo.
+
+const FLOW_TOOL_PREFIX = 'run_flow_';
+const MAX_SLUG_LENGTH = 48;
+
+// Parámetros propios de las herramientas generadas; una entrada del flujo con
+// uno de estos nombres no se puede publicar
+const RESERVED_PARAMS = ['wait', 'timeoutMs', 'instance', 'dryRun', 'confirmToken'];
+
+const INPUT_TYPES = ['string', 'number', 'integer', 'boolean', 'object', 'array'];
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const isFlowToolName = (name) => typeof name === 'string' && name.startsWith(FLOW_TOOL_PREFIX);
+
+// 'Daily Sales Report' → 'daily_sales_report'
+function slugify(text) {
+  return String(text || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '_')
+    .replace(/^_+|_+$/g, '')
+    .slice(0, MAX_SLUG_LENGTH)
+    .replace(/_+$/, '');
+}
+
+// Una entrada declarada como `{ name, type, description, required, default, enum }`
+// o solo con su tipo (`'string'`)
+function inputProperty(spec) {
+  const definition = typeof spec === 'string' ? { type: spec } : spec || {};
+  const property = { type: INPUT_TYPES.includes(definition.type) ? definition.type : 'string' };
+  if (definition.description) property.description = String(definition.description);
+  if (Array.isArray(definition.enum)) property.enum = definition.enum;
+  if (definition.default !== undefined) property.default = definition.default;
+  if (property.type === 'array' && isPlainObject(definition.items)) property.items = definition.items;
+  return property;
+}
+
+/**
+ * Entradas que declara el nodo de entrada del flujo (trigger, webhook, input...)
+ * en `data.inputSchema` (JSON Schema) o en `data.inputs` (lista u objeto).
+ * Devuelve `{ properties, required }`, o null si el flujo no declara entradas.
+ */
+function flowInputs(flow) {
+  const entry = (flow.nodes || []).find(node => ENTRY_NODE_PATTERN.test(node.type || ''));
+  const data = entry?.data || {};
+
+  if (isPlainObject(data.inputSchema) && isPlainObject(data.inputSchema.properties)) {
+    return {
+      properties: data.inputSchema.properties,
+      required: Array.isArray(data.inputSchema.required) ? data.inputSchema.required : []
+    };
+  }
+
+  const specs = Array.isArray(data.inputs)
+    ? data.inputs.filter(spec => spec && spec.name)
+    : isPlainObject(data.inputs)
+      ? Object.entries(data.inputs).map(([name, spec]) => ({ ...(typeof spec === 'string' ? { type: spec } : spec), name }))
+      : null;
+  if (!specs) return null;
+
+  return {
+    properties: Object.fromEntries(specs.map(spec => [spec.name, inputProperty(spec)])),
+    required: specs.filter(spec => spec.required === true).map(spec => spec.name)
+  };
+}
+
+/**
+ * Herramienta de cada flujo activo: `{ name, flowId, flowName, description,
+ * properties, required, typed, skipped }`. `typed` indica si el flujo declara
+ * sus entradas (y por tanto se rechazan las demás); `skipped` son las entradas
+ * que chocan con parámetros reservados. Los nombres repetidos llevan sufijo `_2`, `_3`...
+ */
+function buildFlowTools(flows) {
+  const used = new Set();
+  return flows
+    .filter(flow => flow.status === 'active')
+    .sort((a, b) => String(a._id).localeCompare(String(b._id)))
+    .map(flow => {
+      const slug = slugify(flow.name) || slugify(flow._id) || 'flow';
+      let name = `${FLOW_TOOL_PREFIX}${slug}`;
+      for (let suffix = 2; used.has(name); suffix++) {
+        name = `${FLOW_TOOL_PREFIX}${slug}_${suffix}`;
+      }
+      used.add(name);
+
+      const inputs = flowInputs(flow);
+      const properties = { ...inputs?.properties };
+      const skipped = Object.keys(properties).filter(key => RESERVED_PARAMS.includes(key));
+      skipped.forEach(key => delete properties[key]);
+
+      return {
+        name,
+        flowId: flow._id,
+        flowName: flow.name,
+        description: flow.description || '',
+        properties,
+        required: (inputs?.required || []).filter(key => !skipped.includes(key)),
+        typed: Boolean(inputs),
+        skipped
+      };
+    })
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Mantiene las herramientas generadas de los flujos de una instancia.
+ *
+ * `refresh()` vuelve a pedir los flujos con `source.listFlows()` y llama a
+ * `onListChanged()` si cambian las herramientas (flujos nuevos, renombrados,
+ * pausados o con otras entradas). Mientras está arrancado consulta el backend
+ * cada `intervalMs`; si falla la consulta se conservan las herramientas anteriores.
+ */
+class FlowToolRegistry {
+  constructor({ source, intervalMs, onListChanged, logger = console }) {
+    this.source = source;
+    this.intervalMs = intervalMs;
+    this.onListChanged = onListChanged;
+    this.logger = logger;
+
+    this.tools = [];
+    this.fingerprint = undefined;
+    this.timer = null;
+    this.refreshing = null;
+  }
+
+  get(name) {
+    return this.tools.find(tool => tool.name === name) || null;
+  }
+
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.refresh(), this.intervalMs);
+    this.timer.unref?.();
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  // Las llamadas simultáneas comparten la misma consulta
+  refresh() {
+    if (!this.refreshing) {
+      this.refreshing = this.load().finally(() => {
+        this.refreshing = null;
+      });
+    }
+    return this.refreshing;
+  }
+
+  async load() {
+    let tools;
+    try {
+      tools = buildFlowTools(await this.source.listFlows());
+    } catch (error) {
+      this.logger.error('Flow tools: cannot list flows', { error: error.message });
+      return this.tools;
+    }
+
+    const fingerprint = JSON.stringify(tools);
+    const previous = this.fingerprint;
+    this.tools = tools;
+    this.fingerprint = fingerprint;
+    if (previous === fingerprint) return tools;
+
+    for (const tool of tools.filter(item => item.skipped.length > 0)) {
+      this.logger.warn('Flow inputs clash with reserved tool parameters', { tool: tool.name, inputs: tool.skipped });
+    }
+    if (previous !== undefined) {
+      await this.onListChanged();
+    }
+    return tools;
+  }
+}
+
+module.exports = {
+  FLOW_TOOL_PREFIX,
+  RESERVED_PARAMS,
+  isFlowToolName,
+  slugify,
+  flowInputs,
+  buildFlowTools,
+  FlowToolRegistry
+};
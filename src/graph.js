@@ -0,0 +1,113 @@
+const { randomUUID } = require('node:crypto');
+const { createTranslator } = require('./i18n.js');
+const { HiveFlowError, ERROR_CODES } = require('./errors.js');
+
+// Operaciones puras sobre el grafo (nodos + edges) de un flujo.
+// Todas devuelven un grafo nuevo y lanzan HiveFlowError si la operación no es válida;
+// `t` es la función de traducción para los mensajes de error.
+
+const defaultTranslator = createTranslator();
+
+const generateId = (prefix) => `${prefix}_${randomUUID().slice(0, 8)}`;
+
+function getGraph(flow) {
+  return {
+    nodes: Array.isArray(flow?.nodes) ? flow.nodes : [],
+    edges: Array.isArray(flow?.edges) ? flow.edges : []
+  };
+}
+
+function findNode(graph, nodeId) {
+  return graph.nodes.find(node => node.id === nodeId);
+}
+
+function addNode(graph, node, t = defaultTranslator) {
+  const newNode = {
+    ...node,
+    id: node.id || generateId('node'),
+    position: node.position || { x: 0, y: graph.nodes.length * 100 },
+    data: node.data || {}
+  };
+
+  if (findNode(graph, newNode.id)) {
+    throw new HiveFlowError(ERROR_CODES.CONFLICT, t('graph.nodeExists', { nodeId: newNode.id }));
+  }
+
+  return {
+    graph: { nodes: [...graph.nodes, newNode], edges: graph.edges },
+    node: newNode
+  };
+}
+
+function removeNode(graph, nodeId, t = defaultTranslator) {
+  if (!findNode(graph, nodeId)) {
+    throw new HiveFlowError(ERROR_CODES.NOT_FOUND, t('graph.nodeNotFound', { nodeId }));
+  }
+
+  const removedEdges = graph.edges.filter(edge => edge.source === nodeId || edge.target === nodeId);
+
+  return {
+    graph: {
+      nodes: graph.nodes.filter(node => node.id !== nodeId),
+      edges: graph.edges.filter(edge => !removedEdges.includes(edge))
+    },
+    removedEdges
+  };
+}
+
+function connectNodes(graph, { source, target, sourceHandle, targetHandle, id }, t = defaultTranslator) {
+  for (const nodeId of [source, target]) {
+    if (!findNode(graph, nodeId)) {
+      throw new HiveFlowError(ERROR_CODES.NOT_FOUND, t('graph.nodeNotFound', { nodeId }));
+    }
+  }
+
+  const duplicate = graph.edges.find(edge =>
+    edge.source === source &&
+    edge.target === target &&
+    (edge.sourceHandle || null) === (sourceHandle || null) &&
+    (edge.targetHandle || null) === (targetHandle || null)
+  );
+  if (duplicate) {
+    throw new HiveFlowError(ERROR_CODES.CONFLICT, t('graph.alreadyConnected', { source, target, edgeId: duplicate.id }));
+  }
+
+  const edge = { id: id || generateId('edge'), source, target };
+  if (sourceHandle) edge.sourceHandle = sourceHandle;
+  if (targetHandle) edge.targetHandle = targetHandle;
+
+  return {
+    graph: { nodes: graph.nodes, edges: [...graph.edges, edge] },
+    edge
+  };
+}
+
+function disconnectNodes(graph, { edgeId, source, target }, t = defaultTranslator) {
+  const removedEdges = graph.edges.filter(edge =>
+    edgeId ? edge.id === edgeId : edge.source === source && edge.target === target
+  );
+
+  if (removedEdges.length === 0) {
+    throw new HiveFlowError(ERROR_CODES.NOT_FOUND, edgeId
+      ? t('graph.edgeNotFound', { edgeId })
+      : t('graph.notConnected', { source, target }));
+  }
+
+  return {
+    graph: {
+      nodes: graph.nodes,
+      edges: graph.edges.filter(edge => !removedEdges.includes(edge))
+    },
+    removedEdges
+  };
+}
+
+module.exports = {
+  generateId,
+  getGraph,
+  findNode,
+  addNode,
+  removeNode,
+  connectNodes,
+  disconnectNodes
+};
@@ -0,0 +1,318 @@
+const http = require('node:http');
+const { randomUUID, timingSafeEqual } = require('node:crypto');
+const { StreamableHTTPServerTransport } = require('@modelcontextprotocol/sdk/server/streamableHttp.js');
+const { SSEServerTransport } = require('@modelcontextprotocol/sdk/server/sse.js');
+const { isInitializeRequest } = require('@modelcontextprotocol/sdk/types.js');
+
+const MCP_PATH = '/mcp';
+const SSE_PATH = '/sse';
+const SSE_MESSAGES_PATH = '/messages';
+const MAX_BODY_BYTES = 4 * 1024 * 1024;
+
+// Sesiones sin peticiones ni streams abiertos durante este tiempo se cierran: los
+// clientes que se desconectan sin DELETE no la cierran nunca
+const DEFAULT_SESSION_IDLE_MS = 30 * 60 * 1000;
+const MAX_SWEEP_INTERVAL_MS = 60 * 1000;
+
+// Hosts locales: se aceptan siempre en la cabecera Host y solo se puede escuchar
+// en otra interfaz con un token de autenticación
+const LOOPBACK_HOSTS = ['localhost', '127.0.0.1', '::1'];
+const WILDCARD_HOSTS = ['0.0.0.0', '::'];
+
+const isLoopbackHost = (host) => LOOPBACK_HOSTS.includes(host) || /^127\./.test(host);
+
+// Lista separada por comas (CLI/variables de entorno) o array
+function parseList(value) {
+  if (!value) return [];
+  const items = Array.isArray(value) ? value : String(value).split(',');
+  return items.map(item => item.trim()).filter(Boolean);
+}
+
+// Nombre de host sin puerto ni corchetes: 'localhost:3000' → 'localhost', '[::1]:3000' → '::1'
+function hostnameOf(value) {
+  try {
+    return new URL(value.includes('://') ? value : `http://${value}`).hostname.replace(/^\[|\]$/g, '');
+  } catch (error) {
+    return null;
+  }
+}
+
+// Comparar el token sin filtrar por tiempos cuánto coincide
+function tokenMatches(header, token) {
+  const expected = Buffer.from(`Bearer ${token}`);
+  const received = Buffer.from(String(header || ''));
+  return received.length === expected.length && timingSafeEqual(received, expected);
+}
+
+// Error de la petición del cliente, con el estado HTTP y el código JSON-RPC a devolver
+class RequestError extends Error {
+  constructor(status, code, message) {
+    super(message);
+    this.name = 'RequestError';
+    this.status = status;
+    this.code = code;
+  }
+}
+
+// Leer y parsear el cuerpo JSON de una petición
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(new RequestError(413, -32600, 'Request body too large'));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      const raw = Buffer.concat(chunks).toString('utf8');
+      if (!raw) return resolve(undefined);
+      try {
+        resolve(JSON.parse(raw));
+      } catch (error) {
+        reject(new RequestError(400, -32700, 'Parse error: invalid JSON body'));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+function sendJsonRpcError(res, status, code, message) {
+  if (res.headersSent) return;
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify({
+    jsonrpc: '2.0',
+    error: { code, message },
+    id: null
+  }));
+}
+
+/**
+ * Sirve el servidor MCP por HTTP para múltiples clientes a la vez.
+ *
+ * Cada sesión obtiene su propia instancia de `Server` (creada con `createServer`),
+ * de modo que el estado de cada cliente queda aislado.
+ *
+ * - `http`: Streamable HTTP en `/mcp` (POST, GET y DELETE)
+ * - `sse`: transporte SSE heredado en `/sse` + `/messages?sessionId=...`
+ *
+ * Contra el DNS rebinding, las peticiones MCP deben llegar con un Host de
+ * `allowedHosts` (por defecto los locales y el host en el que escucha) y, si
+ * traen Origin, uno de `allowedOrigins` (por defecto, de un host permitido).
+ * Con `authToken` exigen además `Authorization: Bearer <token>`.
+ *
+ * Las sesiones sin actividad durante `sessionIdleMs` (0 lo desactiva) se cierran.
+ */
+async function startHttpServer({
+  createServer,
+  mode = 'http',
+  host = '127.0.0.1',
+  port = 3000,
+  authToken,
+  allowedHosts,
+  allowedOrigins,
+  sessionIdleMs = DEFAULT_SESSION_IDLE_MS,
+  logger = console
+}) {
+  const sessions = new Map();
+
+  // Registrar actividad de la sesión mientras dure la respuesta (los streams SSE siguen abiertos)
+  const track = (session, res) => {
+    session.lastSeen = Date.now();
+    session.open++;
+    res.on('close', () => {
+      session.open--;
+      session.lastSeen = Date.now();
+    });
+  };
+
+  const hosts = parseList(allowedHosts).map(hostnameOf).filter(Boolean);
+  if (hosts.length === 0) {
+    hosts.push(...LOOPBACK_HOSTS);
+    if (!WILDCARD_HOSTS.includes(host) && !hosts.includes(host)) hosts.push(host);
+  }
+  const origins = parseList(allowedOrigins);
+
+  // Motivo por el que se rechaza la petición (`[status, mensaje]`), o null si puede pasar
+  const rejection = (req) => {
+    if (!hosts.includes(hostnameOf(req.headers.host || ''))) {
+      return [403, `Forbidden: host ${req.headers.host || '(none)'} is not allowed`];
+    }
+    const origin = req.headers.origin;
+    if (origin && !(origins.length > 0 ? origins.includes(origin) : hosts.includes(hostnameOf(origin)))) {
+      return [403, `Forbidden: origin ${origin} is not allowed`];
+    }
+    if (authToken && !tokenMatches(req.headers.authorization, authToken)) {
+      return [401, 'Unauthorized: missing or invalid bearer token'];
+    }
+    return null;
+  };
+
+  const closeSession = async (sessionId) => {
+    const session = sessions.get(sessionId);
+    if (!session) return;
+    sessions.delete(sessionId);
+    logger.debug('MCP session closed', { sessionId });
+    try {
+      await session.server.close();
+    } catch (error) {
+      logger.error('Cannot close MCP session', { sessionId, error: error.message });
+    }
+  };
+
+  const handleStreamableRequest = async (req, res) => {
+    const sessionId = req.headers['mcp-session-id'];
+    const body = req.method === 'POST' ? await readJsonBody(req) : undefined;
+
+    if (sessionId && sessions.has(sessionId)) {
+      const session = sessions.get(sessionId);
+      track(session, res);
+      await session.transport.handleRequest(req, res, body);
+      return;
+    }
+
+    if (sessionId) {
+      sendJsonRpcError(res, 404, -32001, 'Session not found');
+      return;
+    }
+
+    if (req.method !== 'POST' || !isInitializeRequest(body)) {
+      sendJsonRpcError(res, 400, -32000, 'Bad Request: No valid session ID provided');
+      return;
+    }
+
+    const server = createServer();
+    const transport = new StreamableHTTPServerTransport({
+      sessionIdGenerator: () => randomUUID(),
+      onsessioninitialized: (id) => {
+        sessions.set(id, { transport, server, lastSeen: Date.now(), open: 0 });
+        logger.debug('MCP session opened', { sessionId: id, transport: 'http' });
+      }
+    });
+    transport.onclose = () => {
+      if (transport.sessionId) {
+        closeSession(transport.sessionId);
+      }
+    };
+
+    await server.connect(transport);
+    try {
+      await transport.handleRequest(req, res, body);
+    } finally {
+      // Si el SDK rechaza el initialize (Accept incorrecto, versión...) no se abre
+      // sesión: hay que liberar aquí el servidor creado para ella
+      if (!transport.sessionId) await server.close();
+    }
+  };
+
+  const handleSseConnect = async (req, res) => {
+    const server = createServer();
+    const transport = new SSEServerTransport(SSE_MESSAGES_PATH, res);
+    const session = { transport, server, lastSeen: Date.now(), open: 0 };
+    sessions.set(transport.sessionId, session);
+    track(session, res);
+    logger.debug('MCP session opened', { sessionId: transport.sessionId, transport: 'sse' });
+    res.on('close', () => closeSession(transport.sessionId));
+    await server.connect(transport);
+  };
+
+  const handleSseMessage = async (req, res, url) => {
+    const session = sessions.get(url.searchParams.get('sessionId'));
+    if (!session) {
+      sendJsonRpcError(res, 404, -32001, 'Session not found');
+      return;
+    }
+    track(session, res);
+    const body = await readJsonBody(req);
+    await session.transport.handlePostMessage(req, res, body);
+  };
+
+  const httpServer = http.createServer(async (req, res) => {
+    const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+
+    try {
+      if (url.pathname === '/health' && req.method === 'GET') {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ status: 'ok', transport: mode, sessions: sessions.size }));
+        return;
+      }
+
+      const rejected = rejection(req);
+      if (rejected) {
+        const [status, message] = rejected;
+        logger.warn('HTTP request rejected', { method: req.method, path: url.pathname, reason: message });
+        if (status === 401) res.setHeader('WWW-Authenticate', 'Bearer');
+        sendJsonRpcError(res, status, -32000, message);
+        return;
+      }
+
+      if (mode === 'http' && url.pathname === MCP_PATH) {
+        await handleStreamableRequest(req, res);
+        return;
+      }
+
+      if (mode === 'sse' && url.pathname === SSE_PATH && req.method === 'GET') {
+        await handleSseConnect(req, res);
+        return;
+      }
+
+      if (mode === 'sse' && url.pathname === SSE_MESSAGES_PATH && req.method === 'POST') {
+        await handleSseMessage(req, res, url);
+        return;
+      }
+
+      res.writeHead(404, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: `Not found: ${req.method} ${url.pathname}` }));
+    } catch (error) {
+      if (error instanceof RequestError) {
+        sendJsonRpcError(res, error.status, error.code, error.message);
+        return;
+      }
+      logger.error('HTTP request failed', { method: req.method, path: url.pathname, error: error.message });
+      sendJsonRpcError(res, 500, -32603, error.message);
+    }
+  });
+
+  await new Promise((resolve, reject) => {
+    httpServer.once('error', reject);
+    httpServer.listen(port, host, resolve);
+  });
+
+  const sweep = sessionIdleMs > 0
+    ? setInterval(() => {
+      const now = Date.now();
+      for (const [sessionId, session] of sessions) {
+        if (session.open === 0 && now - session.lastSeen >= sessionIdleMs) {
+          logger.info('Closing idle MCP session', { sessionId });
+          closeSession(sessionId);
+        }
+      }
+    }, Math.min(sessionIdleMs, MAX_SWEEP_INTERVAL_MS))
+    : null;
+  sweep?.unref?.();
+
+  const close = async () => {
+    if (sweep) clearInterval(sweep);
+    await Promise.all([...sessions.keys()].map(closeSession));
+    await new Promise((resolve) => {
+      httpServer.close(() => resolve());
+      httpServer.closeAllConnections();
+    });
+  };
+
+  return { httpServer, sessions, close };
+}
+
+module.exports = {
+  startHttpServer,
+  DEFAULT_SESSION_IDLE_MS,
+  isLoopbackHost,
+  MCP_PATH,
+  SSE_PATH,
+  SSE_MESSAGES_PATH
+};
@@ -0,0 +1,49 @@
+const en = require('./locales/en.js');
+const es = require('./locales/es.js');
+
+const catalogs = { en, es };
+const DEFAULT_LOCALE = 'en';
+const SUPPORTED_LOCALES = Object.keys(catalogs);
+
+const lookup = (catalog, key) =>
+  key.split('.').reduce((node, part) => (node == null ? undefined : node[part]), catalog);
+
+// Normalizar 'es-ES', 'es_MX', 'EN' → 'es', 'en'
+const toLanguage = (locale) => String(locale || '').toLowerCase().split(/[-_]/)[0];
+
+function isSupportedLocale(locale) {
+  return Boolean(catalogs[toLanguage(locale)]);
+}
+
+function resolveLocale(locale) {
+  return isSupportedLocale(locale) ? toLanguage(locale) : DEFAULT_LOCALE;
+}
+
+/**
+ * Crea la función de traducción `t(key, params)` para un idioma.
+ * Las claves usan notación de puntos (`messages.flowCreated`) y los parámetros
+ * se interpolan con `{nombre}`. Si falta la clave se usa el catálogo por defecto.
+ */
+function createTranslator(locale) {
+  const resolved = resolveLocale(locale);
+  const catalog = catalogs[resolved];
+
+  const t = (key, params = {}) => {
+    const template = lookup(catalog, key) ?? lookup(catalogs[DEFAULT_LOCALE], key);
+    if (typeof template !== 'string') return key;
+    return template.replace(/\{(\w+)\}/g, (match, name) =>
+      params[name] === undefined ? match : String(params[name])
+    );
+  };
+  t.locale = resolved;
+
+  return t;
+}
+
+module.exports = {
+  createTranslator,
+  isSupportedLocale,
+  resolveLocale,
+  DEFAULT_LOCALE,
+  SUPPORTED_LOCALES
+};
@@ -8,791 +8,3105 @@ const {
   ListResourcesRequestSchema,
   ReadResourceRequestSchema,
   ListResourceTemplatesRequestSchema,
+  SubscribeRequestSchema,
+  UnsubscribeRequestSchema,
+  SetLevelRequestSchema,
+  ListPromptsRequestSchema,
+  GetPromptRequestSchema,
+  McpError,
+  ErrorCode,
 } = require('@modelcontextprotocol/sdk/types.js');
-const axios = require('axios');
+const { AsyncLocalStorage } = require('node:async_hooks');
 const { Command } = require('commander');
+const { startHttpServer, isLoopbackHost, DEFAULT_SESSION_IDLE_MS } = require('./http.js');
+const { registerCommands } = require('./cli.js');
+const { createHiveFlowClient, createPathBuilder, DEFAULT_HTTP_OPTIONS } = require('./client.js');
+const { HiveFlowError, ERROR_CODES, toHiveFlowError } = require('./errors.js');
+const { Logger, LOG_LEVELS, LOG_FORMATS, DEFAULT_LOG_LEVEL, MCP_LEVELS, fromMcpLevel, isLogLevel } = require('./logger.js');
+const graph = require('./graph.js');
+const { validateFlowDefinition, validateMcpServerDefinition, formatValidationIssues } = require('./validation.js');
+const { loadProfiles, DEFAULT_INSTANCE } = require('./profiles.js');
+const schemas = require('./schemas.js');
+const { createTranslator, isSupportedLocale, SUPPORTED_LOCALES } = require('./i18n.js');
+const { parseResourceUri, flowUri } = require('./resources.js');
+const { BUNDLE_FORMATS, createBundle, serializeBundle, parseBundle, remapNodeIds, restoreNodeIds, referencedServers, importMetadata } = require('./bundle.js');
+const { listPrompts, buildPrompt } = require('./prompts.js');
+const { paginate, filterExecutions, mapWithConcurrency, DEFAULT_PAGE_SIZE, DEFAULT_CONCURRENCY } = require('./pagination.js');
+const { SUCCESS_STATUSES, FAILURE_STATUSES, TERMINAL_STATUSES, DEFAULT_STATS_WINDOW_MS, computeExecutionStats, summarizeByFlow, executionDuration } = require('./stats.js');
+const { validateArguments } = require('./arguments.js');
+const { diffFlows } = require('./diff.js');
+const { DEFAULT_MAX_PAYLOAD_CHARS, DEFAULT_MAX_LOG_LINES, normalizeExecutionDetail, truncateExecutionDetail } = require('./executions.js');
+const { MOCK_API_URL, DEFAULT_EXECUTION_MS: DEFAULT_MOCK_EXECUTION_MS, MockHiveFlowBackend, createMockAdapter } = require('./mock.js');
+const { ToolPolicy, isMutatingTool, DryRunRequest, createDryRunClient } = require('./policy.js');
+const { ResourceWatcher, DEFAULT_POLL_INTERVAL_MS: DEFAULT_WATCH_INTERVAL_MS } = require('./watcher.js');
+const { isFlowToolName, FlowToolRegistry } = require('./flowTools.js');
+
+const TRANSPORTS = ['stdio', 'http', 'sse'];
+
+const DEFAULT_WAIT_TIMEOUT_MS = 300000;
+const DEFAULT_POLL_INTERVAL_MS = 2000;
+const MIN_POLL_INTERVAL_MS = 100;
+
+// Herramientas tras las que pueden cambiar los flujos activos y, con ellos, las herramientas por flujo
+const FLOW_CHANGING_TOOLS = ['create_flow', 'update_flow', 'delete_flow', 'pause_flow', 'resume_flow', 'import_flow'];
+
+// rerun_failed reintenta como mucho este número de ejecuciones, por defecto de las últimas 24 horas
+const DEFAULT_RERUN_LIMIT = 10;
+const DEFAULT_RERUN_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+// El backend no pagina con cursores: se piden hasta este número de ejecuciones
+// por flujo y la paginación se hace en el servidor MCP. Si un flujo tiene más,
+// las más antiguas no se ven y los resultados llevan `truncated: true`
+const PROCESS_FETCH_LIMIT = 1000;
+const RESOURCE_PAGE_SIZE = 100;
+
+// Al esperar una ejecución se consultan primero las más recientes del flujo, que
+// es donde aparece una recién lanzada, y solo si no está la lista completa
+const RECENT_PROCESS_LIMIT = 20;
+// Puede que el backend aún no liste una ejecución recién lanzada: se tolera este
+// número de consultas sin encontrarla antes de responder NOT_FOUND
+const MISSING_EXECUTION_POLLS = 2;
+
+const sleep = (ms, signal) => new Promise((resolve) => {
+  const timer = setTimeout(resolve, ms);
+  signal?.addEventListener('abort', () => {
+    clearTimeout(timer);
+    resolve();
+  }, { once: true });
+});
 
 class HiveFlowMCPServer {
   constructor(config) {
     this.config = config;
-    
-    // Crear servidor MCP
-    this.server = new Server({
+    this.t = createTranslator(config.locale);
+    // Rutas del API con los IDs codificados
+    this.apiPath = createPathBuilder(this.t);
+    this.logger = config.logger || new Logger({
+      level: config.logLevel,
+      format: config.logFormat,
+      file: config.logFile
+    });
+
+    // Instancias de HiveFlow disponibles (perfiles + la configurada por CLI)
+    this.instances = { ...(config.instances || {}) };
+    if (config.apiKey && !this.instances[DEFAULT_INSTANCE]) {
+      this.instances[DEFAULT_INSTANCE] = {
+        apiUrl: config.apiUrl,
+        apiKey: config.apiKey,
+        instanceId: config.instanceId
+      };
+    }
+    // En modo mock basta con una instancia simulada si no se configura ninguna
+    if (config.mock && Object.keys(this.instances).length === 0) {
+      this.instances[DEFAULT_INSTANCE] = { apiUrl: MOCK_API_URL, apiKey: 'mock' };
+    }
+    // Qué herramientas se pueden usar y cuáles piden confirmación
+    this.policy = config.policy instanceof ToolPolicy ? config.policy : new ToolPolicy(config.policy);
+    for (const pattern of this.policy.unknownPatterns()) {
+      this.logger.warn('Tool pattern matches no known tool', { pattern });
+    }
+
+    this.defaultInstance = config.defaultInstance ||
+      (this.instances[DEFAULT_INSTANCE] ? DEFAULT_INSTANCE : Object.keys(this.instances)[0]);
+
+    // Configurar un cliente HTTP por instancia de HiveFlow
+    this.clients = new Map(
+      Object.entries(this.instances).map(([name, instance]) => [name, this.createClient(instance)])
+    );
+    this.instanceContext = new AsyncLocalStorage();
+
+    // Sesiones MCP conectadas y las URIs a las que está suscrita cada una
+    this.sessions = new Map();
+    // Nivel de log pedido por cada sesión (logging/setLevel) y su sink en el logger
+    this.logLevels = new Map();
+    this.logSinks = new Map();
+    // El watcher busca cambios, así que siempre consulta el backend (y refresca la caché)
+    const fresh = { cache: false };
+    this.watcher = new ResourceWatcher({
+      intervalMs: config.watchIntervalMs || DEFAULT_WATCH_INTERVAL_MS,
+      source: {
+        listFlows: (instance) => this.withInstance(instance, () => this.fetchFlows({}, fresh)),
+        listProcesses: (instance, flowId, filters) => this.withInstance(instance, async () => (await this.fetchFlowExecutions(flowId, filters, fresh)).executions),
+        listExecutions: (instance, filters) => this.withInstance(instance, async () => (await this.fetchExecutions(filters, fresh)).executions),
+        getExecution: (instance, processId) => this.withInstance(instance, () => this.fetchExecutionDetail(processId)),
+        listMcpServers: (instance) => this.withInstance(instance, () => this.fetchMcpServers(fresh))
+      },
+      onUpdated: (uri) => this.notifyResourceUpdated(uri),
+      onListChanged: () => this.notifyResourceListChanged(),
+      logger: this.logger
+    });
+    // Con `flowTools`, una herramienta run_flow_<slug> por cada flujo activo de la instancia por defecto
+    this.flowTools = config.flowTools
+      ? new FlowToolRegistry({
+        intervalMs: config.watchIntervalMs || DEFAULT_WATCH_INTERVAL_MS,
+        source: {
+          listFlows: () => this.withInstance(this.defaultInstance, () => this.fetchFlows({}, fresh))
+        },
+        onListChanged: () => this.notifyToolListChanged(),
+        logger: this.logger
+      })
+      : null;
+
+    // Servidor MCP principal (stdio); en modo HTTP cada sesión crea el suyo
+    this.server = this.createMcpServer();
+  }
+
+  createClient(instance) {
+    const options = { ...this.config.http, t: this.t, logger: this.logger };
+    // En modo mock cada instancia responde desde su propio backend en memoria
+    const mockBackend = this.config.mock
+      ? new MockHiveFlowBackend(this.config.mock === true ? {} : this.config.mock)
+      : null;
+    if (mockBackend) options.adapter = createMockAdapter(mockBackend);
+
+    const client = createHiveFlowClient(instance, options);
+    client.mockBackend = mockBackend;
+    return client;
+  }
+
+  // Cliente de la instancia activa en la petición actual (o la instancia por defecto)
+  get hiveflowClient() {
+    return this.instanceContext.getStore()?.client || this.clients.get(this.defaultInstance);
+  }
+
+  getClient(instance) {
+    const name = instance || this.defaultInstance;
+    const client = this.clients.get(name);
+    if (!client) {
+      throw new HiveFlowError(ERROR_CODES.UNKNOWN_INSTANCE, this.t('errors.unknownInstance', { name, available: [...this.clients.keys()].join(', ') }));
+    }
+    return client;
+  }
+
+  // Ejecutar `fn` con las peticiones dirigidas a la instancia indicada
+  withInstance(instance, fn) {
+    const client = this.getClient(instance);
+    return this.instanceContext.run({ instance: instance || this.defaultInstance, client }, fn);
+  }
+
+  // Crear un servidor MCP con todos los handlers registrados
+  createMcpServer() {
+    const server = new Server({
       name: 'hiveflow-mcp-server',
       version: '1.0.0'
     }, {
       capabilities: {
-        tools: {},
-        resources: {}
+        tools: this.flowTools ? { listChanged: true } : {},
+        resources: {
+          subscribe: true,
+          listChanged: true
+        },
+        prompts: {},
+        logging: {}
       }
     });
 
-    // Configurar cliente HTTP para HiveFlow
-    this.hiveflowClient = axios.create({
-      baseURL: this.config.apiUrl,
-      headers: {
-        'Authorization': `ApiKey ${this.config.apiKey}`,
-        'Content-Type': 'application/json'
-      },
-      timeout: 30000
-    });
+    this.sessions.set(server, new Set());
+    this.logSinks.set(server, this.logger.addSink(entry => this.forwardLog(server, entry)));
+    server.onclose = () => this.closeSession(server);
+
+    this.setupHandlers(server);
+    return server;
+  }
+
+  // Liberar las suscripciones de una sesión cerrada
+  closeSession(server) {
+    this.logSinks.get(server)?.();
+    this.logSinks.delete(server);
+    this.logLevels.delete(server);
+
+    const uris = this.sessions.get(server);
+    if (!uris) return;
+    uris.forEach(uri => this.watcher.unsubscribe(uri));
+    this.sessions.delete(server);
+  }
+
+  // Enviar una entrada del log como notifications/message si la sesión la quiere
+  forwardLog(server, entry) {
+    if (!server.transport || !server.getClientVersion()) return;
+
+    const threshold = this.logLevels.get(server) || this.logger.level;
+    if (!this.logger.isEnabled(entry.level, threshold)) return;
+
+    server.sendLoggingMessage({
+      level: MCP_LEVELS[entry.level],
+      logger: 'hiveflow',
+      data: entry.data ? { message: entry.message, ...entry.data } : entry.message
+    }).catch(() => {});
+  }
+
+  async notifyResourceUpdated(uri) {
+    for (const [server, uris] of this.sessions) {
+      if (uris.has(uri)) {
+        await server.sendResourceUpdated({ uri }).catch(() => {});
+      }
+    }
+  }
+
+  async notifyResourceListChanged() {
+    for (const server of this.sessions.keys()) {
+      await server.sendResourceListChanged().catch(() => {});
+    }
+  }
 
-    this.setupHandlers();
+  async notifyToolListChanged() {
+    for (const server of this.sessions.keys()) {
+      await server.sendToolListChanged().catch(() => {});
+    }
   }
 
-  setupHandlers() {
-    // Registrar herramientas disponibles
-    this.server.setRequestHandler(ListToolsRequestSchema, async () => {
+  setupHandlers(server) {
+    const t = this.t;
+
+    // El cliente elige qué mensajes de log recibe como notifications/message
+    server.setRequestHandler(SetLevelRequestSchema, async (request) => {
+      this.logLevels.set(server, fromMcpLevel(request.params.level));
+      return {};
+    });
+
+    // Registrar herramientas disponibles (solo las que permite la política)
+    server.setRequestHandler(ListToolsRequestSchema, async () => {
+      if (this.flowTools) await this.flowTools.refresh();
+      return { tools: this.toolDefinitions().filter(tool => this.policy.allows(tool.name)) };
+    });
+
+    // Implementar ejecución de herramientas
+    server.setRequestHandler(CallToolRequestSchema, async (request, extra) => {
+      const { name, arguments: args } = request.params;
+      return this.handleToolCall(name, args, extra);
+    });
+
+    // Registrar recursos disponibles
+    server.setRequestHandler(ListResourcesRequestSchema, async (request) => {
+      // Cada flujo se publica también como recurso individual
+      let flowResources = [];
+      try {
+        const flows = await this.fetchFlows();
+        flowResources = flows.map(flow => ({
+          uri: flowUri(flow._id),
+          name: flow.name || flow._id,
+          description: flow.description || undefined,
+          mimeType: 'application/json'
+        }));
+      } catch (error) {
+        this.logger.warn('Could not list flows as resources', { error: error.message });
+      }
+
+      const resources = [
+        {
+          uri: 'hiveflow://flows',
+          name: t('resources.flows.name'),
+          description: t('resources.flows.description'),
+          mimeType: 'application/json'
+        },
+        {
+          uri: 'hiveflow://mcp-servers',
+          name: t('resources.mcpServers.name'),
+          description: t('resources.mcpServers.description'),
+          mimeType: 'application/json'
+        },
+        {
+          uri: 'hiveflow://executions',
+          name: t('resources.executions.name'),
+          description: t('resources.executions.description'),
+          mimeType: 'application/json'
+        },
+        ...flowResources
+      ];
+
+      const page = paginate(resources, {
+        cursor: request.params?.cursor,
+        limit: RESOURCE_PAGE_SIZE,
+        onInvalidCursor: (cursor) => new McpError(ErrorCode.InvalidParams, t('errors.invalidCursor', { cursor }))
+      });
+      return page.nextCursor
+        ? { resources: page.items, nextCursor: page.nextCursor }
+        : { resources: page.items };
+    });
+
+    // Suscripciones a cambios de recursos
+    server.setRequestHandler(SubscribeRequestSchema, async (request) => {
+      const { uri } = request.params;
+      const parsed = parseResourceUri(uri);
+      if (parsed.kind === 'unknown') {
+        throw new McpError(ErrorCode.InvalidParams, t('errors.resourceNotFound', { uri }));
+      }
+      this.getClient(parsed.instance);
+
+      const uris = this.sessions.get(server);
+      if (uris && !uris.has(uri)) {
+        uris.add(uri);
+        await this.watcher.subscribe(uri);
+      }
+      return {};
+    });
+
+    server.setRequestHandler(UnsubscribeRequestSchema, async (request) => {
+      const { uri } = request.params;
+      const uris = this.sessions.get(server);
+      if (uris && uris.delete(uri)) {
+        this.watcher.unsubscribe(uri);
+      }
+      return {};
+    });
+
+    // Registrar templates de recursos
+    server.setRequestHandler(ListResourceTemplatesRequestSchema, async () => {
       return {
-        tools: [
+        resourceTemplates: [
           {
-            name: 'create_flow',
-            description: 'Crea un nuevo flujo de trabajo en HiveFlow',
-            inputSchema: {
-              type: 'object',
-              properties: {
-                name: {
-                  type: 'string',
-                  description: 'Nombre del flujo'
-                },
-                description: {
-                  type: 'string',
-                  description: 'Descripción del flujo'
-                },
-                nodes: {
-                  type: 'array',
-                  description: 'Nodos del flujo (opcional)',
-                  items: { type: 'object' }
-                }
-              },
-              required: ['name', 'description']
-            }
+            uriTemplate: 'hiveflow://flows/{flowId}{?instance}',
+            name: t('resources.flow.name'),
+            description: t('resources.flow.description'),
+            mimeType: 'application/json'
           },
           {
-            name: 'list_flows',
-            description: 'Lista todos los flujos de trabajo del usuario',
-            inputSchema: {
-              type: 'object',
-              properties: {
-                status: {
-                  type: 'string',
-                  enum: ['active', 'paused', 'stopped', 'draft'],
-                  description: 'Filtrar por estado del flujo (opcional)'
-                },
-                limit: {
-                  type: 'number',
-                  description: 'Límite de resultados (opcional)',
-                  default: 50
-                }
-              }
-            }
+            uriTemplate: 'hiveflow://flows/{flowId}/executions{?instance,status,since,until}',
+            name: t('resources.flowExecutions.name'),
+            description: t('resources.flowExecutions.description'),
+            mimeType: 'application/json'
+          },
+          {
+            uriTemplate: 'hiveflow://executions{?instance,status,since,until}',
+            name: t('resources.filteredExecutions.name'),
+            description: t('resources.filteredExecutions.description'),
+            mimeType: 'application/json'
+          },
+          {
+            uriTemplate: 'hiveflow://executions/{processId}{?instance}',
+            name: t('resources.execution.name'),
+            description: t('resources.execution.description'),
+            mimeType: 'application/json'
+          },
+          {
+            uriTemplate: 'hiveflow://flows/{flowId}/stats{?instance,since,until}',
+            name: t('resources.flowStats.name'),
+            description: t('resources.flowStats.description'),
+            mimeType: 'application/json'
           },
           {
-            name: 'get_flow',
-            description: 'Obtiene detalles de un flujo específico',
-            inputSchema: {
+            uriTemplate: 'hiveflow://stats{?instance,since,until}',
+            name: t('resources.stats.name'),
+            description: t('resources.stats.description'),
+            mimeType: 'application/json'
+          },
+          {
+            uriTemplate: 'hiveflow://flows/{flowId}/export{?instance,format}',
+            name: t('resources.flowExport.name'),
+            description: t('resources.flowExport.description'),
+            mimeType: 'application/json'
+          }
+        ]
+      };
+    });
+
+    // Implementar lectura de recursos
+    server.setRequestHandler(ReadResourceRequestSchema, async (request) => {
+      return { contents: [await this.readResourceContents(request.params.uri)] };
+    });
+
+    // Prompts guiados para los flujos de trabajo más comunes
+    server.setRequestHandler(ListPromptsRequestSchema, async () => {
+      return { prompts: listPrompts(t) };
+    });
+
+    server.setRequestHandler(GetPromptRequestSchema, async (request) => {
+      const { name, arguments: args = {} } = request.params;
+      const prompt = buildPrompt(name, args, t);
+      if (!prompt) {
+        throw new McpError(ErrorCode.InvalidParams, t('errors.unknownPrompt', { name }));
+      }
+      if (prompt.missing.length > 0) {
+        throw new McpError(ErrorCode.InvalidParams, t('errors.missingPromptArguments', { name, arguments: prompt.missing.join(', ') }));
+      }
+
+      const embedded = [];
+      for (const uri of prompt.resources) {
+        embedded.push({
+          role: 'user',
+          content: { type: 'resource', resource: await this.readResourceContents(uri) }
+        });
+      }
+
+      return {
+        description: prompt.description,
+        messages: [
+          ...embedded,
+          { role: 'user', content: { type: 'text', text: prompt.text } }
+        ]
+      };
+    });
+  }
+
+  // Definiciones de todas las herramientas, con los parámetros comunes añadidos
+  toolDefinitions() {
+    const t = this.t;
+    const tools = [
+      {
+        name: 'create_flow',
+        description: t('tools.create_flow.description'),
+        inputSchema: {
+          type: 'object',
+          properties: {
+            name: {
+              type: 'string',
+              description: t('tools.create_flow.params.name')
+            },
+            description: {
+              type: 'string',
+              description: t('tools.create_flow.params.description')
+            },
+            nodes: {
+              type: 'array',
+              description: t('tools.create_flow.params.nodes'),
+              items: { type: 'object' }
+            },
+            edges: {
+              type: 'array',
+              description: t('tools.create_flow.params.edges'),
+              items: { type: 'object' }
+            }
+          },
+          required: ['name', 'description']
+        },
+        outputSchema: schemas.createFlowResult
+      },
+      {
+        name: 'list_flows',
+        description: t('tools.list_flows.description'),
+        inputSchema: {
+          type: 'object',
+          properties: {
+            status: {
+              type: 'string',
+              enum: ['active', 'paused', 'stopped', 'draft'],
+              description: t('tools.list_flows.params.status')
+            },
+            limit: {
+              type: 'number',
+              description: t('tools.list_flows.params.limit'),
+              minimum: 1,
+              default: DEFAULT_PAGE_SIZE
+            },
+            cursor: {
+              type: 'string',
+              description: t('params.cursor')
+            }
+          }
+        },
+        outputSchema: schemas.flowList
+      },
+      {
+        name: 'get_flow',
+        description: t('tools.get_flow.description'),
+        inputSchema: {
+          type: 'object',
+          properties: {
+            flowId: {
+              type: 'string',
+              description: t('tools.get_flow.params.flowId')
+            }
+          },
+          required: ['flowId']
+        },
+        outputSchema: schemas.flowResult
+      },
+      {
+        name: 'validate_flow',
+        description: t('tools.validate_flow.description'),
+        inputSchema: {
+          type: 'object',
+          properties: {
+            nodes: {
+              type: 'array',
+              description: t('tools.validate_flow.params.nodes'),
+              items: { type: 'object' }
+            },
+            edges: {
+              type: 'array',
+              description: t('tools.validate_flow.params.edges'),
+              items: { type: 'object' }
+            }
+          },
+          required: ['nodes']
+        },
+        outputSchema: schemas.validationResult
+      },
+      {
+        name: 'diff_flows',
+        description: t('tools.diff_flows.description'),
+        inputSchema: {
+          type: 'object',
+          properties: {
+            flowId: {
+              type: 'string',
+              description: t('tools.diff_flows.params.flowId')
+            },
+            otherFlowId: {
+              type: 'string',
+              description: t('tools.diff_flows.params.otherFlowId')
+            },
+            definition: {
               type: 'object',
-              properties: {
-                flowId: {
-                  type: 'string',
-                  description: 'ID del flujo'
-                }
-              },
-              required: ['flowId']
+              description: t('tools.diff_flows.params.definition')
+            },
+            includePositions: {
+              type: 'boolean',
+              description: t('tools.diff_flows.params.includePositions'),
+              default: false
             }
           },
-          {
-            name: 'execute_flow',
-            description: 'Ejecuta un flujo de trabajo específico',
-            inputSchema: {
+          required: ['flowId']
+        },
+        outputSchema: schemas.flowDiff
+      },
+      {
+        name: 'update_flow',
+        description: t('tools.update_flow.description'),
+        inputSchema: {
+          type: 'object',
+          properties: {
+            flowId: {
+              type: 'string',
+              description: t('tools.update_flow.params.flowId')
+            },
+            name: {
+              type: 'string',
+              description: t('tools.update_flow.params.name')
+            },
+            description: {
+              type: 'string',
+              description: t('tools.update_flow.params.description')
+            },
+            status: {
+              type: 'string',
+              enum: ['active', 'paused', 'stopped', 'draft'],
+              description: t('tools.update_flow.params.status')
+            },
+            nodes: {
+              type: 'array',
+              description: t('tools.update_flow.params.nodes'),
+              items: { type: 'object' }
+            },
+            edges: {
+              type: 'array',
+              description: t('tools.update_flow.params.edges'),
+              items: { type: 'object' }
+            }
+          },
+          required: ['flowId']
+        },
+        outputSchema: schemas.updateFlowResult
+      },
+      {
+        name: 'delete_flow',
+        description: t('tools.delete_flow.description'),
+        inputSchema: {
+          type: 'object',
+          properties: {
+            flowId: {
+              type: 'string',
+              description: t('tools.delete_flow.params.flowId')
+            }
+          },
+          required: ['flowId']
+        },
+        outputSchema: schemas.deleteFlowResult
+      },
+      {
+        name: 'add_node',
+        description: t('tools.add_node.description'),
+        inputSchema: {
+          type: 'object',
+          properties: {
+            flowId: {
+              type: 'string',
+              description: t('tools.add_node.params.flowId')
+            },
+            node: {
               type: 'object',
+              description: t('tools.add_node.params.node'),
               properties: {
-                flowId: {
-                  type: 'string',
-                  description: 'ID del flujo a ejecutar'
-                },
-                inputs: {
-                  type: 'object',
-                  description: 'Inputs opcionales para el flujo'
-                }
+                id: { type: 'string' },
+                type: { type: 'string' },
+                data: { type: 'object' },
+                position: { type: 'object' }
               },
-              required: ['flowId']
+              required: ['type']
+            },
+            connectFrom: {
+              type: 'string',
+              description: t('tools.add_node.params.connectFrom')
             }
           },
-          {
-            name: 'pause_flow',
-            description: 'Pausa un flujo activo',
-            inputSchema: {
+          required: ['flowId', 'node']
+        },
+        outputSchema: schemas.graphChangeResult
+      },
+      {
+        name: 'remove_node',
+        description: t('tools.remove_node.description'),
+        inputSchema: {
+          type: 'object',
+          properties: {
+            flowId: {
+              type: 'string',
+              description: t('tools.remove_node.params.flowId')
+            },
+            nodeId: {
+              type: 'string',
+              description: t('tools.remove_node.params.nodeId')
+            }
+          },
+          required: ['flowId', 'nodeId']
+        },
+        outputSchema: schemas.graphChangeResult
+      },
+      {
+        name: 'connect_nodes',
+        description: t('tools.connect_nodes.description'),
+        inputSchema: {
+          type: 'object',
+          properties: {
+            flowId: {
+              type: 'string',
+              description: t('tools.connect_nodes.params.flowId')
+            },
+            source: {
+              type: 'string',
+              description: t('tools.connect_nodes.params.source')
+            },
+            target: {
+              type: 'string',
+              description: t('tools.connect_nodes.params.target')
+            },
+            sourceHandle: {
+              type: 'string',
+              description: t('tools.connect_nodes.params.sourceHandle')
+            },
+            targetHandle: {
+              type: 'string',
+              description: t('tools.connect_nodes.params.targetHandle')
+            }
+          },
+          required: ['flowId', 'source', 'target']
+        },
+        outputSchema: schemas.graphChangeResult
+      },
+      {
+        name: 'disconnect_nodes',
+        description: t('tools.disconnect_nodes.description'),
+        inputSchema: {
+          type: 'object',
+          properties: {
+            flowId: {
+              type: 'string',
+              description: t('tools.disconnect_nodes.params.flowId')
+            },
+            edgeId: {
+              type: 'string',
+              description: t('tools.disconnect_nodes.params.edgeId')
+            },
+            source: {
+              type: 'string',
+              description: t('tools.disconnect_nodes.params.source')
+            },
+            target: {
+              type: 'string',
+              description: t('tools.disconnect_nodes.params.target')
+            }
+          },
+          required: ['flowId']
+        },
+        outputSchema: schemas.graphChangeResult
+      },
+      {
+        name: 'execute_flow',
+        description: t('tools.execute_flow.description'),
+        inputSchema: {
+          type: 'object',
+          properties: {
+            flowId: {
+              type: 'string',
+              description: t('tools.execute_flow.params.flowId')
+            },
+            inputs: {
               type: 'object',
-              properties: {
-                flowId: {
-                  type: 'string',
-                  description: 'ID del flujo a pausar'
-                }
-              },
-              required: ['flowId']
+              description: t('tools.execute_flow.params.inputs')
+            },
+            wait: {
+              type: 'boolean',
+              description: t('tools.execute_flow.params.wait'),
+              default: false
+            },
+            timeoutMs: {
+              type: 'number',
+              description: t('tools.execute_flow.params.timeoutMs'),
+              default: DEFAULT_WAIT_TIMEOUT_MS
+            },
+            pollIntervalMs: {
+              type: 'number',
+              description: t('tools.execute_flow.params.pollIntervalMs'),
+              minimum: MIN_POLL_INTERVAL_MS,
+              default: DEFAULT_POLL_INTERVAL_MS
             }
           },
-          {
-            name: 'resume_flow',
-            description: 'Reanuda un flujo pausado',
-            inputSchema: {
+          required: ['flowId']
+        },
+        outputSchema: schemas.executionResult
+      },
+      {
+        name: 'pause_flow',
+        description: t('tools.pause_flow.description'),
+        inputSchema: {
+          type: 'object',
+          properties: {
+            flowId: {
+              type: 'string',
+              description: t('tools.pause_flow.params.flowId')
+            }
+          },
+          required: ['flowId']
+        },
+        outputSchema: schemas.flowStatusResult
+      },
+      {
+        name: 'resume_flow',
+        description: t('tools.resume_flow.description'),
+        inputSchema: {
+          type: 'object',
+          properties: {
+            flowId: {
+              type: 'string',
+              description: t('tools.resume_flow.params.flowId')
+            }
+          },
+          required: ['flowId']
+        },
+        outputSchema: schemas.flowStatusResult
+      },
+      {
+        name: 'list_mcp_servers',
+        description: t('tools.list_mcp_servers.description'),
+        inputSchema: {
+          type: 'object',
+          properties: {
+            limit: {
+              type: 'number',
+              description: t('tools.list_mcp_servers.params.limit'),
+              minimum: 1,
+              default: DEFAULT_PAGE_SIZE
+            },
+            cursor: {
+              type: 'string',
+              description: t('params.cursor')
+            }
+          }
+        },
+        outputSchema: schemas.mcpServerList
+      },
+      {
+        name: 'create_mcp_server',
+        description: t('tools.create_mcp_server.description'),
+        inputSchema: {
+          type: 'object',
+          properties: {
+            name: {
+              type: 'string',
+              description: t('tools.create_mcp_server.params.name')
+            },
+            command: {
+              type: 'string',
+              description: t('tools.create_mcp_server.params.command')
+            },
+            args: {
+              type: 'array',
+              items: { type: 'string' },
+              description: t('tools.create_mcp_server.params.args')
+            },
+            env: {
               type: 'object',
-              properties: {
-                flowId: {
-                  type: 'string',
-                  description: 'ID del flujo a reanudar'
-                }
-              },
-              required: ['flowId']
+              additionalProperties: { type: 'string' },
+              description: t('tools.create_mcp_server.params.env')
+            },
+            description: {
+              type: 'string',
+              description: t('tools.create_mcp_server.params.description')
             }
           },
-          {
-            name: 'list_mcp_servers',
-            description: 'Lista los servidores MCP configurados en HiveFlow',
-            inputSchema: {
+          required: ['name', 'command']
+        },
+        outputSchema: schemas.mcpServerResult
+      },
+      {
+        name: 'get_mcp_server',
+        description: t('tools.get_mcp_server.description'),
+        inputSchema: {
+          type: 'object',
+          properties: {
+            serverId: {
+              type: 'string',
+              description: t('tools.get_mcp_server.params.serverId')
+            }
+          },
+          required: ['serverId']
+        },
+        outputSchema: schemas.mcpServerResult
+      },
+      {
+        name: 'update_mcp_server',
+        description: t('tools.update_mcp_server.description'),
+        inputSchema: {
+          type: 'object',
+          properties: {
+            serverId: {
+              type: 'string',
+              description: t('tools.update_mcp_server.params.serverId')
+            },
+            name: {
+              type: 'string',
+              description: t('tools.update_mcp_server.params.name')
+            },
+            command: {
+              type: 'string',
+              description: t('tools.update_mcp_server.params.command')
+            },
+            args: {
+              type: 'array',
+              items: { type: 'string' },
+              description: t('tools.update_mcp_server.params.args')
+            },
+            env: {
               type: 'object',
-              properties: {}
+              additionalProperties: { type: 'string' },
+              description: t('tools.update_mcp_server.params.env')
+            },
+            description: {
+              type: 'string',
+              description: t('tools.update_mcp_server.params.description')
             }
           },
-          {
-            name: 'create_mcp_server',
-            description: 'Registra un nuevo servidor MCP en HiveFlow',
-            inputSchema: {
+          required: ['serverId']
+        },
+        outputSchema: schemas.updateMcpServerResult
+      },
+      {
+        name: 'delete_mcp_server',
+        description: t('tools.delete_mcp_server.description'),
+        inputSchema: {
+          type: 'object',
+          properties: {
+            serverId: {
+              type: 'string',
+              description: t('tools.delete_mcp_server.params.serverId')
+            }
+          },
+          required: ['serverId']
+        },
+        outputSchema: schemas.deleteMcpServerResult
+      },
+      {
+        name: 'connect_mcp_server',
+        description: t('tools.connect_mcp_server.description'),
+        inputSchema: {
+          type: 'object',
+          properties: {
+            serverId: {
+              type: 'string',
+              description: t('tools.connect_mcp_server.params.serverId')
+            }
+          },
+          required: ['serverId']
+        },
+        outputSchema: schemas.mcpServerStatusResult
+      },
+      {
+        name: 'disconnect_mcp_server',
+        description: t('tools.disconnect_mcp_server.description'),
+        inputSchema: {
+          type: 'object',
+          properties: {
+            serverId: {
+              type: 'string',
+              description: t('tools.disconnect_mcp_server.params.serverId')
+            }
+          },
+          required: ['serverId']
+        },
+        outputSchema: schemas.mcpServerStatusResult
+      },
+      {
+        name: 'test_mcp_server',
+        description: t('tools.test_mcp_server.description'),
+        inputSchema: {
+          type: 'object',
+          properties: {
+            serverId: {
+              type: 'string',
+              description: t('tools.test_mcp_server.params.serverId')
+            }
+          },
+          required: ['serverId']
+        },
+        outputSchema: schemas.mcpServerTestResult
+      },
+      {
+        name: 'get_flow_executions',
+        description: t('tools.get_flow_executions.description'),
+        inputSchema: {
+          type: 'object',
+          properties: {
+            flowId: {
+              type: 'string',
+              description: t('tools.get_flow_executions.params.flowId')
+            },
+            status: {
+              type: 'string',
+              description: t('tools.get_flow_executions.params.status')
+            },
+            since: {
+              type: 'string',
+              format: 'date-time',
+              description: t('params.since')
+            },
+            until: {
+              type: 'string',
+              format: 'date-time',
+              description: t('params.until')
+            },
+            limit: {
+              type: 'number',
+              description: t('tools.get_flow_executions.params.limit'),
+              minimum: 1,
+              default: 10
+            },
+            cursor: {
+              type: 'string',
+              description: t('params.cursor')
+            }
+          },
+          required: ['flowId']
+        },
+        outputSchema: schemas.executionList
+      },
+      {
+        name: 'wait_for_execution',
+        description: t('tools.wait_for_execution.description'),
+        inputSchema: {
+          type: 'object',
+          properties: {
+            flowId: {
+              type: 'string',
+              description: t('tools.wait_for_execution.params.flowId')
+            },
+            executionId: {
+              type: 'string',
+              description: t('tools.wait_for_execution.params.executionId')
+            },
+            timeoutMs: {
+              type: 'number',
+              description: t('tools.wait_for_execution.params.timeoutMs'),
+              default: DEFAULT_WAIT_TIMEOUT_MS
+            },
+            pollIntervalMs: {
+              type: 'number',
+              description: t('tools.wait_for_execution.params.pollIntervalMs'),
+              minimum: MIN_POLL_INTERVAL_MS,
+              default: DEFAULT_POLL_INTERVAL_MS
+            }
+          },
+          required: ['flowId', 'executionId']
+        },
+        outputSchema: schemas.executionResult
+      },
+      {
+        name: 'get_execution',
+        description: t('tools.get_execution.description'),
+        inputSchema: {
+          type: 'object',
+          properties: {
+            executionId: {
+              type: 'string',
+              description: t('tools.get_execution.params.executionId')
+            },
+            maxPayloadChars: {
+              type: 'number',
+              description: t('tools.get_execution.params.maxPayloadChars'),
+              minimum: 100,
+              default: DEFAULT_MAX_PAYLOAD_CHARS
+            },
+            maxLogLines: {
+              type: 'number',
+              description: t('tools.get_execution.params.maxLogLines'),
+              minimum: 1,
+              default: DEFAULT_MAX_LOG_LINES
+            }
+          },
+          required: ['executionId']
+        },
+        outputSchema: schemas.executionDetail
+      },
+      {
+        name: 'cancel_execution',
+        description: t('tools.cancel_execution.description'),
+        inputSchema: {
+          type: 'object',
+          properties: {
+            flowId: {
+              type: 'string',
+              description: t('tools.cancel_execution.params.flowId')
+            },
+            executionId: {
+              type: 'string',
+              description: t('tools.cancel_execution.params.executionId')
+            }
+          },
+          required: ['flowId', 'executionId']
+        },
+        outputSchema: schemas.cancelExecutionResult
+      },
+      {
+        name: 'retry_execution',
+        description: t('tools.retry_execution.description'),
+        inputSchema: {
+          type: 'object',
+          properties: {
+            flowId: {
+              type: 'string',
+              description: t('tools.retry_execution.params.flowId')
+            },
+            executionId: {
+              type: 'string',
+              description: t('tools.retry_execution.params.executionId')
+            },
+            inputs: {
               type: 'object',
-              properties: {
-                name: {
-                  type: 'string',
-                  description: 'Nombre único del servidor MCP'
-                },
-                command: {
-                  type: 'string',
-                  description: 'Comando para ejecutar el servidor'
-                },
-                args: {
-                  type: 'array',
-                  items: { type: 'string' },
-                  description: 'Argumentos del comando'
-                },
-                description: {
-                  type: 'string',
-                  description: 'Descripción del servidor'
-                }
-              },
-              required: ['name', 'command']
+              description: t('tools.retry_execution.params.inputs')
+            },
+            wait: {
+              type: 'boolean',
+              description: t('tools.execute_flow.params.wait'),
+              default: false
+            },
+            timeoutMs: {
+              type: 'number',
+              description: t('tools.execute_flow.params.timeoutMs'),
+              default: DEFAULT_WAIT_TIMEOUT_MS
+            },
+            pollIntervalMs: {
+              type: 'number',
+              description: t('tools.execute_flow.params.pollIntervalMs'),
+              minimum: MIN_POLL_INTERVAL_MS,
+              default: DEFAULT_POLL_INTERVAL_MS
             }
           },
-          {
-            name: 'get_flow_executions',
-            description: 'Obtiene el historial de ejecuciones de un flujo',
-            inputSchema: {
+          required: ['flowId', 'executionId']
+        },
+        outputSchema: schemas.retryExecutionResult
+      },
+      {
+        name: 'rerun_failed',
+        description: t('tools.rerun_failed.description'),
+        inputSchema: {
+          type: 'object',
+          properties: {
+            flowId: {
+              type: 'string',
+              description: t('tools.rerun_failed.params.flowId')
+            },
+            since: {
+              type: 'string',
+              format: 'date-time',
+              description: t('tools.rerun_failed.params.since')
+            },
+            until: {
+              type: 'string',
+              format: 'date-time',
+              description: t('params.until')
+            },
+            inputs: {
               type: 'object',
-              properties: {
-                flowId: {
-                  type: 'string',
-                  description: 'ID del flujo'
-                },
-                limit: {
-                  type: 'number',
-                  description: 'Límite de resultados',
-                  default: 10
-                }
-              },
-              required: ['flowId']
+              description: t('tools.rerun_failed.params.inputs')
+            },
+            limit: {
+              type: 'number',
+              description: t('tools.rerun_failed.params.limit'),
+              minimum: 1,
+              default: DEFAULT_RERUN_LIMIT
+            }
+          },
+          required: ['flowId']
+        },
+        outputSchema: schemas.rerunFailedResult
+      },
+      {
+        name: 'get_flow_stats',
+        description: t('tools.get_flow_stats.description'),
+        inputSchema: {
+          type: 'object',
+          properties: {
+            flowId: {
+              type: 'string',
+              description: t('tools.get_flow_stats.params.flowId')
+            },
+            since: {
+              type: 'string',
+              format: 'date-time',
+              description: t('tools.get_flow_stats.params.since')
+            },
+            until: {
+              type: 'string',
+              format: 'date-time',
+              description: t('params.until')
             }
           }
-        ]
-      };
-    });
-
-    // Implementar ejecución de herramientas
-    this.server.setRequestHandler(CallToolRequestSchema, async (request) => {
-      const { name, arguments: args } = request.params;
+        },
+        outputSchema: schemas.executionStats
+      },
+      {
+        name: 'export_flow',
+        description: t('tools.export_flow.description'),
+        inputSchema: {
+          type: 'object',
+          properties: {
+            flowId: {
+              type: 'string',
+              description: t('tools.export_flow.params.flowId')
+            },
+            format: {
+              type: 'string',
+              enum: BUNDLE_FORMATS,
+              description: t('tools.export_flow.params.format'),
+              default: 'json'
+            }
+          },
+          required: ['flowId']
+        },
+        outputSchema: schemas.exportFlowResult
+      },
+      {
+        name: 'import_flow',
+        description: t('tools.import_flow.description'),
+        inputSchema: {
+          type: 'object',
+          properties: {
+            bundle: {
+              type: ['object', 'string'],
+              description: t('tools.import_flow.params.bundle')
+            },
+            name: {
+              type: 'string',
+              description: t('tools.import_flow.params.name')
+            },
+            createMissingServers: {
+              type: 'boolean',
+              description: t('tools.import_flow.params.createMissingServers'),
+              default: false
+            }
+          },
+          required: ['bundle']
+        },
+        outputSchema: schemas.importFlowResult
+      },
+      {
+        name: 'list_instances',
+        description: t('tools.list_instances.description'),
+        inputSchema: {
+          type: 'object',
+          properties: {}
+        },
+        outputSchema: schemas.instanceList
+      },
+      ...this.flowToolDefinitions()
+    ];
 
-      try {
-        switch (name) {
-          case 'create_flow':
-            return await this.createFlow(args);
-          case 'list_flows':
-            return await this.listFlows(args);
-          case 'get_flow':
-            return await this.getFlow(args);
-          case 'execute_flow':
-            return await this.executeFlow(args);
-          case 'pause_flow':
-            return await this.pauseFlow(args);
-          case 'resume_flow':
-            return await this.resumeFlow(args);
-          case 'list_mcp_servers':
-            return await this.listMCPServers();
-          case 'create_mcp_server':
-            return await this.createMCPServer(args);
-          case 'get_flow_executions':
-            return await this.getFlowExecutions(args);
-          default:
-            throw new Error(`Herramienta desconocida: ${name}`);
+    // Todas las herramientas aceptan la instancia de HiveFlow a usar (salvo las
+    // generadas por flujo, que son de la instancia por defecto); las que cambian
+    // estado, además, la simulación y el token de confirmación
+    const instanceProperty = {
+      type: 'string',
+      enum: [...this.clients.keys()],
+      description: t('params.instance', { defaultInstance: this.defaultInstance })
+    };
+    const mutatingProperties = {
+      dryRun: {
+        type: 'boolean',
+        description: t('params.dryRun'),
+        default: false
+      },
+      ...(this.policy.requireConfirmation && {
+        confirmToken: {
+          type: 'string',
+          description: t('params.confirmToken')
         }
-      } catch (error) {
-        return {
-          content: [
-            {
-              type: 'text',
-              text: `❌ Error ejecutando ${name}: ${error.response?.data?.error || error.message}`
-            }
-          ],
-          isError: true
-        };
-      }
-    });
+      })
+    };
 
-    // Registrar recursos disponibles
-    this.server.setRequestHandler(ListResourcesRequestSchema, async () => {
+    return tools.map(tool => {
+      const mutating = isMutatingTool(tool.name);
       return {
-        resources: [
-          {
-            uri: 'hiveflow://flows',
-            name: 'HiveFlow Flows',
-            description: 'List of all workflow flows',
-            mimeType: 'application/json'
-          },
-          {
-            uri: 'hiveflow://mcp-servers',
-            name: 'MCP Servers',
-            description: 'List of configured MCP servers',
-            mimeType: 'application/json'
-          },
-          {
-            uri: 'hiveflow://executions',
-            name: 'Flow Executions',
-            description: 'Flow execution history',
-            mimeType: 'application/json'
+        ...tool,
+        inputSchema: {
+          ...tool.inputSchema,
+          properties: {
+            ...tool.inputSchema.properties,
+            ...(!isFlowToolName(tool.name) && { instance: instanceProperty }),
+            ...(mutating && mutatingProperties)
           }
-        ]
+        },
+        outputSchema: mutating ? schemas.withDryRun(tool.outputSchema) : tool.outputSchema,
+        annotations: { readOnlyHint: !mutating }
       };
     });
+  }
 
-    // Registrar templates de recursos
-    this.server.setRequestHandler(ListResourceTemplatesRequestSchema, async () => {
-      return {
-        resourceTemplates: [
-          {
-            uriTemplate: 'hiveflow://flows/{flowId}',
-            name: 'Specific Flow',
-            description: 'Get details of a specific flow by its ID',
-            mimeType: 'application/json'
+  // Herramientas generadas por flujo: las entradas del flujo como parámetros y,
+  // si el flujo las declara, sin admitir otras
+  flowToolDefinitions() {
+    if (!this.flowTools) return [];
+    const t = this.t;
+
+    return this.flowTools.tools.map(tool => ({
+      name: tool.name,
+      description: t('tools.run_flow.description', {
+        name: tool.flowName,
+        flowId: tool.flowId,
+        description: tool.description
+      }).trim(),
+      inputSchema: {
+        type: 'object',
+        properties: {
+          ...tool.properties,
+          wait: {
+            type: 'boolean',
+            description: t('tools.run_flow.params.wait'),
+            default: false
           },
-          {
-            uriTemplate: 'hiveflow://flows/{flowId}/executions',
-            name: 'Flow Executions',
-            description: 'Get execution history of a specific flow',
-            mimeType: 'application/json'
+          timeoutMs: {
+            type: 'number',
+            description: t('tools.run_flow.params.timeoutMs'),
+            default: DEFAULT_WAIT_TIMEOUT_MS
           }
-        ]
-      };
-    });
+        },
+        required: tool.required,
+        ...(tool.typed && { additionalProperties: false })
+      },
+      outputSchema: schemas.executionResult,
+      _meta: { 'hiveflow/flowId': tool.flowId }
+    }));
+  }
 
-    // Implementar lectura de recursos
-    this.server.setRequestHandler(ReadResourceRequestSchema, async (request) => {
-      try {
-        const { uri } = request.params;
-        console.error(`🔍 [DEBUG] Solicitando recurso: ${uri}`);
+  // Leer un recurso como contenido JSON (o YAML si se exporta un flujo en ese
+  // formato); los errores se devuelven como documento de error en JSON
+  async readResourceContents(uri) {
+    this.logger.debug('Reading resource', { uri });
 
-      // Función de emergencia que SIEMPRE devuelve algo válido
-      const emergencyResponse = (errorMsg = 'Error desconocido') => {
-        return {
-          contents: [
-            {
-              uri: uri || 'unknown',
-              mimeType: 'application/json',
-              text: JSON.stringify({
-                error: errorMsg,
-                timestamp: new Date().toISOString(),
-                uri: uri
-              }, null, 2)
-            }
-          ]
-        };
+    const parsed = parseResourceUri(uri);
+    let data;
+    let truncated = false;
+    try {
+      data = await this.withInstance(parsed.instance, () => this.readResource(parsed));
+      if (parsed.kind === 'flowExport') {
+        return { uri, ...serializeBundle(data, parsed.format) };
+      }
+      // Los listados de ejecuciones se sirven como array; el recorte va en _meta
+      if (parsed.kind === 'executions' || parsed.kind === 'flowExecutions') {
+        ({ executions: data, truncated } = data);
+      }
+    } catch (error) {
+      const hiveflowError = toHiveFlowError(error, this.t);
+      this.logger.warn('Resource read failed', { uri, code: hiveflowError.code, error: hiveflowError.message });
+      data = {
+        error: hiveflowError.toJSON(),
+        uri,
+        timestamp: new Date().toISOString()
       };
+    }
+
+    return {
+      uri,
+      mimeType: 'application/json',
+      text: JSON.stringify(data ?? null, null, 2),
+      ...(truncated && { _meta: { 'hiveflow/truncated': true } })
+    };
+  }
 
-      // Función helper para asegurar que siempre devolvemos un resultado válido
-      const createValidResponse = (data, errorMsg = null) => {
-        console.error(`🔍 [DEBUG] createValidResponse llamada con:`, {
-          hasData: !!data,
-          dataType: typeof data,
-          errorMsg: errorMsg,
-          uri: uri
+  // Obtener los datos de un recurso ya descompuesto con parseResourceUri
+  async readResource({ kind, path, flowId, processId, filters, format }) {
+    switch (kind) {
+      case 'flows':
+        return await this.fetchFlows();
+
+      case 'mcpServers':
+        return await this.fetchMcpServers();
+
+      case 'executions':
+        return await this.fetchExecutions(filters);
+
+      case 'flowExecutions':
+        return await this.fetchFlowExecutions(flowId, filters);
+
+      case 'execution':
+        return truncateExecutionDetail(await this.fetchExecutionDetail(processId));
+
+      case 'flow':
+        return await this.fetchFlow(flowId);
+
+      case 'stats':
+        return await this.fetchExecutionStats(undefined, filters);
+
+      case 'flowStats':
+        return await this.fetchExecutionStats(flowId, filters);
+
+      case 'flowExport':
+        if (!BUNDLE_FORMATS.includes(format)) {
+          throw new HiveFlowError(ERROR_CODES.VALIDATION, this.t('errors.invalidExportFormat', {
+            format,
+            formats: BUNDLE_FORMATS.join(', ')
+          }));
+        }
+        return await this.exportFlowBundle(flowId);
+
+      default:
+        throw new HiveFlowError(ERROR_CODES.NOT_FOUND, this.t('errors.resourceNotFound', { uri: path }), {
+          hint: this.t('errors.resourceNotFoundHint'),
+          details: {
+            availableResources: [
+              'hiveflow://flows',
+              'hiveflow://mcp-servers',
+              'hiveflow://executions'
+            ],
+            availableTemplates: [
+              'hiveflow://flows/{flowId}',
+              'hiveflow://flows/{flowId}/executions',
+              'hiveflow://flows/{flowId}/stats{?since,until}',
+              'hiveflow://flows/{flowId}/export{?format}',
+              'hiveflow://stats{?since,until}',
+              'hiveflow://executions{?status,since,until}',
+              'hiveflow://executions/{processId}'
+            ]
+          }
         });
-        
-        let text;
-        try {
-          if (errorMsg) {
-            text = JSON.stringify({
-              error: errorMsg,
-              uri: uri,
-              timestamp: new Date().toISOString(),
-              data: data || null
-            }, null, 2);
-          } else {
-            text = JSON.stringify(data || [], null, 2);
+    }
+  }
+
+  // Texto de un error para el usuario, con la pista de cómo resolverlo si la hay
+  formatError(message, hiveflowError) {
+    return hiveflowError.hint
+      ? `${message}\n${this.t('errors.hint', { hint: hiveflowError.hint })}`
+      : message;
+  }
+
+  /**
+   * Ejecuta una herramienta en la instancia que indiquen sus argumentos y
+   * convierte los errores en un resultado con `isError`. Lo usan el handler
+   * de tools/call y los subcomandos de la CLI.
+   */
+  async handleToolCall(name, args, extra = {}) {
+    // Las herramientas generadas por flujo ejecutan siempre en la instancia por defecto
+    const instance = this.flowTools && isFlowToolName(name) ? this.defaultInstance : args?.instance;
+    this.logger.debug('Calling tool', { tool: name, instance });
+
+    try {
+      return await this.withInstance(instance, () => this.runTool(name, args || {}, extra));
+    } catch (error) {
+      const hiveflowError = toHiveFlowError(error, this.t);
+      this.logger.warn('Tool call failed', { tool: name, code: hiveflowError.code, error: hiveflowError.message });
+      return {
+        content: [
+          {
+            type: 'text',
+            text: this.formatError(this.t('errors.toolFailed', { name, code: hiveflowError.code, message: hiveflowError.message }), hiveflowError)
           }
-          
-          console.error(`🔍 [DEBUG] JSON.stringify resultado:`, {
-            textType: typeof text,
-            textLength: text?.length,
-            textPreview: text?.substring(0, 100)
-          });
-          
-        } catch (jsonError) {
-          console.error(`🔍 [DEBUG] Error en JSON.stringify:`, jsonError);
-          text = JSON.stringify({
-            error: 'Error al serializar datos: ' + jsonError.message,
-            uri: uri,
-            timestamp: new Date().toISOString()
-          }, null, 2);
-        }
-        
-        // Asegurar que text nunca sea undefined o null
-        if (typeof text !== 'string' || text.length === 0) {
-          console.error(`🔍 [DEBUG] Text inválido, usando fallback`);
-          text = JSON.stringify({
-            error: 'Respuesta vacía',
-            uri: uri,
-            timestamp: new Date().toISOString()
-          }, null, 2);
-        }
-        
-        const result = {
-          contents: [
-            {
-              uri,
-              mimeType: 'application/json',
-              text: text
-            }
-          ]
+        ],
+        _meta: { 'hiveflow/error': hiveflowError.toJSON() },
+        isError: true
+      };
+    }
+  }
+
+  /**
+   * Ejecutar una herramienta aplicando la política (herramientas bloqueadas,
+   * simulación con `dryRun` y, si se exige, confirmación con un token de un solo
+   * uso para las que cambian estado) tras validar sus argumentos.
+   */
+  async runTool(name, rawArgs, extra) {
+    let tool = this.toolDefinitions().find(item => item.name === name);
+    if (!tool && this.flowTools && isFlowToolName(name)) {
+      // Puede ser de un flujo creado o activado desde la última consulta
+      await this.flowTools.refresh();
+      tool = this.toolDefinitions().find(item => item.name === name);
+    }
+    if (!tool) {
+      throw new HiveFlowError(ERROR_CODES.UNKNOWN_TOOL, this.t('errors.unknownTool', { name }));
+    }
+    const reason = this.policy.blockedReason(name);
+    if (reason) {
+      throw new HiveFlowError(ERROR_CODES.FORBIDDEN, this.t(`errors.toolBlocked.${reason}`, { name }), {
+        hint: this.t('errors.toolBlockedHint')
+      });
+    }
+
+    // Comprobar los argumentos contra el inputSchema antes de despachar la llamada
+    const validation = validateArguments(tool.inputSchema, rawArgs, this.t);
+    if (!validation.valid) {
+      throw new HiveFlowError(
+        ERROR_CODES.VALIDATION,
+        `${this.t('errors.invalidArguments', { name, count: validation.errors.length })}\n${formatValidationIssues(validation)}`,
+        { details: { errors: validation.errors } }
+      );
+    }
+    const args = validation.value;
+
+    if (!isMutatingTool(name)) {
+      return await this.callTool(name, args, extra);
+    }
+
+    const { dryRun, confirmToken, ...toolArgs } = args;
+    if (dryRun) {
+      return await this.previewTool(name, toolArgs, extra);
+    }
+
+    if (this.policy.needsConfirmation(name)) {
+      // La confirmación vale solo para la misma sesión, herramienta, instancia y argumentos
+      const call = { name, instance: this.instanceContext.getStore()?.instance, args: toolArgs };
+      if (!confirmToken) {
+        const preview = await this.previewTool(name, toolArgs, extra);
+        const token = this.policy.issueToken(call, extra.sessionId);
+        return {
+          content: [
+            ...preview.content,
+            { type: 'text', text: this.t('messages.confirmationRequired', { name, token, minutes: Math.round(this.policy.confirmTtlMs / 60000) }) }
+          ],
+          structuredContent: { ...preview.structuredContent, confirmToken: token }
         };
-        
-        console.error(`🔍 [DEBUG] Respuesta final creada:`, {
-          hasContents: !!result.contents,
-          contentsLength: result.contents?.length,
-          hasFirstContent: !!result.contents?.[0],
-          hasText: !!result.contents?.[0]?.text,
-          textLength: result.contents?.[0]?.text?.length,
-          textType: typeof result.contents?.[0]?.text,
-          uri: result.contents?.[0]?.uri,
-          mimeType: result.contents?.[0]?.mimeType
+      }
+      if (!this.policy.consumeToken(confirmToken, call, extra.sessionId)) {
+        throw new HiveFlowError(ERROR_CODES.VALIDATION, this.t('errors.invalidConfirmToken'), {
+          hint: this.t('errors.invalidConfirmTokenHint')
         });
-        
-        // Validación final antes de devolver
-        if (!result.contents || !result.contents[0] || typeof result.contents[0].text !== 'string') {
-          console.error(`🔍 [DEBUG] ERROR: Resultado inválido detectado!`, result);
-          // En lugar de lanzar error, crear un resultado de emergencia válido
-          return {
-            contents: [
-              {
-                uri: uri || 'unknown',
-                mimeType: 'application/json',
-                text: JSON.stringify({
-                  error: 'Error interno: no se pudo generar respuesta válida',
-                  timestamp: new Date().toISOString(),
-                  debug: 'createValidResponse falló en validación final'
-                }, null, 2)
-              }
-            ]
-          };
+      }
+    }
+
+    const result = await this.callTool(name, toolArgs, extra);
+    if (this.flowTools && FLOW_CHANGING_TOOLS.includes(name)) {
+      await this.flowTools.refresh();
+    }
+    return result;
+  }
+
+  // Ejecutar la herramienta sin cambiar nada: las lecturas y validaciones se hacen
+  // igual, pero se detiene en la primera petición que modificaría HiveFlow
+  async previewTool(name, args, extra) {
+    const store = this.instanceContext.getStore();
+    let request = null;
+    try {
+      await this.instanceContext.run(
+        { ...store, client: createDryRunClient(store?.client || this.hiveflowClient) },
+        () => this.callTool(name, { ...args, wait: false }, extra)
+      );
+    } catch (error) {
+      if (!(error instanceof DryRunRequest)) throw error;
+      request = error.request;
+    }
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: request
+            ? this.t('messages.dryRun', {
+              name,
+              method: request.method,
+              path: request.path,
+              body: request.body === null ? this.t('messages.none') : JSON.stringify(request.body, null, 2)
+            })
+            : this.t('messages.dryRunNothing', { name })
         }
-        
-        return result;
-      };
+      ],
+      structuredContent: { dryRun: true, request }
+    };
+  }
+
+  // Despachar una llamada de herramienta a su implementación
+  async callTool(name, args, extra) {
+    switch (name) {
+      case 'create_flow':
+        return await this.createFlow(args);
+      case 'list_flows':
+        return await this.listFlows(args);
+      case 'get_flow':
+        return await this.getFlow(args);
+      case 'validate_flow':
+        return this.validateFlow(args);
+      case 'diff_flows':
+        return await this.diffFlows(args);
+      case 'update_flow':
+        return await this.updateFlow(args);
+      case 'delete_flow':
+        return await this.deleteFlow(args);
+      case 'add_node':
+        return await this.addNode(args);
+      case 'remove_node':
+        return await this.removeNode(args);
+      case 'connect_nodes':
+        return await this.connectNodes(args);
+      case 'disconnect_nodes':
+        return await this.disconnectNodes(args);
+      case 'execute_flow':
+        return await this.executeFlow(args, extra);
+      case 'pause_flow':
+        return await this.pauseFlow(args);
+      case 'resume_flow':
+        return await this.resumeFlow(args);
+      case 'list_mcp_servers':
+        return await this.listMCPServers(args);
+      case 'create_mcp_server':
+        return await this.createMCPServer(args);
+      case 'get_mcp_server':
+        return await this.getMCPServer(args);
+      case 'update_mcp_server':
+        return await this.updateMCPServer(args);
+      case 'delete_mcp_server':
+        return await this.deleteMCPServer(args);
+      case 'connect_mcp_server':
+        return await this.setMCPServerConnection(args, true);
+      case 'disconnect_mcp_server':
+        return await this.setMCPServerConnection(args, false);
+      case 'test_mcp_server':
+        return await this.testMCPServer(args);
+      case 'get_flow_executions':
+        return await this.getFlowExecutions(args);
+      case 'wait_for_execution':
+        return await this.waitForExecution(args, extra);
+      case 'get_execution':
+        return await this.getExecutionDetail(args);
+      case 'cancel_execution':
+        return await this.cancelExecution(args);
+      case 'retry_execution':
+        return await this.retryExecution(args, extra);
+      case 'rerun_failed':
+        return await this.rerunFailed(args);
+      case 'get_flow_stats':
+        return await this.getFlowStats(args);
+      case 'export_flow':
+        return await this.exportFlow(args);
+      case 'import_flow':
+        return await this.importFlow(args);
+      case 'list_instances':
+        return this.listInstances();
+      default: {
+        const flowTool = this.flowTools?.get(name);
+        if (flowTool) return await this.runFlowTool(flowTool, args, extra);
+        throw new HiveFlowError(ERROR_CODES.UNKNOWN_TOOL, this.t('errors.unknownTool', { name }));
+      }
+    }
+  }
+
+  // Lanza un error con todos los problemas si la definición no es válida; con
+  // `nodeIdMap` (importaciones) los mensajes usan los IDs de nodo del bundle
+  assertValidFlow(definition, { nodeIdMap } = {}) {
+    let result = validateFlowDefinition(definition, this.t);
+    if (nodeIdMap) result = restoreNodeIds(result, nodeIdMap);
+    if (!result.valid) {
+      throw new HiveFlowError(
+        ERROR_CODES.VALIDATION,
+        `${this.t('errors.invalidFlow', { count: result.errors.length })}\n${formatValidationIssues(result)}`,
+        { hint: this.t('errors.invalidFlowHint'), details: { errors: result.errors, warnings: result.warnings } }
+      );
+    }
+    return result;
+  }
+
+  // Igual que assertValidFlow, para la definición de un servidor MCP
+  assertValidMcpServer(definition, options) {
+    const result = validateMcpServerDefinition(definition, options, this.t);
+    if (!result.valid) {
+      throw new HiveFlowError(
+        ERROR_CODES.VALIDATION,
+        `${this.t('errors.invalidMcpServer', { count: result.errors.length })}\n${formatValidationIssues(result)}`,
+        { details: { errors: result.errors } }
+      );
+    }
+  }
+
+  // Métodos de implementación de herramientas
+  validateFlow(args) {
+    const result = validateFlowDefinition({ nodes: args.nodes, edges: args.edges || [] }, this.t);
+    const issues = formatValidationIssues(result);
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: result.valid
+            ? `${this.t('messages.flowValid')}${issues ? `\n\n${this.t('messages.warnings')}:\n${issues}` : ''}`
+            : `${this.t('messages.flowInvalid', { count: result.errors.length })}\n\n${issues}`
+        }
+      ],
+      structuredContent: result,
+      isError: !result.valid
+    };
+  }
+
+  // Flujo con el que se compara en diff_flows: otro flujo de la instancia o una
+  // definición local, que puede ser un bundle de export_flow
+  async diffTarget(args) {
+    if (Boolean(args.otherFlowId) === Boolean(args.definition)) {
+      throw new HiveFlowError(ERROR_CODES.VALIDATION, this.t('errors.diffTargetRequired'));
+    }
+    if (args.otherFlowId) {
+      return await this.fetchFlow(args.otherFlowId);
+    }
+
+    if (args.definition.format !== undefined) {
+      const { bundle, error } = parseBundle(args.definition);
+      if (error) {
+        throw new HiveFlowError(ERROR_CODES.VALIDATION, this.t(...error));
+      }
+      return bundle.flow;
+    }
+    if (!Array.isArray(args.definition.nodes)) {
+      throw new HiveFlowError(ERROR_CODES.VALIDATION, this.t('errors.invalidDiffDefinition'));
+    }
+    return args.definition;
+  }
+
+  async diffFlows(args) {
+    const before = await this.fetchFlow(args.flowId);
+    const after = await this.diffTarget(args);
+    const diff = diffFlows(before, after, { ignorePositions: !args.includePositions });
+
+    const beforeLabel = this.t('messages.flowDiffTarget', { name: before.name, id: before._id || args.flowId });
+    const afterLabel = args.otherFlowId
+      ? this.t('messages.flowDiffTarget', { name: after.name, id: after._id || args.otherFlowId })
+      : this.t('messages.flowDiffLocal');
+
+    const value = (item) => {
+      const text = item === null ? 'null' : JSON.stringify(item);
+      return text.length > 80 ? `${text.slice(0, 80)}…` : text;
+    };
+    const changeLines = (changes, indent) =>
+      changes.map(change => `${indent}${change.path}: ${value(change.before)} → ${value(change.after)}`);
+    const nodeLine = (prefix, node) =>
+      `  ${prefix} ${node.id}${node.type ? ` (${node.type})` : ''}${node.label ? ` "${node.label}"` : ''}`;
+    const edgeLine = (prefix, edge) =>
+      `  ${prefix} ${edge.source}${edge.sourceHandle ? `:${edge.sourceHandle}` : ''} → ${edge.target}${edge.targetHandle ? `:${edge.targetHandle}` : ''}`;
+    const counts = (group) => ({ added: group.added.length, removed: group.removed.length, modified: group.modified.length });
+    const changed = (group) => group.added.length + group.removed.length + group.modified.length > 0;
+
+    const sections = [];
+    if (diff.flow.length > 0) {
+      sections.push([this.t('messages.flowDiffFields'), ...changeLines(diff.flow, '  ~ ')].join('\n'));
+    }
+    if (changed(diff.nodes)) {
+      sections.push([
+        this.t('messages.flowDiffNodes', counts(diff.nodes)),
+        ...diff.nodes.added.map(node => nodeLine('+', node)),
+        ...diff.nodes.removed.map(node => nodeLine('-', node)),
+        ...diff.nodes.modified.flatMap(node => [nodeLine('~', node), ...changeLines(node.changes, '      ')])
+      ].join('\n'));
+    }
+    if (changed(diff.edges)) {
+      sections.push([
+        this.t('messages.flowDiffEdges', counts(diff.edges)),
+        ...diff.edges.added.map(edge => edgeLine('+', edge)),
+        ...diff.edges.removed.map(edge => edgeLine('-', edge)),
+        ...diff.edges.modified.flatMap(edge => [edgeLine('~', edge), ...changeLines(edge.changes, '      ')])
+      ].join('\n'));
+    }
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: diff.identical
+            ? this.t('messages.flowDiffIdentical', { before: beforeLabel, after: afterLabel })
+            : `${this.t('messages.flowDiff', { before: beforeLabel, after: afterLabel })}\n\n${sections.join('\n\n')}`
+        }
+      ],
+      structuredContent: {
+        before: { flowId: before._id || args.flowId, name: before.name ?? null },
+        after: { flowId: args.otherFlowId ? after._id || args.otherFlowId : null, name: after.name ?? null },
+        ...diff
+      }
+    };
+  }
+
+  // Validar y crear un flujo en borrador; `extra` son campos adicionales (p. ej. metadatos importados)
+  async insertFlow({ name, description, nodes = [], edges = [] }, extra = {}) {
+    const validation = this.assertValidFlow({ nodes, edges });
+
+    const response = await this.hiveflowClient.post('/api/flows', {
+      ...extra,
+      name,
+      description,
+      nodes,
+      edges,
+      status: 'draft'
+    });
+
+    return { flow: response.data.data, validation };
+  }
+
+  async createFlow(args) {
+    const { flow, validation } = await this.insertFlow(args);
+    
+    return {
+      content: [
+        {
+          type: 'text',
+          text: this.t('messages.flowCreated', { name: args.name, id: flow._id, status: flow.status }) +
+            (validation.warnings.length > 0 ? `\n\n${this.t('messages.warnings')}:\n${formatValidationIssues(validation)}` : '')
+        }
+      ],
+      structuredContent: { flow, warnings: validation.warnings }
+    };
+  }
+
+  async listFlows(args) {
+    const params = {};
+    if (args.status) params.status = args.status;
+
+    const page = this.paginate(await this.fetchFlows(params), args);
+    const flows = page.items;
+    
+    const flowsList = flows.map(flow => 
+      this.t('messages.flowListItem', { name: flow.name, id: flow._id, status: flow.status || 'draft' })
+    ).join('\n');
+    
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `${this.t('messages.flowsFound', { count: flows.length, total: page.total })}\n\n${flowsList || this.t('messages.noFlows')}${this.moreResults(page)}`
+        }
+      ],
+      structuredContent: { flows, count: flows.length, total: page.total, nextCursor: page.nextCursor }
+    };
+  }
+
+  async fetchFlows(params = {}, requestOptions = {}) {
+    const response = await this.hiveflowClient.get('/api/flows', { ...requestOptions, params });
+    return response.data.data || [];
+  }
+
+  async fetchProcesses(flowId, params = {}, requestOptions = {}) {
+    const response = await this.hiveflowClient.get(this.apiPath`/api/flows/${flowId}/processes`, {
+      ...requestOptions,
+      params: { limit: PROCESS_FETCH_LIMIT, ...params }
+    });
+    return response.data.processes || [];
+  }
+
+  // Todas las ejecuciones que devuelve el backend para un flujo; `truncated` indica
+  // que se alcanzó PROCESS_FETCH_LIMIT y pueden faltar las más antiguas
+  async fetchAllProcesses(flowId, requestOptions = {}) {
+    const processes = await this.fetchProcesses(flowId, {}, requestOptions);
+    const truncated = processes.length >= PROCESS_FETCH_LIMIT;
+    if (truncated) {
+      this.logger.warn('Execution list truncated', { flowId, limit: PROCESS_FETCH_LIMIT });
+    }
+    return { processes, truncated };
+  }
+
+  // Ejecuciones de un flujo filtradas por estado y rango de tiempo, de la más reciente a la más antigua
+  async fetchFlowExecutions(flowId, filters = {}, requestOptions = {}) {
+    const executionFilters = this.parseExecutionFilters(filters);
+    const { processes, truncated } = await this.fetchAllProcesses(flowId, requestOptions);
+    return { executions: filterExecutions(processes, executionFilters), truncated };
+  }
+
+  // Ejecuciones de todos los flujos, consultando unos pocos flujos a la vez
+  async fetchExecutions(filters = {}, requestOptions = {}) {
+    const executionFilters = this.parseExecutionFilters(filters);
+    const flows = await this.fetchFlows({}, requestOptions);
+    let truncated = false;
+
+    const perFlow = await mapWithConcurrency(flows, this.config.concurrency || DEFAULT_CONCURRENCY, async (flow) => {
+      try {
+        const result = await this.fetchAllProcesses(flow._id, requestOptions);
+        truncated = truncated || result.truncated;
+        return result.processes.map(process => ({
+          flowId: flow._id,
+          flowName: flow.name,
+          processId: process.processId,
+          status: process.status,
+          startTime: process.startTime,
+          endTime: process.endTime,
+          duration: process.duration,
+          error: process.error
+        }));
+      } catch (error) {
+        this.logger.warn('Could not get flow executions', { flowId: flow._id, error: error.message });
+        return [];
+      }
+    });
+
+    return { executions: filterExecutions(perFlow.flat(), executionFilters), truncated };
+  }
+
+  // Validar los filtros de ejecuciones y convertir `since`/`until` a milisegundos
+  parseExecutionFilters({ status, since, until } = {}) {
+    const toTime = (name, value) => {
+      if (value === undefined || value === null || value === '') return undefined;
+      const time = Date.parse(value);
+      if (Number.isNaN(time)) {
+        throw new HiveFlowError(ERROR_CODES.VALIDATION, this.t('errors.invalidDate', { name, value }));
+      }
+      return time;
+    };
+
+    return {
+      status: status || undefined,
+      since: toTime('since', since),
+      until: toTime('until', until)
+    };
+  }
+
+  // Página de resultados según `cursor` y `limit` de los argumentos de una herramienta
+  paginate(items, { cursor, limit } = {}, defaultLimit = DEFAULT_PAGE_SIZE) {
+    return paginate(items, {
+      cursor,
+      limit: limit || defaultLimit,
+      onInvalidCursor: (value) => new HiveFlowError(ERROR_CODES.VALIDATION, this.t('errors.invalidCursor', { cursor: value }))
+    });
+  }
+
+  // Aviso de que hay más páginas, para el texto de las herramientas
+  moreResults(page) {
+    return page.nextCursor ? `\n\n${this.t('messages.moreResults', { cursor: page.nextCursor })}` : '';
+  }
+
+  // Aviso de que el backend devolvió PROCESS_FETCH_LIMIT ejecuciones de algún flujo
+  truncatedNote(truncated) {
+    return truncated ? `\n\n${this.t('messages.executionsTruncated', { limit: PROCESS_FETCH_LIMIT })}` : '';
+  }
+
+  async fetchMcpServers(requestOptions = {}) {
+    const response = await this.hiveflowClient.get('/api/mcp/servers', requestOptions);
+    return response.data.servers || [];
+  }
+
+  async fetchFlow(flowId) {
+    const response = await this.hiveflowClient.get(this.apiPath`/api/flows/${flowId}`);
+    const flow = response.data.flow || response.data.data;
+    if (!flow) {
+      throw new HiveFlowError(ERROR_CODES.NOT_FOUND, this.t('errors.flowNotFound', { flowId }));
+    }
+    return flow;
+  }
+
+  async saveFlow(flowId, changes) {
+    const response = await this.hiveflowClient.put(this.apiPath`/api/flows/${flowId}`, changes);
+    return response.data.flow || response.data.data || { _id: flowId, ...changes };
+  }
+
+  async getFlow(args) {
+    const flow = await this.fetchFlow(args.flowId);
+    
+    return {
+      content: [
+        {
+          type: 'text',
+          text: this.t('messages.flowDetails', {
+            name: flow.name,
+            id: flow._id,
+            status: flow.status || 'draft',
+            nodeCount: flow.nodes?.length || 0,
+            description: flow.description || this.t('messages.noDescription'),
+            updatedAt: flow.updatedAt || this.t('messages.none')
+          })
+        }
+      ],
+      structuredContent: { flow }
+    };
+  }
+
+  // Bundle portable de un flujo con las definiciones de los servidores MCP que usa
+  async exportFlowBundle(flowId) {
+    const flow = await this.fetchFlow(flowId);
+
+    let servers = [];
+    if (referencedServers(graph.getGraph(flow).nodes).length > 0) {
+      try {
+        servers = await this.fetchMcpServers();
+      } catch (error) {
+        // Sin la lista de servidores el bundle solo lleva sus nombres
+        this.logger.warn('Could not fetch MCP servers for export', { flowId, error: error.message });
+      }
+    }
+
+    return createBundle(flow, servers);
+  }
+
+  async exportFlow(args) {
+    const format = args.format || 'json';
+    if (!BUNDLE_FORMATS.includes(format)) {
+      throw new HiveFlowError(ERROR_CODES.VALIDATION, this.t('errors.invalidExportFormat', {
+        format,
+        formats: BUNDLE_FORMATS.join(', ')
+      }));
+    }
+
+    const bundle = await this.exportFlowBundle(args.flowId);
+    const { text } = serializeBundle(bundle, format);
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `${this.t('messages.flowExported', {
+            name: bundle.flow.name,
+            nodeCount: bundle.flow.nodes.length,
+            serverCount: bundle.mcpServers.length
+          })}\n\n${text}`
+        }
+      ],
+      structuredContent: { flowId: args.flowId, format, bundle }
+    };
+  }
+
+  async importFlow(args) {
+    const { bundle, error } = parseBundle(args.bundle);
+    if (error) {
+      throw new HiveFlowError(ERROR_CODES.VALIDATION, this.t(...error));
+    }
+
+    const conflicts = [];
+
+    // Evitar duplicar el nombre de un flujo existente
+    const requestedName = args.name || bundle.flow.name;
+    const existingNames = new Set((await this.fetchFlows()).map(flow => flow.name));
+    let name = requestedName;
+    for (let index = 1; existingNames.has(name); index++) {
+      name = this.t('messages.importedCopy', { name: requestedName, index });
+    }
+    if (name !== requestedName) {
+      conflicts.push({
+        type: 'flowName',
+        name: requestedName,
+        message: this.t('messages.conflictFlowName', { name: requestedName, renamed: name })
+      });
+    }
+
+    // Comprobar que los servidores MCP del bundle existen y coinciden en esta instancia
+    const missingServers = [];
+    const bundleServers = Array.isArray(bundle.mcpServers) ? bundle.mcpServers : [];
+    if (bundleServers.length > 0) {
+      const servers = await this.fetchMcpServers();
+      for (const wanted of bundleServers) {
+        const existing = servers.find(server => server.name === wanted.name);
+        if (existing) {
+          const sameDefinition = !wanted.command || (
+            existing.command === wanted.command &&
+            JSON.stringify(existing.args || []) === JSON.stringify(wanted.args || [])
+          );
+          if (!sameDefinition) {
+            conflicts.push({ type: 'serverMismatch', name: wanted.name, message: this.t('messages.conflictServerMismatch', { name: wanted.name }) });
+          }
+        } else if (!wanted.command) {
+          conflicts.push({ type: 'missingServer', name: wanted.name, message: this.t('messages.conflictServerDefinitionMissing', { name: wanted.name }) });
+        } else if (args.createMissingServers) {
+          this.assertValidMcpServer(this.mcpServerDefinition(wanted));
+          missingServers.push(wanted);
+        } else {
+          conflicts.push({ type: 'missingServer', name: wanted.name, message: this.t('messages.conflictMissingServer', { name: wanted.name }) });
+        }
+      }
+    }
+
+    // Validar el grafo antes de crear nada, para no dejar servidores registrados si la importación falla
+    const { nodes, edges, nodeIdMap } = remapNodeIds(bundle.flow);
+    const validation = this.assertValidFlow({ nodes, edges }, { nodeIdMap });
+
+    const createdServers = [];
+    for (const server of missingServers) {
+      await this.createMCPServer(server);
+      createdServers.push(server.name);
+    }
+
+    const { flow } = await this.insertFlow({
+      name,
+      description: bundle.flow.description || '',
+      nodes,
+      edges
+    }, importMetadata(bundle.flow.metadata));
+
+    const sections = [
+      this.t('messages.flowImported', { name, id: flow._id, status: flow.status, nodeCount: nodes.length })
+    ];
+    if (createdServers.length > 0) {
+      sections.push(this.t('messages.serversCreated', { names: createdServers.join(', ') }));
+    }
+    if (conflicts.length > 0) {
+      sections.push(`${this.t('messages.importConflicts')}:\n${conflicts.map(conflict => `• ${conflict.message}`).join('\n')}`);
+    }
+    if (validation.warnings.length > 0) {
+      sections.push(`${this.t('messages.warnings')}:\n${formatValidationIssues(validation)}`);
+    }
+
+    return {
+      content: [{ type: 'text', text: sections.join('\n\n') }],
+      structuredContent: { flow, nodeIdMap, conflicts, createdServers, warnings: validation.warnings }
+    };
+  }
+
+  async updateFlow(args) {
+    const changes = {};
+    for (const field of ['name', 'description', 'status', 'nodes', 'edges']) {
+      if (args[field] !== undefined) changes[field] = args[field];
+    }
+    if (Object.keys(changes).length === 0) {
+      throw new HiveFlowError(ERROR_CODES.VALIDATION, this.t('errors.noChanges'));
+    }
+
+    const current = await this.fetchFlow(args.flowId);
+    const definition = { ...graph.getGraph(current), ...changes };
+    if (changes.nodes || changes.edges) {
+      this.assertValidFlow(definition);
+    }
+    const flow = await this.saveFlow(args.flowId, definition);
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: this.t('messages.flowUpdated', { name: flow.name || current.name, fields: Object.keys(changes).join(', ') })
+        }
+      ],
+      structuredContent: { flow, changedFields: Object.keys(changes) }
+    };
+  }
+
+  async deleteFlow(args) {
+    await this.hiveflowClient.delete(this.apiPath`/api/flows/${args.flowId}`);
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: this.t('messages.flowDeleted', { id: args.flowId })
+        }
+      ],
+      structuredContent: { flowId: args.flowId, deleted: true }
+    };
+  }
+
+  async addNode(args) {
+    const flow = await this.fetchFlow(args.flowId);
+    let { graph: updated, node } = graph.addNode(graph.getGraph(flow), args.node, this.t);
+    let edge;
+    if (args.connectFrom) {
+      ({ graph: updated, edge } = graph.connectNodes(updated, { source: args.connectFrom, target: node.id }, this.t));
+    }
+    this.assertValidFlow(updated);
+    await this.saveFlow(args.flowId, updated);
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: this.t('messages.nodeAdded', { nodeId: node.id, type: node.type, name: flow.name }) +
+            (edge ? `\n${this.t('messages.nodeConnectedFrom', { source: edge.source, edgeId: edge.id })}` : '') +
+            `\n${this.t('messages.graphCounts', { nodeCount: updated.nodes.length, edgeCount: updated.edges.length })}`
+        }
+      ],
+      structuredContent: {
+        flowId: args.flowId,
+        node,
+        edge: edge || null,
+        nodeCount: updated.nodes.length,
+        edgeCount: updated.edges.length
+      }
+    };
+  }
+
+  async removeNode(args) {
+    const flow = await this.fetchFlow(args.flowId);
+    const { graph: updated, removedEdges } = graph.removeNode(graph.getGraph(flow), args.nodeId, this.t);
+    this.assertValidFlow(updated);
+    await this.saveFlow(args.flowId, updated);
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: this.t('messages.nodeRemoved', { nodeId: args.nodeId, name: flow.name, removedCount: removedEdges.length }) +
+            `\n${this.t('messages.graphCounts', { nodeCount: updated.nodes.length, edgeCount: updated.edges.length })}`
+        }
+      ],
+      structuredContent: {
+        flowId: args.flowId,
+        removedEdges,
+        nodeCount: updated.nodes.length,
+        edgeCount: updated.edges.length
+      }
+    };
+  }
+
+  async connectNodes(args) {
+    const flow = await this.fetchFlow(args.flowId);
+    const { graph: updated, edge } = graph.connectNodes(graph.getGraph(flow), args, this.t);
+    this.assertValidFlow(updated);
+    await this.saveFlow(args.flowId, updated);
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: this.t('messages.nodesConnected', { name: flow.name, source: edge.source, target: edge.target, edgeId: edge.id })
+        }
+      ],
+      structuredContent: {
+        flowId: args.flowId,
+        edge,
+        nodeCount: updated.nodes.length,
+        edgeCount: updated.edges.length
+      }
+    };
+  }
+
+  async disconnectNodes(args) {
+    if (!args.edgeId && !(args.source && args.target)) {
+      throw new HiveFlowError(ERROR_CODES.VALIDATION, this.t('errors.edgeOrNodesRequired'));
+    }
+
+    const flow = await this.fetchFlow(args.flowId);
+    const { graph: updated, removedEdges } = graph.disconnectNodes(graph.getGraph(flow), args, this.t);
+    this.assertValidFlow(updated);
+    await this.saveFlow(args.flowId, updated);
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: this.t('messages.nodesDisconnected', {
+            name: flow.name,
+            edges: removedEdges.map(edge => `${edge.source} → ${edge.target}`).join(', ')
+          })
+        }
+      ],
+      structuredContent: {
+        flowId: args.flowId,
+        removedEdges,
+        nodeCount: updated.nodes.length,
+        edgeCount: updated.edges.length
+      }
+    };
+  }
+
+  // Lanzar una ejecución; `retryOf` es la ejecución que se repite (si es un reintento)
+  async startExecution(flowId, inputs, retryOf) {
+    const body = { inputs };
+    if (retryOf) body.retryOf = retryOf;
+    const response = await this.hiveflowClient.post(this.apiPath`/api/flows/${flowId}/execute`, body);
+    return response.data;
+  }
+
+  async executeFlow(args, extra) {
+    const started = await this.startExecution(args.flowId, args.inputs || {});
+
+    if (args.wait && started.executionId) {
+      return await this.waitForExecution({
+        flowId: args.flowId,
+        executionId: started.executionId,
+        timeoutMs: args.timeoutMs,
+        pollIntervalMs: args.pollIntervalMs
+      }, extra);
+    }
+    
+    return {
+      content: [
+        {
+          type: 'text',
+          text: this.t('messages.flowExecuted', {
+            executionId: started.executionId || this.t('messages.none'),
+            status: started.status || this.t('messages.statusStarted')
+          })
+        }
+      ],
+      structuredContent: {
+        flowId: args.flowId,
+        executionId: started.executionId || null,
+        status: started.status || 'started'
+      }
+    };
+  }
+
+  // Las herramientas por flujo reciben las entradas del flujo como parámetros
+  async runFlowTool(flowTool, args, extra) {
+    const { wait, timeoutMs, instance, ...inputs } = args;
+    return await this.executeFlow({
+      flowId: flowTool.flowId,
+      inputs,
+      wait,
+      timeoutMs,
+      pollIntervalMs: DEFAULT_POLL_INTERVAL_MS
+    }, extra);
+  }
+
+  async pauseFlow(args) {
+    const response = await this.hiveflowClient.post(this.apiPath`/api/flows/${args.flowId}/pause`);
+    
+    return {
+      content: [
+        {
+          type: 'text',
+          text: this.t('messages.flowPaused', { status: response.data.status || this.t('messages.statusPaused') })
+        }
+      ],
+      structuredContent: { flowId: args.flowId, status: response.data.status || 'paused' }
+    };
+  }
+
+  async resumeFlow(args) {
+    const response = await this.hiveflowClient.post(this.apiPath`/api/flows/${args.flowId}/resume`);
+    
+    return {
+      content: [
+        {
+          type: 'text',
+          text: this.t('messages.flowResumed', { status: response.data.status || this.t('messages.statusActive') })
+        }
+      ],
+      structuredContent: { flowId: args.flowId, status: response.data.status || 'active' }
+    };
+  }
+
+  async listMCPServers(args = {}) {
+    const page = this.paginate(await this.fetchMcpServers(), args);
+    const servers = page.items;
+    
+    const serversList = servers.map(server => 
+      this.t('messages.mcpServerListItem', {
+        name: server.name,
+        status: server.status,
+        connection: this.t(server.isConnected ? 'messages.connected' : 'messages.disconnected')
+      })
+    ).join('\n');
+    
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `${this.t('messages.mcpServers', { count: servers.length, total: page.total })}\n\n${serversList || this.t('messages.noMcpServers')}${this.moreResults(page)}`
+        }
+      ],
+      structuredContent: { servers, count: servers.length, total: page.total, nextCursor: page.nextCursor }
+    };
+  }
+
+  // Buscar un servidor MCP registrado por su ID o por su nombre
+  async resolveMcpServer(serverId) {
+    const servers = await this.fetchMcpServers();
+    const server = servers.find(item => item._id === serverId || item.id === serverId) ||
+      servers.find(item => item.name === serverId);
+    if (!server) {
+      throw new HiveFlowError(ERROR_CODES.NOT_FOUND, this.t('errors.mcpServerNotFound', { serverId }), {
+        hint: this.t('errors.mcpServerNotFoundHint')
+      });
+    }
+    return server;
+  }
+
+  // Ruta del backend de un servidor MCP; los que no tienen ID se identifican por nombre
+  mcpServerPath(server, action) {
+    const path = this.apiPath`/api/mcp/servers/${server._id || server.id || server.name}`;
+    return action ? `${path}/${action}` : path;
+  }
 
-      try {
-        switch (uri) {
-          case 'hiveflow://flows':
-            console.error(`🔍 [DEBUG] Obteniendo flujos de: ${this.hiveflowClient.defaults.baseURL}/api/flows`);
-            try {
-              const flowsResponse = await this.hiveflowClient.get('/api/flows');
-              console.error(`🔍 [DEBUG] Respuesta flujos:`, {
-                status: flowsResponse.status,
-                hasData: !!flowsResponse.data,
-                dataKeys: flowsResponse.data ? Object.keys(flowsResponse.data) : [],
-                success: flowsResponse.data?.success,
-                dataLength: flowsResponse.data?.data?.length
-              });
-              
-              // Verificar que la respuesta sea exitosa y tenga datos
-              if (flowsResponse.data && flowsResponse.data.success) {
-                const flows = flowsResponse.data.data || [];
-                return createValidResponse(flows);
-              } else {
-                return createValidResponse([], 'No se pudieron obtener los flujos: ' + (flowsResponse.data?.message || 'Error desconocido'));
-              }
-            } catch (apiError) {
-              console.error(`🔍 [DEBUG] Error de API en flujos:`, {
-                message: apiError.message,
-                status: apiError.response?.status,
-                statusText: apiError.response?.statusText,
-                code: apiError.code
-              });
-              
-              let errorMessage = 'Error de conexión con el backend';
-              if (apiError.code === 'ECONNREFUSED') {
-                errorMessage = 'Backend no disponible en ' + this.hiveflowClient.defaults.baseURL + '. Asegúrate de que esté corriendo.';
-              } else if (apiError.response?.data?.message) {
-                errorMessage = apiError.response.data.message;
-              }
-              
-              return createValidResponse([], errorMessage);
-            }
-
-          case 'hiveflow://mcp-servers':
-            console.error(`🔍 [DEBUG] Obteniendo servidores MCP...`);
-            try {
-              const serversResponse = await this.hiveflowClient.get('/api/mcp/servers');
-              if (serversResponse.data && serversResponse.data.success) {
-                const servers = serversResponse.data.servers || [];
-                return createValidResponse(servers);
-              } else {
-                return createValidResponse([], 'No se pudieron obtener los servidores MCP: ' + (serversResponse.data?.message || 'Error desconocido'));
-              }
-            } catch (apiError) {
-              let errorMessage = 'Error de conexión con el backend';
-              if (apiError.code === 'ECONNREFUSED') {
-                errorMessage = 'Backend no disponible. Asegúrate de que esté corriendo en ' + this.hiveflowClient.defaults.baseURL;
-              }
-              return createValidResponse([], errorMessage);
-            }
-
-          case 'hiveflow://executions':
-            console.error(`🔍 [DEBUG] Obteniendo ejecuciones...`);
-            try {
-              // Primero obtener todos los flujos
-              const flowsResponse = await this.hiveflowClient.get('/api/flows');
-              if (flowsResponse.data && flowsResponse.data.success) {
-                const flows = flowsResponse.data.data || [];
-                let allExecutions = [];
-                
-                // Para cada flujo, obtener sus procesos/ejecuciones
-                for (const flow of flows.slice(0, 5)) { // Limitamos a 5 flujos para evitar demasiadas peticiones
-                  try {
-                    const processesResponse = await this.hiveflowClient.get(`/api/flows/${flow._id}/processes?limit=10`);
-                    if (processesResponse.data && processesResponse.data.success) {
-                      const processes = processesResponse.data.processes || [];
-                      processes.forEach(process => {
-                        allExecutions.push({
-                          flowId: flow._id,
-                          flowName: flow.name,
-                          processId: process.processId,
-                          status: process.status,
-                          startTime: process.startTime,
-                          endTime: process.endTime,
-                          duration: process.duration
-                        });
-                      });
-                    }
-                  } catch (processError) {
-                    console.error(`🔍 [DEBUG] Error obteniendo procesos para flujo ${flow._id}:`, processError.message);
-                  }
-                }
-                
-                return createValidResponse(allExecutions);
-              } else {
-                return createValidResponse([], 'No se pudieron obtener los flujos para buscar ejecuciones: ' + (flowsResponse.data?.message || 'Error desconocido'));
-              }
-            } catch (apiError) {
-              let errorMessage = 'Error de conexión con el backend';
-              if (apiError.code === 'ECONNREFUSED') {
-                errorMessage = 'Backend no disponible. Asegúrate de que esté corriendo en ' + this.hiveflowClient.defaults.baseURL;
-              }
-              return createValidResponse([], errorMessage);
-            }
-
-          default:
-            console.error(`🔍 [DEBUG] Recurso no encontrado: ${uri}`);
-            // Manejar templates de recursos con parámetros
-            if (uri.startsWith('hiveflow://flows/') && uri.includes('/executions')) {
-              // Patrón: hiveflow://flows/{flowId}/executions
-              const flowId = uri.replace('hiveflow://flows/', '').replace('/executions', '');
-              console.error(`🔍 [DEBUG] Obteniendo ejecuciones para flujo específico: ${flowId}`);
-              try {
-                const response = await this.hiveflowClient.get(`/api/flows/${flowId}/processes`, {
-                  params: { limit: 20 }
-                });
-                
-                if (response.data && response.data.success) {
-                  const processes = response.data.processes || [];
-                  return createValidResponse(processes);
-                } else {
-                  return createValidResponse([], `No se pudieron obtener las ejecuciones del flujo ${flowId}: ` + (response.data?.message || 'Error desconocido'));
-                }
-              } catch (apiError) {
-                let errorMessage = 'Error de conexión con el backend';
-                if (apiError.code === 'ECONNREFUSED') {
-                  errorMessage = 'Backend no disponible. Asegúrate de que esté corriendo en ' + this.hiveflowClient.defaults.baseURL;
-                }
-                return createValidResponse([], errorMessage);
-              }
-            } else if (uri.startsWith('hiveflow://flows/') && !uri.includes('/executions')) {
-              // Patrón: hiveflow://flows/{flowId}
-              const flowId = uri.replace('hiveflow://flows/', '');
-              console.error(`🔍 [DEBUG] Obteniendo flujo específico: ${flowId}`);
-              try {
-                const response = await this.hiveflowClient.get(`/api/flows/${flowId}`);
-                
-                if (response.data && response.data.success) {
-                  const flow = response.data.data || response.data.flow;
-                  return createValidResponse(flow);
-                } else {
-                  return createValidResponse(null, `No se pudo obtener el flujo ${flowId}: ` + (response.data?.message || 'Error desconocido'));
-                }
-              } catch (apiError) {
-                console.error(`🔍 [DEBUG] Error de API obteniendo flujo ${flowId}:`, {
-                  message: apiError.message,
-                  status: apiError.response?.status,
-                  statusText: apiError.response?.statusText,
-                  responseData: apiError.response?.data
-                });
-                
-                let errorMessage = 'Error de conexión con el backend';
-                if (apiError.code === 'ECONNREFUSED') {
-                  errorMessage = 'Backend no disponible. Asegúrate de que esté corriendo en ' + this.hiveflowClient.defaults.baseURL;
-                } else if (apiError.response?.status === 404) {
-                  errorMessage = `Flujo con ID ${flowId} no encontrado`;
-                } else if (apiError.response?.data?.message) {
-                  errorMessage = apiError.response.data.message;
-                }
-                return createValidResponse(null, errorMessage);
-              }
-            } else {
-              return createValidResponse({
-                availableResources: [
-                  'hiveflow://flows',
-                  'hiveflow://mcp-servers', 
-                  'hiveflow://executions'
-                ],
-                availableTemplates: [
-                  'hiveflow://flows/{flowId}',
-                  'hiveflow://flows/{flowId}/executions'
-                ]
-              }, `Recurso no encontrado: ${uri}`);
-            }
-        }
-      } catch (error) {
-        console.error(`🔍 [DEBUG] Error general en recursos:`, {
-          message: error.message,
-          stack: error.stack
-        });
-        
-        const errorResult = createValidResponse(null, 'Error interno del servidor MCP: ' + error.message);
-        console.error(`🔍 [DEBUG] Devolviendo resultado de error:`, errorResult);
-        return errorResult;
-      }
-      } catch (criticalError) {
-        console.error(`🔍 [DEBUG] ERROR CRÍTICO EN HANDLER:`, criticalError);
-        // Respuesta de emergencia absoluta
-        return {
-          contents: [
-            {
-              uri: request?.params?.uri || 'unknown',
-              mimeType: 'application/json',
-              text: JSON.stringify({
-                error: 'Error crítico en el servidor MCP',
-                message: criticalError.message,
-                timestamp: new Date().toISOString()
-              }, null, 2)
-            }
-          ]
-        };
-      }
+  // Lanza CONFLICT si ya hay otro servidor registrado con ese nombre
+  async assertMcpServerNameFree(name, current) {
+    const servers = await this.fetchMcpServers();
+    if (servers.some(server => server.name === name && server !== current && server.name !== current?.name)) {
+      throw new HiveFlowError(ERROR_CODES.CONFLICT, this.t('errors.mcpServerExists', { name }));
+    }
+  }
+
+  // Texto con los datos de un servidor; de `env` solo se muestran los nombres
+  formatMcpServer(server) {
+    const env = Object.keys(server.env || {});
+    return this.t('messages.mcpServerDetails', {
+      name: server.name,
+      id: server._id || server.id || this.t('messages.none'),
+      status: server.status || this.t('messages.none'),
+      connection: this.t(server.isConnected ? 'messages.connected' : 'messages.disconnected'),
+      command: [server.command, ...(server.args || [])].join(' '),
+      env: env.length > 0 ? env.join(', ') : this.t('messages.none'),
+      description: server.description || this.t('messages.noDescription')
     });
   }
 
-  // Métodos de implementación de herramientas
-  async createFlow(args) {
-    const response = await this.hiveflowClient.post('/api/flows', {
+  // Definición que se envía al registrar un servidor MCP
+  mcpServerDefinition(args) {
+    return {
       name: args.name,
-      description: args.description,
-      nodes: args.nodes || [],
-      edges: [],
-      status: 'draft'
-    });
-    
-    const flow = response.data.data;
+      command: args.command,
+      args: args.args || [],
+      env: args.env || {},
+      description: args.description || ''
+    };
+  }
+
+  async createMCPServer(args) {
+    const definition = this.mcpServerDefinition(args);
+    this.assertValidMcpServer(definition);
+    await this.assertMcpServerNameFree(definition.name);
+
+    const response = await this.hiveflowClient.post('/api/mcp/servers', definition);
+    const server = response.data.server || response.data.data || definition;
     
     return {
       content: [
         {
           type: 'text',
-          text: `✅ Flujo "${args.name}" creado exitosamente.\nID: ${flow._id}\nEstado: ${flow.status}`
+          text: this.t('messages.mcpServerCreated', { name: args.name, command: args.command })
         }
-      ]
+      ],
+      structuredContent: { server }
     };
   }
 
-  async listFlows(args) {
-    const params = {};
-    if (args.status) params.status = args.status;
-    if (args.limit) params.limit = args.limit;
+  async getMCPServer(args) {
+    const listed = await this.resolveMcpServer(args.serverId);
+    const response = await this.hiveflowClient.get(this.mcpServerPath(listed));
+    const server = { ...listed, ...(response.data.server || response.data.data) };
 
-    const response = await this.hiveflowClient.get('/api/flows', { params });
-    const flows = response.data.data || [];
-    
-    const flowsList = flows.map(flow => 
-      `• ${flow.name} (${flow._id}) - Estado: ${flow.status || 'draft'}`
-    ).join('\n');
-    
     return {
       content: [
         {
           type: 'text',
-          text: `📋 Flujos encontrados (${flows.length}):\n\n${flowsList || 'No hay flujos disponibles'}`
+          text: this.formatMcpServer(server)
         }
-      ]
+      ],
+      structuredContent: { server }
     };
   }
 
-  async getFlow(args) {
-    const response = await this.hiveflowClient.get(`/api/flows/${args.flowId}`);
-    const flow = response.data.flow;
-    
+  async updateMCPServer(args) {
+    const changes = {};
+    for (const field of ['name', 'command', 'args', 'env', 'description']) {
+      if (args[field] !== undefined) changes[field] = args[field];
+    }
+    if (Object.keys(changes).length === 0) {
+      throw new HiveFlowError(ERROR_CODES.VALIDATION, this.t('errors.noServerChanges'));
+    }
+    this.assertValidMcpServer(changes, { partial: true });
+
+    const current = await this.resolveMcpServer(args.serverId);
+    if (changes.name && changes.name !== current.name) {
+      await this.assertMcpServerNameFree(changes.name, current);
+    }
+
+    const response = await this.hiveflowClient.put(this.mcpServerPath(current), changes);
+    const server = response.data.server || response.data.data || { ...current, ...changes };
+
     return {
       content: [
         {
           type: 'text',
-          text: `📊 Detalles del flujo "${flow.name}":\n• ID: ${flow._id}\n• Estado: ${flow.status || 'draft'}\n• Nodos: ${flow.nodes?.length || 0}\n• Descripción: ${flow.description || 'Sin descripción'}\n• Última actualización: ${flow.updatedAt || 'N/A'}`
+          text: this.t('messages.mcpServerUpdated', { name: server.name, fields: Object.keys(changes).join(', ') })
         }
-      ]
+      ],
+      structuredContent: { server, changedFields: Object.keys(changes) }
     };
   }
 
-  async executeFlow(args) {
-    const response = await this.hiveflowClient.post(`/api/flows/${args.flowId}/execute`, {
-      inputs: args.inputs || {}
-    });
-    
+  async deleteMCPServer(args) {
+    const server = await this.resolveMcpServer(args.serverId);
+    await this.hiveflowClient.delete(this.mcpServerPath(server));
+
     return {
       content: [
         {
           type: 'text',
-          text: `🚀 Flujo ejecutado exitosamente.\nExecution ID: ${response.data.executionId || 'N/A'}\nEstado: ${response.data.status || 'iniciado'}`
+          text: this.t('messages.mcpServerDeleted', { name: server.name })
         }
-      ]
+      ],
+      structuredContent: { serverId: args.serverId, name: server.name, deleted: true }
     };
   }
 
-  async pauseFlow(args) {
-    const response = await this.hiveflowClient.post(`/api/flows/${args.flowId}/pause`);
-    
+  async setMCPServerConnection(args, connect) {
+    const server = await this.resolveMcpServer(args.serverId);
+    const response = await this.hiveflowClient.post(this.mcpServerPath(server, connect ? 'connect' : 'disconnect'));
+    const updated = response.data.server || response.data.data || {};
+    const isConnected = response.data.isConnected ?? updated.isConnected ?? connect;
+    const status = response.data.status || updated.status || (isConnected ? 'connected' : 'disconnected');
+
     return {
       content: [
         {
           type: 'text',
-          text: `⏸️ Flujo pausado exitosamente.\nEstado: ${response.data.status || 'pausado'}`
+          text: this.t(connect ? 'messages.mcpServerConnected' : 'messages.mcpServerDisconnected', { name: server.name, status })
         }
-      ]
+      ],
+      structuredContent: { serverId: args.serverId, name: server.name, status, isConnected }
     };
   }
 
-  async resumeFlow(args) {
-    const response = await this.hiveflowClient.post(`/api/flows/${args.flowId}/resume`);
-    
+  // Probar la conexión con un servidor MCP y listar las herramientas que expone.
+  // Un fallo de la prueba se informa como resultado, no como error de la herramienta.
+  async testMCPServer(args) {
+    const server = await this.resolveMcpServer(args.serverId);
+    const startedAt = Date.now();
+    let result;
+    try {
+      const response = await this.hiveflowClient.post(this.mcpServerPath(server, 'test'));
+      const data = response.data.data || response.data;
+      result = {
+        connected: data.connected ?? data.isConnected ?? true,
+        status: data.status || 'ok',
+        tools: (data.tools || []).map(tool => ({ name: tool.name, description: tool.description || '' })),
+        error: null
+      };
+    } catch (error) {
+      const hiveflowError = toHiveFlowError(error, this.t);
+      if (![ERROR_CODES.BACKEND_ERROR, ERROR_CODES.TIMEOUT, ERROR_CODES.VALIDATION].includes(hiveflowError.code)) {
+        throw hiveflowError;
+      }
+      result = { connected: false, status: 'failed', tools: [], error: hiveflowError.message };
+    }
+    const latencyMs = Date.now() - startedAt;
+
+    const toolsList = result.tools.map(tool =>
+      tool.description ? `• ${tool.name} - ${tool.description}` : `• ${tool.name}`
+    ).join('\n');
+
     return {
       content: [
         {
           type: 'text',
-          text: `▶️ Flujo reanudado exitosamente.\nEstado: ${response.data.status || 'activo'}`
+          text: result.connected
+            ? `${this.t('messages.mcpServerTestPassed', { name: server.name, latencyMs, count: result.tools.length })}${toolsList ? `\n\n${toolsList}` : ''}`
+            : this.t('messages.mcpServerTestFailed', { name: server.name, error: result.error || result.status })
         }
-      ]
+      ],
+      structuredContent: { serverId: args.serverId, name: server.name, latencyMs, ...result },
+      isError: !result.connected
     };
   }
 
-  async listMCPServers() {
-    const response = await this.hiveflowClient.get('/api/mcp/servers');
-    const servers = response.data.servers || [];
-    
-    const serversList = servers.map(server => 
-      `• ${server.name} - Estado: ${server.status} (${server.isConnected ? 'Conectado' : 'Desconectado'})`
+  async getFlowExecutions(args) {
+    const { executions, truncated } = await this.fetchFlowExecutions(args.flowId, args);
+    const page = this.paginate(executions, args, 10);
+    const processes = page.items;
+
+    const executionsList = processes.map(process => 
+      this.t('messages.executionListItem', {
+        id: process.processId || process._id,
+        status: process.status,
+        startTime: process.startTime,
+        duration: process.endTime ? `(${process.duration}ms)` : `(${this.t('messages.inProgress')})`
+      })
     ).join('\n');
     
     return {
       content: [
         {
           type: 'text',
-          text: `🔌 Servidores MCP (${servers.length}):\n\n${serversList || 'No hay servidores MCP configurados'}`
+          text: `${this.t('messages.executions', { count: processes.length, total: page.total })}\n\n${executionsList || this.t('messages.noExecutions')}${this.moreResults(page)}${this.truncatedNote(truncated)}`
         }
-      ]
+      ],
+      structuredContent: { flowId: args.flowId, executions: processes, count: processes.length, total: page.total, nextCursor: page.nextCursor, truncated }
     };
   }
 
-  async createMCPServer(args) {
-    const response = await this.hiveflowClient.post('/api/mcp/servers', {
-      name: args.name,
-      command: args.command,
-      args: args.args || [],
-      description: args.description || ''
-    });
-    
+  // Estadísticas de las ejecuciones de un flujo (o de todos, con el desglose por flujo)
+  // en la ventana `since`-`until`; por defecto, los últimos 7 días
+  async fetchExecutionStats(flowId, { since, until } = {}) {
+    const window = this.parseExecutionFilters({ since, until });
+    const to = window.until ?? Date.now();
+    const from = window.since ?? to - DEFAULT_STATS_WINDOW_MS;
+    const filters = { since: new Date(from).toISOString(), until: new Date(to).toISOString() };
+
+    if (flowId) {
+      const [flow, { executions, truncated }] = await Promise.all([
+        this.fetchFlow(flowId),
+        this.fetchFlowExecutions(flowId, filters)
+      ]);
+      return { flowId, flowName: flow.name, ...computeExecutionStats(executions, { since: from, until: to }), truncated };
+    }
+
+    const { executions, truncated } = await this.fetchExecutions(filters);
+    return {
+      flowId: null,
+      flowName: null,
+      ...computeExecutionStats(executions, { since: from, until: to }),
+      flows: summarizeByFlow(executions),
+      truncated
+    };
+  }
+
+  async getFlowStats(args) {
+    const stats = await this.fetchExecutionStats(args.flowId, args);
+    const percent = (rate) => (rate === null ? this.t('messages.none') : `${(rate * 100).toFixed(1)}%`);
+    const ms = (value) => (value === null ? this.t('messages.none') : `${value}ms`);
+
+    const sections = [
+      `${this.t(stats.flowId ? 'messages.statsFlow' : 'messages.statsAllFlows', { name: stats.flowName, since: stats.since, until: stats.until })}\n` +
+      this.t('messages.statsSummary', {
+        total: stats.total,
+        succeeded: stats.succeeded,
+        failed: stats.failed,
+        cancelled: stats.cancelled,
+        running: stats.running,
+        successRate: percent(stats.successRate),
+        p50: ms(stats.duration.p50),
+        p95: ms(stats.duration.p95),
+        max: ms(stats.duration.max)
+      })
+    ];
+    if (stats.topErrors.length > 0) {
+      sections.push(`${this.t('messages.statsTopErrors')}:\n${stats.topErrors.map(error => `• ${error.count}× ${error.message}`).join('\n')}`);
+    }
+    if (stats.flows?.length > 0) {
+      sections.push(`${this.t('messages.statsByFlow')}:\n${stats.flows.map(flow =>
+        this.t('messages.statsFlowItem', { name: flow.flowName || flow.flowId, total: flow.total, failed: flow.failed, failureRate: percent(flow.failureRate) })
+      ).join('\n')}`);
+    }
+    if (stats.daily.length > 0) {
+      sections.push(`${this.t('messages.statsDaily')}:\n${stats.daily.map(day =>
+        this.t('messages.statsDayItem', { date: day.date, total: day.total, succeeded: day.succeeded, failed: day.failed })
+      ).join('\n')}`);
+    }
+
+    return {
+      content: [{ type: 'text', text: sections.join('\n\n') + this.truncatedNote(stats.truncated) }],
+      structuredContent: stats
+    };
+  }
+
+  async findExecution(flowId, executionId) {
+    const matches = (process) => process.processId === executionId || process._id === executionId;
+    // Al esperar una ejecución se necesita su estado actual, no el de la caché
+    const recent = await this.fetchProcesses(flowId, { limit: RECENT_PROCESS_LIMIT }, { cache: false });
+    const found = recent.find(matches);
+    if (found || recent.length < RECENT_PROCESS_LIMIT) return found;
+
+    const processes = await this.fetchProcesses(flowId, {}, { cache: false });
+    return processes.find(matches);
+  }
+
+  // Ejecución existente de un flujo, o NOT_FOUND
+  async getExecution(flowId, executionId) {
+    const execution = await this.findExecution(flowId, executionId);
+    if (!execution) {
+      throw new HiveFlowError(ERROR_CODES.NOT_FOUND, this.t('errors.executionNotFound', { executionId, flowId }), {
+        hint: this.t('errors.executionNotFoundHint', { flowId })
+      });
+    }
+    return execution;
+  }
+
+  // Detalle de una ejecución por su ID, con los pasos de cada nodo y sus logs
+  async fetchExecutionDetail(executionId) {
+    const response = await this.hiveflowClient.get(this.apiPath`/api/processes/${executionId}`);
+    const process = response.data.process || response.data.data;
+    if (!process) {
+      throw new HiveFlowError(ERROR_CODES.NOT_FOUND, this.t('errors.executionDetailNotFound', { executionId }));
+    }
+    return normalizeExecutionDetail(process);
+  }
+
+  async getExecutionDetail(args) {
+    const detail = truncateExecutionDetail(await this.fetchExecutionDetail(args.executionId), args);
+    const compact = (value) => (typeof value === 'string' ? value : JSON.stringify(value));
+    const icons = { completed: '✅', success: '✅', succeeded: '✅', failed: '❌', error: '❌', running: '⏳', cancelled: '🛑', canceled: '🛑' };
+
+    const steps = detail.steps.map((step, index) =>
+      this.t('messages.executionStep', {
+        index: index + 1,
+        icon: icons[step.status] || '•',
+        nodeId: step.nodeId,
+        nodeType: step.nodeType || '?',
+        status: step.status,
+        duration: step.duration ?? '?'
+      }) +
+        (step.error ? `\n   ${this.t('messages.executionError', { error: step.error })}` : '') +
+        (step.inputs !== null ? `\n   ${this.t('messages.executionStepInputs', { inputs: compact(step.inputs) })}` : '') +
+        (step.outputs !== null ? `\n   ${this.t('messages.executionStepOutputs', { outputs: compact(step.outputs) })}` : '')
+    ).join('\n');
+
+    const logs = detail.logs.map(entry =>
+      `[${entry.timestamp || '-'}] ${entry.level.toUpperCase()}${entry.nodeId ? ` ${entry.nodeId}` : ''}: ${entry.message}`
+    ).join('\n');
+
+    const truncatedNote = detail.truncated.length > 0
+      ? `\n\n${this.t('messages.executionTruncated', {
+        items: detail.truncated.map(item => `${item.path} (${item.size})`).join(', ')
+      })}`
+      : '';
+
     return {
       content: [
         {
           type: 'text',
-          text: `✅ Servidor MCP "${args.name}" registrado exitosamente.\nComando: ${args.command}\nEstado: registrado`
+          text: this.t('messages.executionDetail', {
+            executionId: detail.executionId,
+            flow: detail.flowName || detail.flowId || '?',
+            status: detail.status,
+            startTime: detail.startTime || this.t('messages.none'),
+            duration: detail.duration ?? '?'
+          }) +
+            (detail.error ? `\n${this.t('messages.executionError', { error: detail.error })}` : '') +
+            `\n\n${this.t('messages.executionSteps')}\n${steps || this.t('messages.noExecutionSteps')}` +
+            `\n\n${this.t('messages.executionLogs')}\n${logs || this.t('messages.noExecutionLogs')}` +
+            truncatedNote
         }
-      ]
+      ],
+      structuredContent: { execution: detail }
     };
   }
 
-  async getFlowExecutions(args) {
-    try {
-      const response = await this.hiveflowClient.get(`/api/flows/${args.flowId}/processes`, {
-        params: { limit: args.limit || 10 }
+  async cancelExecution(args) {
+    const execution = await this.getExecution(args.flowId, args.executionId);
+    if (TERMINAL_STATUSES.includes(execution.status)) {
+      throw new HiveFlowError(ERROR_CODES.CONFLICT, this.t('errors.executionAlreadyFinished', { executionId: args.executionId, status: execution.status }));
+    }
+
+    const response = await this.hiveflowClient.post(this.apiPath`/api/flows/${args.flowId}/processes/${args.executionId}/cancel`);
+    const status = response.data.status || 'cancelled';
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: this.t('messages.executionCancelled', { executionId: args.executionId, status })
+        }
+      ],
+      structuredContent: { flowId: args.flowId, executionId: args.executionId, status }
+    };
+  }
+
+  // Repetir una ejecución terminada con sus mismas entradas, más las que se sobrescriban
+  async retryExecution(args, extra) {
+    const execution = await this.getExecution(args.flowId, args.executionId);
+    if (!TERMINAL_STATUSES.includes(execution.status)) {
+      throw new HiveFlowError(ERROR_CODES.CONFLICT, this.t('errors.executionNotFinished', { executionId: args.executionId, status: execution.status || 'pending' }), {
+        hint: this.t('errors.executionNotFinishedHint')
       });
-      
-      if (response.data && response.data.success) {
-        const processes = response.data.processes || [];
-        
-        const executionsList = processes.map(process => 
-          `• ${process.processId || process._id} - Estado: ${process.status} - ${process.startTime} ${process.endTime ? `(${process.duration}ms)` : '(en progreso)'}`
-        ).join('\n');
-        
-        return {
-          content: [
-            {
-              type: 'text',
-              text: `📈 Ejecuciones del flujo (${processes.length}):\n\n${executionsList || 'No hay ejecuciones'}`
-            }
-          ]
-        };
-      } else {
+    }
+
+    const inputs = { ...(execution.inputs || {}), ...(args.inputs || {}) };
+    const started = await this.startExecution(args.flowId, inputs, args.executionId);
+    const retry = { retryOf: args.executionId, inputs };
+
+    if (args.wait && started.executionId) {
+      const result = await this.waitForExecution({
+        flowId: args.flowId,
+        executionId: started.executionId,
+        timeoutMs: args.timeoutMs,
+        pollIntervalMs: args.pollIntervalMs
+      }, extra);
+      return {
+        ...result,
+        content: [
+          { type: 'text', text: this.t('messages.executionRetried', { executionId: started.executionId, retryOf: args.executionId }) },
+          ...result.content
+        ],
+        structuredContent: { ...result.structuredContent, ...retry }
+      };
+    }
+
+    const status = started.status || 'started';
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `${this.t('messages.executionRetried', { executionId: started.executionId || this.t('messages.none'), retryOf: args.executionId })}\n` +
+            this.t('messages.executionStatus', { status })
+        }
+      ],
+      structuredContent: { flowId: args.flowId, executionId: started.executionId || null, status, ...retry }
+    };
+  }
+
+  /**
+   * Reintenta las ejecuciones fallidas de un flujo en la ventana `since`-`until`
+   * (por defecto, las últimas 24 horas), de la más reciente a la más antigua y
+   * como mucho `limit`. Se saltan las que ya tienen un reintento.
+   */
+  async rerunFailed(args) {
+    const window = this.parseExecutionFilters(args);
+    const until = window.until ?? Date.now();
+    const since = window.since ?? until - DEFAULT_RERUN_WINDOW_MS;
+    const limit = args.limit || DEFAULT_RERUN_LIMIT;
+
+    const { processes, truncated } = await this.fetchAllProcesses(args.flowId, { cache: false });
+    const retried = new Set(processes.map(process => process.retryOf).filter(Boolean));
+    const failed = filterExecutions(processes, { since, until })
+      .filter(process => FAILURE_STATUSES.includes(process.status));
+    const pending = failed.filter(process => !retried.has(process.processId || process._id));
+    const selected = pending.slice(0, limit);
+
+    const results = [];
+    for (const process of selected) {
+      const executionId = process.processId || process._id;
+      try {
+        const started = await this.startExecution(args.flowId, { ...(process.inputs || {}), ...(args.inputs || {}) }, executionId);
+        results.push({ retryOf: executionId, executionId: started.executionId || null, status: started.status || 'started', error: null });
+      } catch (error) {
+        // La simulación se detiene en la primera petición; no es un fallo del reintento
+        if (error instanceof DryRunRequest) throw error;
+        const hiveflowError = toHiveFlowError(error, this.t);
+        this.logger.warn('Could not retry execution', { flowId: args.flowId, executionId, error: hiveflowError.message });
+        results.push({ retryOf: executionId, executionId: null, status: 'failed', error: hiveflowError.message });
+      }
+    }
+
+    const lines = results.map(result => result.error
+      ? this.t('messages.rerunItemFailed', { retryOf: result.retryOf, error: result.error })
+      : this.t('messages.rerunItem', { retryOf: result.retryOf, executionId: result.executionId, status: result.status })
+    ).join('\n');
+    const skipped = failed.length - pending.length;
+    const remaining = pending.length - selected.length;
+    const startedCount = results.filter(result => !result.error).length;
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: (results.length === 0
+            ? this.t('messages.noFailedExecutions', { flowId: args.flowId, since: new Date(since).toISOString() })
+            : `${this.t('messages.rerunFailed', { count: startedCount, total: results.length, flowId: args.flowId })}\n\n${lines}`) +
+            (skipped > 0 ? `\n\n${this.t('messages.rerunSkipped', { count: skipped })}` : '') +
+            (remaining > 0 ? `\n${this.t('messages.rerunRemaining', { count: remaining })}` : '') +
+            this.truncatedNote(truncated)
+        }
+      ],
+      structuredContent: {
+        flowId: args.flowId,
+        since: new Date(since).toISOString(),
+        until: new Date(until).toISOString(),
+        retried: results,
+        skipped,
+        remaining,
+        truncated
+      },
+      isError: results.length > 0 && startedCount === 0
+    };
+  }
+
+  // Consultar el estado de una ejecución hasta que termine, notificando el progreso
+  async waitForExecution(args, extra = {}) {
+    const timeoutMs = args.timeoutMs || DEFAULT_WAIT_TIMEOUT_MS;
+    const pollIntervalMs = args.pollIntervalMs || DEFAULT_POLL_INTERVAL_MS;
+    const progressToken = extra._meta?.progressToken;
+    const startedAt = Date.now();
+    let execution;
+    let missingPolls = 0;
+
+    while (!extra.signal?.aborted) {
+      execution = await this.findExecution(args.flowId, args.executionId);
+      missingPolls = execution ? 0 : missingPolls + 1;
+      if (missingPolls > MISSING_EXECUTION_POLLS) {
+        throw new HiveFlowError(ERROR_CODES.NOT_FOUND, this.t('errors.executionNotFound', { executionId: args.executionId, flowId: args.flowId }), {
+          hint: this.t('errors.executionNotFoundHint', { flowId: args.flowId })
+        });
+      }
+      const status = execution?.status || 'pending';
+      const elapsed = Date.now() - startedAt;
+
+      if (TERMINAL_STATUSES.includes(status)) break;
+
+      if (progressToken !== undefined && extra.sendNotification) {
+        await extra.sendNotification({
+          method: 'notifications/progress',
+          params: {
+            progressToken,
+            progress: Math.min(elapsed, timeoutMs),
+            total: timeoutMs,
+            message: this.t('messages.executionProgress', { executionId: args.executionId, status })
+          }
+        });
+      }
+
+      if (elapsed + pollIntervalMs > timeoutMs) {
         return {
           content: [
             {
               type: 'text',
-              text: `❌ Error: ${response.data?.message || 'No se pudieron obtener las ejecuciones'}`
+              text: this.t('messages.executionStillRunning', { executionId: args.executionId, timeoutMs, status })
             }
-          ]
+          ],
+          structuredContent: {
+            flowId: args.flowId,
+            executionId: args.executionId,
+            status,
+            completed: false,
+            timedOut: true
+          }
         };
       }
+
+      await sleep(pollIntervalMs, extra.signal);
+    }
+
+    if (extra.signal?.aborted) {
+      throw new HiveFlowError(ERROR_CODES.CANCELLED, this.t('errors.waitCancelled', { executionId: args.executionId }));
+    }
+
+    const succeeded = SUCCESS_STATUSES.includes(execution.status);
+    const duration = executionDuration(execution);
+    const outputs = execution.outputs ?? execution.output ?? execution.result ?? null;
+    const errorText = execution.error ? String(execution.error.message || execution.error) : null;
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: this.t('messages.executionFinished', {
+            icon: succeeded ? '✅' : '❌',
+            executionId: args.executionId,
+            status: execution.status,
+            duration: duration ?? this.t('messages.none')
+          }) +
+            (errorText ? `\n${this.t('messages.executionError', { error: errorText })}` : '') +
+            `\n${this.t('messages.executionOutputs', { outputs: JSON.stringify(outputs, null, 2) })}`
+        }
+      ],
+      structuredContent: {
+        flowId: args.flowId,
+        executionId: args.executionId,
+        status: execution.status,
+        completed: true,
+        succeeded,
+        timedOut: false,
+        duration,
+        outputs,
+        error: errorText
+      }
+    };
+  }
+
+  listInstances() {
+    const instancesList = Object.entries(this.instances).map(([name, instance]) =>
+      `• ${name}${name === this.defaultInstance ? ` (${this.t('messages.defaultMarker')})` : ''} - ${instance.apiUrl}` +
+        (instance.instanceId ? ` - Instance ID: ${instance.instanceId}` : '')
+    ).join('\n');
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `${this.t('messages.instances', { count: this.clients.size })}\n\n${instancesList}`
+        }
+      ],
+      structuredContent: {
+        defaultInstance: this.defaultInstance,
+        instances: Object.entries(this.instances).map(([name, instance]) => ({
+          name,
+          apiUrl: instance.apiUrl,
+          instanceId: instance.instanceId || null,
+          isDefault: name === this.defaultInstance
+        }))
+      }
+    };
+  }
+
+  /**
+   * Comprueba la configuración de una instancia: URL del API, API key,
+   * que HiveFlow responde y que acepta la key. Cada comprobación queda en
+   * `ok`, `failed` o `skipped` (si depende de otra que ha fallado).
+   */
+  async diagnose(name = this.defaultInstance || DEFAULT_INSTANCE) {
+    // Sin instancias configuradas se comprueba la URL de la CLI y se informa de la key que falta
+    if (!this.instances[name] && this.clients.size > 0) this.getClient(name);
+    const instance = this.instances[name] || { apiUrl: this.config.apiUrl };
+    const checks = [];
+    const check = (id, status, message, hint) => checks.push({ check: id, status, message, ...(hint ? { hint } : {}) });
+
+    let validUrl = false;
+    try {
+      validUrl = ['http:', 'https:', 'mock:'].includes(new URL(instance.apiUrl).protocol);
     } catch (error) {
-      return {
-        content: [
-          {
-            type: 'text',
-            text: `❌ Error de conexión: ${error.message}`
-          }
-        ]
-      };
+      validUrl = false;
+    }
+    if (validUrl) {
+      check('apiUrl', 'ok', instance.apiUrl);
+    } else {
+      check('apiUrl', 'failed', this.t('doctor.apiUrlInvalid', { url: instance.apiUrl }), this.t('doctor.apiUrlHint'));
+    }
+
+    if (instance.apiKey) {
+      check('apiKey', 'ok', this.t('doctor.apiKeySet', { key: `${instance.apiKey.slice(0, 4)}…` }));
+    } else {
+      check('apiKey', 'failed', this.t('doctor.apiKeyMissing'), this.t('doctor.apiKeyHint'));
+    }
+
+    if (!validUrl) {
+      check('reachable', 'skipped', this.t('doctor.skippedInvalidUrl'));
+      check('authenticated', 'skipped', this.t('doctor.skippedInvalidUrl'));
+    } else {
+      const client = this.clients.get(name) || this.createClient(instance);
+      const startedAt = Date.now();
+      try {
+        const response = await client.get('/api/flows', { cache: false });
+        const latencyMs = Date.now() - startedAt;
+        check('reachable', 'ok', this.t('doctor.reachable', { latencyMs }));
+        check('authenticated', 'ok', this.t('doctor.authenticated', { count: (response.data.data || []).length }));
+      } catch (error) {
+        const hiveflowError = toHiveFlowError(error, this.t);
+        const latencyMs = Date.now() - startedAt;
+        if ([ERROR_CODES.BACKEND_UNAVAILABLE, ERROR_CODES.TIMEOUT].includes(hiveflowError.code)) {
+          check('reachable', 'failed', hiveflowError.message, hiveflowError.hint);
+          check('authenticated', 'skipped', this.t('doctor.skippedUnreachable'));
+        } else {
+          // Cualquier respuesta del backend, aunque sea un error, demuestra que es accesible
+          check('reachable', 'ok', this.t('doctor.reachable', { latencyMs }));
+          check('authenticated', 'failed', hiveflowError.message, hiveflowError.hint);
+        }
+      }
+    }
+
+    return {
+      instance: name,
+      apiUrl: instance.apiUrl,
+      ok: checks.every(item => item.status !== 'failed'),
+      checks
+    };
+  }
+
+  formatDiagnostics(report) {
+    const icons = { ok: '✅', failed: '❌', skipped: '⏭️' };
+    const lines = report.checks.map(item =>
+      `${icons[item.status]} ${this.t(`doctor.checks.${item.check}`)}: ${item.message}` +
+        (item.hint ? `\n   💡 ${item.hint}` : '')
+    );
+    const failed = report.checks.filter(item => item.status === 'failed').length;
+
+    return `${this.t('doctor.title', { instance: report.instance })}\n\n${lines.join('\n')}\n\n` +
+      (failed === 0 ? this.t('doctor.passed') : this.t('doctor.failed', { count: failed }));
+  }
+
+  async start(options = {}) {
+    const { transport = 'stdio', host, port, authToken, allowedHosts, allowedOrigins, sessionIdleMs } = options;
+    if (this.config.mock) this.logger.info(this.t('server.mockMode'));
+    this.flowTools?.start();
+
+    if (transport === 'stdio') {
+      await this.server.connect(new StdioServerTransport());
+      this.logger.info(this.t('server.started'));
+      return;
     }
+
+    this.httpServer = await startHttpServer({
+      createServer: () => this.createMcpServer(),
+      mode: transport,
+      host,
+      port,
+      authToken,
+      allowedHosts,
+      allowedOrigins,
+      sessionIdleMs,
+      logger: this.logger
+    });
+
+    const path = transport === 'sse' ? '/sse' : '/mcp';
+    this.logger.info(this.t('server.startedHttp', { url: `http://${host}:${port}${path}`, transport }));
   }
 
-  async start() {
-    const transport = new StdioServerTransport();
-    await this.server.connect(transport);
-    console.error('🚀 HiveFlow MCP Server iniciado');
+  async stop() {
+    this.watcher.stop();
+    this.flowTools?.stop();
+    if (this.httpServer) {
+      await this.httpServer.close();
+      this.httpServer = null;
+    }
+    await this.server.close();
+    this.logger.close();
   }
 }
 
 // CLI principal
 const program = new Command();
 
+const parseNumberOption = (value, fallback) => {
+  const parsed = parseInt(value, 10);
+  return Number.isNaN(parsed) || parsed < 0 ? fallback : parsed;
+};
+
+// Configuración del servidor a partir de las opciones de la CLI; termina el proceso si no son válidas
+function buildConfig(options, { requireApiKey = true } = {}) {
+  let profiles;
+  try {
+    profiles = loadProfiles(options.profiles);
+  } catch (error) {
+    console.error(`❌ Error: ${error.message}`);
+    process.exit(1);
+  }
+
+  if (requireApiKey && !options.apiKey && !profiles && !options.mock) {
+    console.error('❌ Error: HIVEFLOW_API_KEY is required');
+    console.error('💡 Set the environment variable, use --api-key flag or define instances in a --profiles file');
+    process.exit(1);
+  }
+
+  const defaultInstance = options.defaultInstance || profiles?.defaultInstance;
+  const knownInstances = { ...profiles?.instances, ...(options.apiKey ? { [DEFAULT_INSTANCE]: true } : {}) };
+  if (defaultInstance && !knownInstances[defaultInstance]) {
+    console.error(`❌ Error: unknown default instance "${defaultInstance}"`);
+    process.exit(1);
+  }
+
+  if (!isSupportedLocale(options.locale)) {
+    console.error(`❌ Error: unsupported locale "${options.locale}"`);
+    console.error(`💡 Use one of: ${SUPPORTED_LOCALES.join(', ')}`);
+    process.exit(1);
+  }
+
+  if (!isLogLevel(options.logLevel)) {
+    console.error(`❌ Error: unknown log level "${options.logLevel}"`);
+    console.error(`💡 Use one of: ${LOG_LEVELS.join(', ')}`);
+    process.exit(1);
+  }
+
+  if (!LOG_FORMATS.includes(options.logFormat)) {
+    console.error(`❌ Error: unknown log format "${options.logFormat}"`);
+    console.error(`💡 Use one of: ${LOG_FORMATS.join(', ')}`);
+    process.exit(1);
+  }
+
+  let logger;
+  try {
+    logger = new Logger({ level: options.logLevel, format: options.logFormat, file: options.logFile });
+  } catch (error) {
+    console.error(`❌ Error: cannot open log file "${options.logFile}": ${error.message}`);
+    process.exit(1);
+  }
+
+  const config = {
+    apiUrl: options.mock ? MOCK_API_URL : options.apiUrl,
+    apiKey: options.apiKey,
+    instanceId: options.instanceId,
+    instances: profiles?.instances,
+    defaultInstance,
+    locale: options.locale,
+    logger,
+    mock: options.mock ? { executionMs: parseNumberOption(options.mockExecutionTime, DEFAULT_MOCK_EXECUTION_MS) } : false,
+    policy: {
+      readOnly: options.readOnly,
+      allowTools: options.allowTools,
+      denyTools: options.denyTools,
+      requireConfirmation: options.requireConfirmation
+    },
+    watchIntervalMs: parseInt(options.watchInterval, 10) || DEFAULT_WATCH_INTERVAL_MS,
+    flowTools: Boolean(options.flowTools),
+    http: {
+      timeoutMs: parseNumberOption(options.timeout, DEFAULT_HTTP_OPTIONS.timeoutMs),
+      retries: parseNumberOption(options.retries, DEFAULT_HTTP_OPTIONS.retries),
+      retryDelayMs: parseNumberOption(options.retryDelay, DEFAULT_HTTP_OPTIONS.retryDelayMs),
+      circuitThreshold: parseNumberOption(options.circuitThreshold, DEFAULT_HTTP_OPTIONS.circuitThreshold),
+      circuitResetMs: parseNumberOption(options.circuitReset, DEFAULT_HTTP_OPTIONS.circuitResetMs),
+      cache: options.cache && !['1', 'true'].includes(process.env.HIVEFLOW_NO_CACHE)
+    }
+  };
+
+  return config;
+}
+
 program
   .name('hiveflow-mcp')
   .description('HiveFlow MCP Server - Connect your AI assistant to HiveFlow')
@@ -802,23 +3116,82 @@ program
   .option('--api-url <url>', 'HiveFlow API URL', process.env.HIVEFLOW_API_URL || 'http://localhost:3001')
   .option('--api-key <key>', 'HiveFlow API Key', process.env.HIVEFLOW_API_KEY)
   .option('--instance-id <id>', 'HiveFlow Instance ID (for multi-tenant)', process.env.HIVEFLOW_INSTANCE_ID)
+  .option('--profiles <path>', 'Profiles file defining named HiveFlow instances', process.env.HIVEFLOW_PROFILES)
+  .option('--locale <locale>', `Language for tool descriptions and messages (${SUPPORTED_LOCALES.join(', ')})`, process.env.HIVEFLOW_LOCALE || 'en')
+  .option('--watch-interval <ms>', 'How often to poll HiveFlow for subscribed resource changes and, with --flow-tools, flow changes', process.env.HIVEFLOW_WATCH_INTERVAL || String(DEFAULT_WATCH_INTERVAL_MS))
+  .option('--timeout <ms>', 'Timeout for each HiveFlow API request', process.env.HIVEFLOW_TIMEOUT || String(DEFAULT_HTTP_OPTIONS.timeoutMs))
+  .option('--retries <count>', 'Retries for idempotent requests and rate-limited calls', process.env.HIVEFLOW_RETRIES || String(DEFAULT_HTTP_OPTIONS.retries))
+  .option('--retry-delay <ms>', 'Base delay for exponential backoff between retries', process.env.HIVEFLOW_RETRY_DELAY || String(DEFAULT_HTTP_OPTIONS.retryDelayMs))
+  .option('--circuit-threshold <count>', 'Consecutive backend failures before failing fast (0 disables)', process.env.HIVEFLOW_CIRCUIT_THRESHOLD || String(DEFAULT_HTTP_OPTIONS.circuitThreshold))
+  .option('--circuit-reset <ms>', 'How long to fail fast before trying the backend again', process.env.HIVEFLOW_CIRCUIT_RESET || String(DEFAULT_HTTP_OPTIONS.circuitResetMs))
+  .option('--log-level <level>', `Minimum level to log (${LOG_LEVELS.join(', ')})`, process.env.HIVEFLOW_LOG_LEVEL || DEFAULT_LOG_LEVEL)
+  .option('--log-format <format>', `Log format (${LOG_FORMATS.join(', ')})`, process.env.HIVEFLOW_LOG_FORMAT || 'text')
+  .option('--log-file <path>', 'Append logs to this file instead of stderr', process.env.HIVEFLOW_LOG_FILE)
+  .option('--mock', 'Serve an in-memory HiveFlow backend with sample data instead of calling the API', ['1', 'true'].includes(process.env.HIVEFLOW_MOCK))
+  .option('--mock-execution-time <ms>', 'How long simulated executions run in --mock mode', process.env.HIVEFLOW_MOCK_EXECUTION_TIME || String(DEFAULT_MOCK_EXECUTION_MS))
+  .option('--no-cache', 'Disable the in-memory cache of HiveFlow GET responses')
+  .option('--read-only', 'Only expose tools that do not change anything in HiveFlow', ['1', 'true'].includes(process.env.HIVEFLOW_READ_ONLY))
+  .option('--allow-tools <list>', 'Comma-separated tools to expose (supports * wildcards); all others are hidden', process.env.HIVEFLOW_ALLOW_TOOLS)
+  .option('--deny-tools <list>', 'Comma-separated tools to hide (supports * wildcards)', process.env.HIVEFLOW_DENY_TOOLS)
+  .option('--require-confirmation', 'Require a confirmation token before tools change anything in HiveFlow', ['1', 'true'].includes(process.env.HIVEFLOW_REQUIRE_CONFIRMATION))
+  .option('--flow-tools', 'Also publish a run_flow_<name> tool for each active flow, typed from its inputs', ['1', 'true'].includes(process.env.HIVEFLOW_FLOW_TOOLS))
+  .option('--default-instance <name>', 'Profile to use when a call does not name an instance', process.env.HIVEFLOW_DEFAULT_INSTANCE)
+  .option('--transport <type>', `Transport to serve MCP over (${TRANSPORTS.join(', ')})`, process.env.HIVEFLOW_MCP_TRANSPORT || 'stdio')
+  .option('--host <host>', 'Host to bind for http/sse transports', process.env.HIVEFLOW_MCP_HOST || '127.0.0.1')
+  .option('--port <port>', 'Port to listen on for http/sse transports', process.env.HIVEFLOW_MCP_PORT || '3000')
+  .option('--auth-token <token>', 'Bearer token that http/sse clients must send (required to bind a non-loopback host)', process.env.HIVEFLOW_MCP_AUTH_TOKEN)
+  .option('--allowed-hosts <list>', 'Comma-separated Host header values accepted by http/sse transports (default: loopback and --host)', process.env.HIVEFLOW_MCP_ALLOWED_HOSTS)
+  .option('--session-idle-timeout <ms>', 'Close http/sse sessions with no activity for this long (0 disables)', process.env.HIVEFLOW_MCP_SESSION_IDLE_TIMEOUT || String(DEFAULT_SESSION_IDLE_MS))
+  .option('--allowed-origins <list>', 'Comma-separated browser origins accepted by http/sse transports (default: origins on an allowed host)', process.env.HIVEFLOW_MCP_ALLOWED_ORIGINS)
   .action(async (options) => {
-    if (!options.apiKey) {
-      console.error('❌ Error: HIVEFLOW_API_KEY is required');
-      console.error('💡 Set the environment variable or use --api-key flag');
+    if (!TRANSPORTS.includes(options.transport)) {
+      console.error(`❌ Error: unknown transport "${options.transport}"`);
+      console.error(`💡 Use one of: ${TRANSPORTS.join(', ')}`);
       process.exit(1);
     }
 
-    const config = {
-      apiUrl: options.apiUrl,
-      apiKey: options.apiKey,
-      instanceId: options.instanceId
-    };
+    const port = parseInt(options.port, 10);
+    if (Number.isNaN(port) || port < 0 || port > 65535) {
+      console.error(`❌ Error: invalid port "${options.port}"`);
+      process.exit(1);
+    }
+
+    // Sin token, cualquiera que llegue al puerto podría usar la API key del servidor
+    if (options.transport !== 'stdio' && !isLoopbackHost(options.host) && !options.authToken) {
+      console.error(`❌ Error: --auth-token is required to listen on ${options.host}`);
+      console.error('💡 Set HIVEFLOW_MCP_AUTH_TOKEN or use --auth-token, and list the names clients use in --allowed-hosts');
+      process.exit(1);
+    }
 
+    const config = buildConfig(options);
     const server = new HiveFlowMCPServer(config);
-    await server.start();
+    await server.start({
+      transport: options.transport,
+      host: options.host,
+      port,
+      authToken: options.authToken,
+      allowedHosts: options.allowedHosts,
+      allowedOrigins: options.allowedOrigins,
+      sessionIdleMs: parseNumberOption(options.sessionIdleTimeout, DEFAULT_SESSION_IDLE_MS)
+    });
+
+    if (options.transport !== 'stdio') {
+      const shutdown = async () => {
+        await server.stop();
+        process.exit(0);
+      };
+      process.on('SIGINT', shutdown);
+      process.on('SIGTERM', shutdown);
+    }
   });
 
+// Subcomandos para usar HiveFlow desde la terminal (flows, executions, mcp-servers, doctor)
+registerCommands(program, {
+  createServer: (options, { requireApiKey } = {}) => new HiveFlowMCPServer(buildConfig(options, { requireApiKey }))
+});
+
 if (require.main === module) {
   program.parse();
-}
\ No newline at end of file
+}
+
+module.exports = { HiveFlowMCPServer, program };
\ No newline at end of file
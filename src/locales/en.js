@@ -0,0 +1,588 @@
+// English message catalog
+
+module.exports = {
+  server: {
+    started: '🚀 HiveFlow MCP Server started',
+    startedHttp: '🚀 HiveFlow MCP Server started at {url} ({transport})',
+    mockMode: '🧪 Mock mode: serving an in-memory HiveFlow backend with sample data; changes are lost on exit'
+  },
+
+  params: {
+    instance: 'HiveFlow instance to use (default: {defaultInstance})',
+    cursor: 'Cursor returned as nextCursor by the previous page (optional)',
+    since: 'Only executions started at or after this date (ISO 8601, optional)',
+    until: 'Only executions started at or before this date (ISO 8601, optional)',
+    dryRun: 'Show the request that would be sent to HiveFlow without sending it',
+    confirmToken: 'Token returned by the previous call of this tool to confirm it'
+  },
+
+  tools: {
+    create_flow: {
+      description: 'Create a new workflow in HiveFlow',
+      params: {
+        name: 'Flow name',
+        description: 'Flow description',
+        nodes: 'Flow nodes (optional)',
+        edges: 'Connections between nodes: { source, target } (optional)'
+      }
+    },
+    list_flows: {
+      description: 'List all of the user\'s workflows',
+      params: {
+        status: 'Filter by flow status (optional)',
+        limit: 'Page size (optional)'
+      }
+    },
+    get_flow: {
+      description: 'Get the details of a specific flow',
+      params: {
+        flowId: 'Flow ID'
+      }
+    },
+    validate_flow: {
+      description: 'Validate a flow definition locally (node shape, unique IDs, edges, cycles and unreachable nodes) without sending it',
+      params: {
+        nodes: 'Flow nodes',
+        edges: 'Connections between nodes'
+      }
+    },
+    diff_flows: {
+      description: 'Compare a flow with another flow or with a local definition (flow or exported bundle): added, removed and modified nodes with each changed field, and edge changes',
+      params: {
+        flowId: 'Flow to compare from (the "before" version)',
+        otherFlowId: 'Flow to compare with (the "after" version)',
+        definition: 'Local flow definition ({ name, nodes, edges }) or bundle from export_flow to compare with, instead of otherFlowId',
+        includePositions: 'Also report nodes that were only moved in the editor'
+      }
+    },
+    update_flow: {
+      description: 'Update the name, description, status or whole graph of a flow',
+      params: {
+        flowId: 'Flow ID',
+        name: 'New flow name',
+        description: 'New flow description',
+        status: 'New flow status',
+        nodes: 'Replaces all nodes of the flow',
+        edges: 'Replaces all connections of the flow'
+      }
+    },
+    delete_flow: {
+      description: 'Delete a workflow',
+      params: {
+        flowId: 'ID of the flow to delete'
+      }
+    },
+    add_node: {
+      description: 'Add a node to an existing flow',
+      params: {
+        flowId: 'Flow ID',
+        node: 'Node to add: { id?, type, data?, position? }',
+        connectFrom: 'ID of an existing node to connect the new node from (optional)'
+      }
+    },
+    remove_node: {
+      description: 'Remove a node and its connections from a flow',
+      params: {
+        flowId: 'Flow ID',
+        nodeId: 'ID of the node to remove'
+      }
+    },
+    connect_nodes: {
+      description: 'Connect two nodes of a flow with an edge',
+      params: {
+        flowId: 'Flow ID',
+        source: 'Source node ID',
+        target: 'Target node ID',
+        sourceHandle: 'Output handle of the source node (optional)',
+        targetHandle: 'Input handle of the target node (optional)'
+      }
+    },
+    disconnect_nodes: {
+      description: 'Remove a connection from a flow, by edge ID or by source and target nodes',
+      params: {
+        flowId: 'Flow ID',
+        edgeId: 'ID of the edge to remove',
+        source: 'Source node ID',
+        target: 'Target node ID'
+      }
+    },
+    execute_flow: {
+      description: 'Execute a specific workflow',
+      params: {
+        flowId: 'ID of the flow to execute',
+        inputs: 'Optional inputs for the flow',
+        wait: 'Wait for the execution to finish and return its result',
+        timeoutMs: 'Maximum wait time in milliseconds (only with wait)',
+        pollIntervalMs: 'Interval between status checks in milliseconds (only with wait)'
+      }
+    },
+    run_flow: {
+      description: 'Run the HiveFlow flow "{name}" ({flowId}). {description}',
+      params: {
+        wait: 'Wait for the execution to finish and return its result',
+        timeoutMs: 'Maximum wait time in milliseconds (only with wait)'
+      }
+    },
+    pause_flow: {
+      description: 'Pause an active flow',
+      params: {
+        flowId: 'ID of the flow to pause'
+      }
+    },
+    resume_flow: {
+      description: 'Resume a paused flow',
+      params: {
+        flowId: 'ID of the flow to resume'
+      }
+    },
+    list_mcp_servers: {
+      description: 'List the MCP servers configured in HiveFlow',
+      params: {
+        limit: 'Page size (optional)'
+      }
+    },
+    create_mcp_server: {
+      description: 'Register a new MCP server in HiveFlow',
+      params: {
+        name: 'Unique name of the MCP server',
+        command: 'Command that runs the server',
+        args: 'Command arguments',
+        env: 'Environment variables for the server process, e.g. { "API_TOKEN": "..." }',
+        description: 'Server description'
+      }
+    },
+    get_mcp_server: {
+      description: 'Get the details of a registered MCP server',
+      params: {
+        serverId: 'ID or name of the MCP server'
+      }
+    },
+    update_mcp_server: {
+      description: 'Change the name, command, arguments, environment or description of an MCP server',
+      params: {
+        serverId: 'ID or name of the MCP server',
+        name: 'New name (optional)',
+        command: 'New command (optional)',
+        args: 'New command arguments (optional)',
+        env: 'New environment variables; replaces the current ones (optional)',
+        description: 'New description (optional)'
+      }
+    },
+    delete_mcp_server: {
+      description: 'Remove a registered MCP server',
+      params: {
+        serverId: 'ID or name of the MCP server'
+      }
+    },
+    connect_mcp_server: {
+      description: 'Connect HiveFlow to a registered MCP server',
+      params: {
+        serverId: 'ID or name of the MCP server'
+      }
+    },
+    disconnect_mcp_server: {
+      description: 'Disconnect HiveFlow from an MCP server',
+      params: {
+        serverId: 'ID or name of the MCP server'
+      }
+    },
+    test_mcp_server: {
+      description: 'Test the connection to an MCP server and list the tools it exposes',
+      params: {
+        serverId: 'ID or name of the MCP server'
+      }
+    },
+    get_flow_executions: {
+      description: 'Get the execution history of a flow',
+      params: {
+        flowId: 'Flow ID',
+        status: 'Only executions with this status (optional)',
+        limit: 'Page size'
+      }
+    },
+    wait_for_execution: {
+      description: 'Wait for a flow execution to finish and return its final status, duration and outputs',
+      params: {
+        flowId: 'Flow ID',
+        executionId: 'Execution ID returned by execute_flow',
+        timeoutMs: 'Maximum wait time in milliseconds',
+        pollIntervalMs: 'Interval between status checks in milliseconds'
+      }
+    },
+    get_execution: {
+      description: 'Get the detail of an execution: per-node step timeline with inputs, outputs and errors, plus its logs',
+      params: {
+        executionId: 'Execution ID (processId)',
+        maxPayloadChars: 'Longer inputs, outputs and messages are cut to this many characters',
+        maxLogLines: 'Only the last log lines are returned'
+      }
+    },
+    cancel_execution: {
+      description: 'Cancel a running execution of a flow',
+      params: {
+        flowId: 'Flow ID',
+        executionId: 'Execution to cancel'
+      }
+    },
+    retry_execution: {
+      description: 'Run a finished execution of a flow again with the same inputs, optionally overriding some of them',
+      params: {
+        flowId: 'Flow ID',
+        executionId: 'Execution to retry',
+        inputs: 'Inputs to override; the rest are taken from the original execution (optional)'
+      }
+    },
+    rerun_failed: {
+      description: 'Retry the failed executions of a flow within a time window, skipping those already retried',
+      params: {
+        flowId: 'Flow ID',
+        since: 'Start of the window, ISO 8601 (default: 24 hours ago)',
+        inputs: 'Inputs to override in every retry (optional)',
+        limit: 'Maximum executions to retry, most recent first'
+      }
+    },
+    get_flow_stats: {
+      description: 'Execution health of a flow, or of all flows: run counts, success rate, p50/p95/max duration, most common errors and a daily trend',
+      params: {
+        flowId: 'Flow ID (optional; all flows if omitted)',
+        since: 'Start of the window, ISO 8601 (default: 7 days ago)'
+      }
+    },
+    export_flow: {
+      description: 'Export a flow as a portable bundle (nodes, edges, metadata and the MCP servers it uses) without instance-specific IDs',
+      params: {
+        flowId: 'ID of the flow to export',
+        format: 'Bundle format: json or yaml'
+      }
+    },
+    import_flow: {
+      description: 'Create a flow from a bundle made by export_flow, with new node IDs, reporting name and MCP server conflicts',
+      params: {
+        bundle: 'The bundle, as an object or as JSON/YAML text',
+        name: 'Name for the new flow (defaults to the one in the bundle)',
+        createMissingServers: 'Register the bundle\'s MCP servers that do not exist in this instance'
+      }
+    },
+    list_instances: {
+      description: 'List the configured HiveFlow instances',
+      params: {}
+    }
+  },
+
+  resources: {
+    flows: {
+      name: 'HiveFlow Flows',
+      description: 'List of all workflow flows'
+    },
+    mcpServers: {
+      name: 'MCP Servers',
+      description: 'List of configured MCP servers'
+    },
+    executions: {
+      name: 'Flow Executions',
+      description: 'Flow execution history'
+    },
+    flow: {
+      name: 'Specific Flow',
+      description: 'Get details of a specific flow by its ID (optionally from a named instance)'
+    },
+    flowExecutions: {
+      name: 'Flow Executions',
+      description: 'Get execution history of a specific flow, filtered by status and start time (optionally from a named instance)'
+    },
+    filteredExecutions: {
+      name: 'Filtered Executions',
+      description: 'Executions of all flows filtered by status and start time (since/until, ISO 8601)'
+    },
+    flowStats: {
+      name: 'Flow Stats',
+      description: 'Execution stats of a flow: success rate, duration percentiles, top errors and daily trend (since/until, default last 7 days)'
+    },
+    stats: {
+      name: 'Execution Stats',
+      description: 'Execution stats of all flows with a per-flow breakdown (since/until, default last 7 days)'
+    },
+    flowExport: {
+      name: 'Flow Export',
+      description: 'Portable bundle of a flow, as JSON or YAML (format=json|yaml), ready for import_flow'
+    },
+    execution: {
+      name: 'Execution Detail',
+      description: 'Per-node steps, inputs, outputs, errors and logs of an execution (large values truncated)'
+    }
+  },
+
+  prompts: {
+    diagnose_failed_execution: {
+      description: 'Diagnose why an execution of a flow failed and suggest a fix',
+      args: {
+        flowId: 'ID of the flow whose execution failed',
+        executionId: 'Execution to diagnose (default: the most recent failed one)',
+        instance: 'HiveFlow instance of the flow (optional)'
+      },
+      execution: 'execution {executionId}',
+      latestFailed: 'the most recent failed execution',
+      text: 'Diagnose {target} of HiveFlow flow {flowId}. The flow definition and its execution history are attached above.\n\n1. Find the execution and describe what failed, using its status, error and outputs.\n2. Point to the node or connection in the flow that most likely caused it.\n3. Propose a concrete fix. If it needs changes to the flow, say which tools to use (update_flow, add_node, connect_nodes...) and validate the result with validate_flow before saving.\n4. Suggest how to confirm the fix, for example running execute_flow with wait: true.'
+    },
+    design_flow: {
+      description: 'Design a new HiveFlow flow from a plain-language description',
+      args: {
+        description: 'What the flow should do',
+        name: 'Name for the new flow (optional)',
+        instance: 'HiveFlow instance to create the flow in (optional)'
+      },
+      named: 'Name it "{name}".',
+      unnamed: 'Choose a short, descriptive name for it.',
+      text: 'Design a HiveFlow flow that does the following:\n\n{description}\n\n{naming} The MCP servers available to the flow are attached above.\n\n1. Break the process into nodes: { id, type, data }, starting from a trigger node.\n2. Connect them with edges { source, target } so that every node is reachable and there are no cycles.\n3. Check the definition with validate_flow and fix any errors it reports.\n4. Show me the design and, once I confirm, create it with create_flow.'
+    },
+    flow_health_summary: {
+      description: 'Summarize the health of your flows and their recent executions',
+      args: {
+        since: 'Only consider executions started after this date (ISO 8601, default: last 24 hours)',
+        instance: 'HiveFlow instance to summarize (optional)'
+      },
+      text: 'Summarize the health of my HiveFlow flows since {since}. The flows and their executions in that period are attached above.\n\n- Count executions per flow and their success and failure rates.\n- Highlight flows that are failing, paused, or have executions that look stuck.\n- Mention active flows with no recent executions.\n- End with the three most important follow-ups, naming the flow IDs.'
+    }
+  },
+
+  messages: {
+    none: 'N/A',
+    noDescription: 'No description',
+    connected: 'Connected',
+    disconnected: 'Disconnected',
+    inProgress: 'in progress',
+    warnings: 'Warnings',
+    defaultMarker: 'default',
+    flowValid: '✅ The flow definition is valid.',
+    flowInvalid: '❌ The flow definition has {count} errors:',
+    flowCreated: '✅ Flow "{name}" created successfully.\nID: {id}\nStatus: {status}',
+    flowsFound: '📋 Flows found ({count} of {total}):',
+    flowListItem: '• {name} ({id}) - Status: {status}',
+    noFlows: 'No flows available',
+    flowDiff: '🔍 Changes from {before} to {after}:',
+    flowDiffIdentical: '✅ No differences between {before} and {after}',
+    flowDiffTarget: '"{name}" ({id})',
+    flowDiffLocal: 'the local definition',
+    flowDiffFields: 'Flow:',
+    flowDiffNodes: 'Nodes (+{added} -{removed} ~{modified}):',
+    flowDiffEdges: 'Edges (+{added} -{removed} ~{modified}):',
+    flowDetails: '📊 Details of flow "{name}":\n• ID: {id}\n• Status: {status}\n• Nodes: {nodeCount}\n• Description: {description}\n• Last updated: {updatedAt}',
+    flowUpdated: '✅ Flow "{name}" updated successfully.\nChanged fields: {fields}',
+    flowDeleted: '🗑️ Flow {id} deleted successfully.',
+    nodeAdded: '✅ Node {nodeId} ({type}) added to flow "{name}".',
+    nodeConnectedFrom: 'Connected from {source} (edge {edgeId})',
+    graphCounts: 'Nodes: {nodeCount} • Connections: {edgeCount}',
+    nodeRemoved: '🗑️ Node {nodeId} removed from flow "{name}".\nConnections removed: {removedCount}',
+    nodesConnected: '🔗 Nodes connected in flow "{name}": {source} → {target} (edge {edgeId})',
+    nodesDisconnected: '✂️ Connections removed from flow "{name}": {edges}',
+    flowExecuted: '🚀 Flow executed successfully.\nExecution ID: {executionId}\nStatus: {status}',
+    statusStarted: 'started',
+    flowPaused: '⏸️ Flow paused successfully.\nStatus: {status}',
+    statusPaused: 'paused',
+    flowResumed: '▶️ Flow resumed successfully.\nStatus: {status}',
+    statusActive: 'active',
+    mcpServers: '🔌 MCP servers ({count} of {total}):',
+    mcpServerListItem: '• {name} - Status: {status} ({connection})',
+    noMcpServers: 'No MCP servers configured',
+    mcpServerCreated: '✅ MCP server "{name}" registered successfully.\nCommand: {command}\nStatus: registered',
+    mcpServerDetails: '🔌 MCP server "{name}":\n• ID: {id}\n• Status: {status} ({connection})\n• Command: {command}\n• Environment: {env}\n• Description: {description}',
+    mcpServerUpdated: '✅ MCP server "{name}" updated successfully.\nChanged fields: {fields}',
+    mcpServerDeleted: '🗑️ MCP server "{name}" deleted successfully.',
+    mcpServerConnected: '🔗 MCP server "{name}" connected.\nStatus: {status}',
+    mcpServerDisconnected: '⛔ MCP server "{name}" disconnected.\nStatus: {status}',
+    mcpServerTestPassed: '✅ MCP server "{name}" answered in {latencyMs}ms and exposes {count} tools.',
+    mcpServerTestFailed: '❌ MCP server "{name}" test failed: {error}',
+    executions: '📈 Flow executions ({count} of {total}):',
+    executionListItem: '• {id} - Status: {status} - {startTime} {duration}',
+    noExecutions: 'No executions',
+    executionProgress: 'Execution {executionId}: {status}',
+    executionStillRunning: '⏳ Execution {executionId} is still running after {timeoutMs}ms.\nLast status: {status}\nUse wait_for_execution to keep waiting.',
+    executionFinished: '{icon} Execution {executionId} finished.\nStatus: {status}\nDuration: {duration}ms',
+    executionError: 'Error: {error}',
+    executionOutputs: 'Outputs: {outputs}',
+    executionStatus: 'Status: {status}',
+    executionDetail: '🔍 Execution {executionId} of {flow}\nStatus: {status} • Started: {startTime} • Duration: {duration}ms',
+    executionSteps: 'Steps:',
+    noExecutionSteps: 'No step information',
+    executionStep: '{index}. {icon} {nodeId} ({nodeType}) - {status} - {duration}ms',
+    executionStepInputs: 'Inputs: {inputs}',
+    executionStepOutputs: 'Outputs: {outputs}',
+    executionLogs: 'Logs:',
+    noExecutionLogs: 'No logs',
+    executionTruncated: '✂️ Truncated to keep the result small: {items}. Raise maxPayloadChars or maxLogLines to see more.',
+    executionCancelled: '🛑 Execution {executionId} cancelled.\nStatus: {status}',
+    executionRetried: '🔁 Execution {retryOf} retried as {executionId}.',
+    rerunFailed: '🔁 Retried {count} of {total} failed executions of flow {flowId}:',
+    rerunItem: '• {retryOf} → {executionId} ({status})',
+    rerunItemFailed: '• {retryOf} ❌ {error}',
+    rerunSkipped: 'Skipped {count} failed executions that were already retried.',
+    rerunRemaining: '{count} more failed executions were not retried because of the limit.',
+    noFailedExecutions: 'No failed executions to retry in flow {flowId} since {since}.',
+    instances: '🏢 HiveFlow instances ({count}):',
+    executionsTruncated: '⚠️ The backend returned its maximum of {limit} executions for a flow, so older executions are not included.',
+    moreResults: '➡️ More results available. Pass cursor "{cursor}" to get the next page.',
+    statsFlow: '📊 Execution stats for "{name}" ({since} → {until}):',
+    statsAllFlows: '📊 Execution stats for all flows ({since} → {until}):',
+    statsSummary: '• Runs: {total} (✅ {succeeded} • ❌ {failed} • 🛑 {cancelled} • ⏳ {running})\n• Success rate: {successRate}\n• Duration: p50 {p50} • p95 {p95} • max {max}',
+    statsTopErrors: 'Most common errors',
+    statsByFlow: 'By flow',
+    statsFlowItem: '• {name}: {failed} of {total} failed ({failureRate})',
+    statsDaily: 'Daily trend',
+    statsDayItem: '• {date}: ✅ {succeeded} • ❌ {failed} • total {total}',
+    dryRun: '🧪 Dry run of {name}. This request would be sent to HiveFlow:\n{method} {path}\n{body}',
+    dryRunNothing: '🧪 Dry run of {name}: no change would be sent to HiveFlow.',
+    confirmationRequired: '⚠️ {name} changes HiveFlow and needs confirmation. Review the request above and call {name} again with the same arguments and confirmToken "{token}" (valid for {minutes} minutes).',
+    flowExported: '📦 Flow "{name}" exported ({nodeCount} nodes, {serverCount} MCP servers):',
+    flowImported: '📥 Flow "{name}" imported.\nID: {id}\nStatus: {status}\nNodes: {nodeCount}',
+    importConflicts: 'Conflicts',
+    serversCreated: 'MCP servers registered: {names}',
+    conflictFlowName: 'A flow named "{name}" already exists; imported as "{renamed}"',
+    conflictMissingServer: 'MCP server "{name}" does not exist in this instance; register it or pass createMissingServers',
+    conflictServerDefinitionMissing: 'MCP server "{name}" does not exist and the bundle has no command to register it',
+    conflictServerMismatch: 'MCP server "{name}" exists with a different command or arguments than in the bundle',
+    importedCopy: '{name} (imported {index})'
+  },
+
+  errors: {
+    toolFailed: '❌ Error running {name} [{code}]: {message}',
+    unknownTool: 'Unknown tool: {name}',
+    unknownInstance: 'Unknown instance: {name}. Available: {available}',
+    invalidFlow: 'The flow definition is not valid ({count} errors):',
+    invalidFlowHint: 'Fix the nodes and edges listed; validate_flow checks a flow definition without saving it.',
+    flowNotFound: 'Flow with ID {flowId} not found',
+    diffTargetRequired: 'Give either otherFlowId or definition to compare the flow with, not both',
+    invalidDiffDefinition: 'definition must be a flow with a nodes array or a bundle from export_flow',
+    noChanges: 'No change given (name, description, status, nodes or edges)',
+    noServerChanges: 'No change given (name, command, args, env or description)',
+    toolBlocked: {
+      readOnly: 'Tool {name} is disabled: the server runs in read-only mode',
+      notAllowed: 'Tool {name} is not in the allowed tools list',
+      denied: 'Tool {name} is in the denied tools list'
+    },
+    toolBlockedHint: 'Ask the administrator of this MCP server to change --read-only, --allow-tools or --deny-tools.',
+    invalidConfirmToken: 'Invalid or expired confirmation token, or the arguments changed since it was issued',
+    invalidConfirmTokenHint: 'Call the tool again without confirmToken to get a new token.',
+    invalidArguments: 'Invalid arguments for {name} ({count} errors):',
+    invalidPathSegment: 'Invalid ID {value}: it must be a non-empty path segment other than "." or ".."',
+    invalidMcpServer: 'The MCP server definition is not valid ({count} errors):',
+    mcpServerNotFound: 'MCP server {serverId} not found',
+    mcpServerNotFoundHint: 'Use list_mcp_servers to see the registered servers and their IDs.',
+    mcpServerExists: 'An MCP server named "{name}" already exists',
+    edgeOrNodesRequired: 'Provide edgeId or both source and target',
+    waitCancelled: 'Wait for execution {executionId} cancelled',
+    executionNotFound: 'Execution {executionId} not found in flow {flowId}',
+    executionDetailNotFound: 'Execution {executionId} not found',
+    executionNotFoundHint: 'get_flow_executions lists the executions of flow {flowId}.',
+    executionAlreadyFinished: 'Execution {executionId} already finished with status {status}',
+    executionNotFinished: 'Execution {executionId} has not finished yet (status: {status})',
+    executionNotFinishedHint: 'Wait for it with wait_for_execution or stop it with cancel_execution before retrying.',
+    circuitOpen: 'HiveFlow backend unavailable at {url} after {failures} consecutive failures. Failing fast; retrying in {seconds}s.',
+    backendUnavailable: 'HiveFlow backend not reachable at {url}',
+    hint: '💡 {hint}',
+    resourceNotFound: 'Resource not found: {uri}',
+    invalidCursor: 'Invalid cursor: {cursor}',
+    invalidDate: 'Invalid date for {name}: {value} (use ISO 8601, e.g. 2025-01-31T00:00:00Z)',
+    unknownPrompt: 'Unknown prompt: {name}',
+    missingPromptArguments: 'Missing required arguments for prompt {name}: {arguments}',
+    resourceNotFoundHint: 'Use resources/list and resources/templates/list to see the available resources.',
+    bundleUnreadable: 'The bundle is not valid JSON or YAML: {message}',
+    notABundle: 'This is not a flow bundle (expected format "{format}"); create one with export_flow',
+    unsupportedBundleVersion: 'Bundle version {version} is not supported (up to {supported})',
+    bundleMissingFlow: 'The bundle does not contain a flow with a name',
+    invalidExportFormat: 'Invalid export format: {format} (use {formats})',
+    codes: {
+      AUTH_FAILED: 'Authentication with HiveFlow failed',
+      FORBIDDEN: 'The API key is not allowed to perform this operation',
+      NOT_FOUND: 'The requested HiveFlow resource was not found',
+      VALIDATION: 'HiveFlow rejected the request as invalid',
+      CONFLICT: 'The operation conflicts with the current state of the resource',
+      RATE_LIMITED: 'Too many requests to HiveFlow',
+      TIMEOUT: 'HiveFlow did not answer in time',
+      BACKEND_UNAVAILABLE: 'HiveFlow backend unavailable',
+      BACKEND_ERROR: 'HiveFlow returned an unexpected error',
+      UNKNOWN_INSTANCE: 'Unknown HiveFlow instance',
+      UNKNOWN_TOOL: 'Unknown tool',
+      CANCELLED: 'Operation cancelled',
+      INTERNAL: 'Internal MCP server error'
+    },
+    hints: {
+      AUTH_FAILED: 'Check that the API key (--api-key or HIVEFLOW_API_KEY) is valid for {url}.',
+      FORBIDDEN: 'Use an API key with permission for this operation.',
+      NOT_FOUND: 'Check the ID; list_flows and get_flow show the available flows and nodes.',
+      VALIDATION: 'Fix the values listed in the message and try again.',
+      CONFLICT: 'Reload the resource and retry with its current state.',
+      RATE_LIMITED: 'Wait a moment before retrying or lower the request rate.',
+      TIMEOUT: 'Try again or raise --timeout.',
+      BACKEND_UNAVAILABLE: 'Make sure HiveFlow is running and reachable at {url}.',
+      BACKEND_ERROR: 'Try again later; if it persists, check the HiveFlow logs.',
+      UNKNOWN_INSTANCE: 'Use list_instances to see the configured instances.',
+      UNKNOWN_TOOL: 'Use tools/list to see the available tools.',
+      CANCELLED: 'Run the operation again if you still need it.',
+      INTERNAL: 'Check the MCP server logs for details.'
+    }
+  },
+
+  validation: {
+    nodesNotArray: 'nodes must be an array',
+    edgesNotArray: 'edges must be an array',
+    nodeNotObject: 'The node must be an object',
+    nodeIdMissing: 'The node must have a string id',
+    nodeIdDuplicate: 'Duplicate node ID "{id}" (already used in nodes[{index}])',
+    nodeTypeMissing: 'The node must have a string type',
+    nodeDataInvalid: 'data must be an object',
+    nodePositionInvalid: 'position must be an object { x: number, y: number }',
+    edgeNotObject: 'The edge must be an object',
+    edgeIdDuplicate: 'Duplicate edge ID "{id}" (already used in edges[{index}])',
+    edgeEndMissing: 'The edge must have a string {end}',
+    edgeEndUnknown: 'The edge points to the missing node "{id}"',
+    edgeCycle: 'The edge creates a cycle: {cycle}',
+    nodeUnreachable: 'Node "{id}" is not reachable from any entry node',
+    serverNameMissing: 'The server must have a name',
+    serverNameInvalid: 'Invalid server name "{name}": use letters, digits, ".", "_" and "-", starting with a letter or digit',
+    serverCommandMissing: 'The server must have a command',
+    serverArgsNotArray: 'args must be an array of strings',
+    serverArgNotString: 'Each argument must be a string',
+    serverEnvNotObject: 'env must be an object of NAME: value pairs',
+    serverEnvNameInvalid: 'Invalid environment variable name "{name}"',
+    serverEnvValueNotString: 'Environment variable values must be strings',
+    serverDescriptionInvalid: 'description must be a string'
+  },
+
+  arguments: {
+    root: 'arguments',
+    required: 'Required',
+    wrongType: 'Expected {expected}, got {actual}',
+    notInEnum: '{value} is not one of: {allowed}',
+    belowMinimum: 'Must be at least {minimum}',
+    unexpected: 'Unknown parameter'
+  },
+
+  graph: {
+    nodeExists: 'A node with ID {nodeId} already exists',
+    nodeNotFound: 'Node {nodeId} not found in the flow',
+    alreadyConnected: 'Nodes {source} and {target} are already connected (edge {edgeId})',
+    edgeNotFound: 'Edge {edgeId} not found in the flow',
+    notConnected: 'There is no connection between {source} and {target}'
+  },
+
+  doctor: {
+    title: '🩺 Checking HiveFlow instance "{instance}"',
+    checks: {
+      apiUrl: 'API URL',
+      apiKey: 'API key',
+      reachable: 'Reachability',
+      authenticated: 'Authentication'
+    },
+    apiUrlInvalid: '{url} is not a valid http(s) URL',
+    apiUrlHint: 'Set --api-url or HIVEFLOW_API_URL, e.g. https://api.hiveflow.ai',
+    apiKeySet: 'configured ({key})',
+    apiKeyMissing: 'no API key configured',
+    apiKeyHint: 'Set --api-key or HIVEFLOW_API_KEY, or define the instance in a --profiles file',
+    reachable: 'HiveFlow answered in {latencyMs}ms',
+    authenticated: 'API key accepted; {count} flows visible',
+    skippedInvalidUrl: 'skipped, the API URL is not valid',
+    skippedUnreachable: 'skipped, HiveFlow is not reachable',
+    passed: '✅ All checks passed',
+    failed: '❌ {count} checks failed'
+  }
+};
@@ -0,0 +1,588 @@
+// Catálogo de mensajes en español
+
+module.exports = {
+  server: {
+    started: '🚀 HiveFlow MCP Server iniciado',
+    startedHttp: '🚀 HiveFlow MCP Server iniciado en {url} ({transport})',
+    mockMode: '🧪 Modo mock: se usa un backend de HiveFlow en memoria con datos de ejemplo; los cambios se pierden al salir'
+  },
+
+  params: {
+    instance: 'Instancia de HiveFlow (por defecto: {defaultInstance})',
+    cursor: 'Cursor devuelto como nextCursor por la página anterior (opcional)',
+    since: 'Solo ejecuciones iniciadas en esta fecha o después (ISO 8601, opcional)',
+    until: 'Solo ejecuciones iniciadas en esta fecha o antes (ISO 8601, opcional)',
+    dryRun: 'Mostrar la petición que se enviaría a HiveFlow sin enviarla',
+    confirmToken: 'Token devuelto por la llamada anterior de esta herramienta para confirmarla'
+  },
+
+  tools: {
+    create_flow: {
+      description: 'Crea un nuevo flujo de trabajo en HiveFlow',
+      params: {
+        name: 'Nombre del flujo',
+        description: 'Descripción del flujo',
+        nodes: 'Nodos del flujo (opcional)',
+        edges: 'Conexiones entre nodos: { source, target } (opcional)'
+      }
+    },
+    list_flows: {
+      description: 'Lista todos los flujos de trabajo del usuario',
+      params: {
+        status: 'Filtrar por estado del flujo (opcional)',
+        limit: 'Tamaño de página (opcional)'
+      }
+    },
+    get_flow: {
+      description: 'Obtiene detalles de un flujo específico',
+      params: {
+        flowId: 'ID del flujo'
+      }
+    },
+    validate_flow: {
+      description: 'Valida localmente la definición de un flujo (forma de los nodos, IDs únicos, edges, ciclos y nodos inalcanzables) sin enviarla',
+      params: {
+        nodes: 'Nodos del flujo',
+        edges: 'Conexiones entre nodos'
+      }
+    },
+    diff_flows: {
+      description: 'Compara un flujo con otro flujo o con una definición local (flujo o bundle exportado): nodos añadidos, eliminados y modificados con cada campo cambiado, y cambios en los edges',
+      params: {
+        flowId: 'Flujo desde el que se compara (la versión "antes")',
+        otherFlowId: 'Flujo con el que se compara (la versión "después")',
+        definition: 'Definición local del flujo ({ name, nodes, edges }) o bundle de export_flow con la que comparar, en lugar de otherFlowId',
+        includePositions: 'Informar también de los nodos que solo se han movido en el editor'
+      }
+    },
+    update_flow: {
+      description: 'Actualiza el nombre, la descripción, el estado o el grafo completo de un flujo',
+      params: {
+        flowId: 'ID del flujo',
+        name: 'Nuevo nombre del flujo',
+        description: 'Nueva descripción del flujo',
+        status: 'Nuevo estado del flujo',
+        nodes: 'Reemplaza todos los nodos del flujo',
+        edges: 'Reemplaza todas las conexiones del flujo'
+      }
+    },
+    delete_flow: {
+      description: 'Elimina un flujo de trabajo',
+      params: {
+        flowId: 'ID del flujo a eliminar'
+      }
+    },
+    add_node: {
+      description: 'Añade un nodo a un flujo existente',
+      params: {
+        flowId: 'ID del flujo',
+        node: 'Nodo a añadir: { id?, type, data?, position? }',
+        connectFrom: 'ID de un nodo existente desde el que conectar el nuevo nodo (opcional)'
+      }
+    },
+    remove_node: {
+      description: 'Elimina un nodo de un flujo junto con sus conexiones',
+      params: {
+        flowId: 'ID del flujo',
+        nodeId: 'ID del nodo a eliminar'
+      }
+    },
+    connect_nodes: {
+      description: 'Conecta dos nodos de un flujo con un edge',
+      params: {
+        flowId: 'ID del flujo',
+        source: 'ID del nodo origen',
+        target: 'ID del nodo destino',
+        sourceHandle: 'Salida del nodo origen (opcional)',
+        targetHandle: 'Entrada del nodo destino (opcional)'
+      }
+    },
+    disconnect_nodes: {
+      description: 'Elimina una conexión de un flujo, por ID de edge o por nodos origen y destino',
+      params: {
+        flowId: 'ID del flujo',
+        edgeId: 'ID del edge a eliminar',
+        source: 'ID del nodo origen',
+        target: 'ID del nodo destino'
+      }
+    },
+    execute_flow: {
+      description: 'Ejecuta un flujo de trabajo específico',
+      params: {
+        flowId: 'ID del flujo a ejecutar',
+        inputs: 'Inputs opcionales para el flujo',
+        wait: 'Esperar a que la ejecución termine y devolver su resultado',
+        timeoutMs: 'Tiempo máximo de espera en milisegundos (solo con wait)',
+        pollIntervalMs: 'Intervalo entre consultas de estado en milisegundos (solo con wait)'
+      }
+    },
+    run_flow: {
+      description: 'Ejecuta el flujo de HiveFlow "{name}" ({flowId}). {description}',
+      params: {
+        wait: 'Esperar a que la ejecución termine y devolver su resultado',
+        timeoutMs: 'Tiempo máximo de espera en milisegundos (solo con wait)'
+      }
+    },
+    pause_flow: {
+      description: 'Pausa un flujo activo',
+      params: {
+        flowId: 'ID del flujo a pausar'
+      }
+    },
+    resume_flow: {
+      description: 'Reanuda un flujo pausado',
+      params: {
+        flowId: 'ID del flujo a reanudar'
+      }
+    },
+    list_mcp_servers: {
+      description: 'Lista los servidores MCP configurados en HiveFlow',
+      params: {
+        limit: 'Tamaño de página (opcional)'
+      }
+    },
+    create_mcp_server: {
+      description: 'Registra un nuevo servidor MCP en HiveFlow',
+      params: {
+        name: 'Nombre único del servidor MCP',
+        command: 'Comando para ejecutar el servidor',
+        args: 'Argumentos del comando',
+        env: 'Variables de entorno del proceso del servidor, p. ej. { "API_TOKEN": "..." }',
+        description: 'Descripción del servidor'
+      }
+    },
+    get_mcp_server: {
+      description: 'Obtiene los detalles de un servidor MCP registrado',
+      params: {
+        serverId: 'ID o nombre del servidor MCP'
+      }
+    },
+    update_mcp_server: {
+      description: 'Cambia el nombre, comando, argumentos, entorno o descripción de un servidor MCP',
+      params: {
+        serverId: 'ID o nombre del servidor MCP',
+        name: 'Nuevo nombre (opcional)',
+        command: 'Nuevo comando (opcional)',
+        args: 'Nuevos argumentos del comando (opcional)',
+        env: 'Nuevas variables de entorno; sustituyen a las actuales (opcional)',
+        description: 'Nueva descripción (opcional)'
+      }
+    },
+    delete_mcp_server: {
+      description: 'Elimina un servidor MCP registrado',
+      params: {
+        serverId: 'ID o nombre del servidor MCP'
+      }
+    },
+    connect_mcp_server: {
+      description: 'Conecta HiveFlow a un servidor MCP registrado',
+      params: {
+        serverId: 'ID o nombre del servidor MCP'
+      }
+    },
+    disconnect_mcp_server: {
+      description: 'Desconecta HiveFlow de un servidor MCP',
+      params: {
+        serverId: 'ID o nombre del servidor MCP'
+      }
+    },
+    test_mcp_server: {
+      description: 'Prueba la conexión con un servidor MCP y listar las herramientas que expone',
+      params: {
+        serverId: 'ID o nombre del servidor MCP'
+      }
+    },
+    get_flow_executions: {
+      description: 'Obtiene el historial de ejecuciones de un flujo',
+      params: {
+        flowId: 'ID del flujo',
+        status: 'Solo ejecuciones con este estado (opcional)',
+        limit: 'Tamaño de página'
+      }
+    },
+    wait_for_execution: {
+      description: 'Espera a que una ejecución de un flujo termine y devuelve su estado final, duración y outputs',
+      params: {
+        flowId: 'ID del flujo',
+        executionId: 'ID de la ejecución devuelto por execute_flow',
+        timeoutMs: 'Tiempo máximo de espera en milisegundos',
+        pollIntervalMs: 'Intervalo entre consultas de estado en milisegundos'
+      }
+    },
+    get_execution: {
+      description: 'Obtiene el detalle de una ejecución: los pasos de cada nodo con sus entradas, salidas y errores, y sus logs',
+      params: {
+        executionId: 'ID de la ejecución (processId)',
+        maxPayloadChars: 'Las entradas, salidas y mensajes más largos se recortan a este número de caracteres',
+        maxLogLines: 'Solo se devuelven las últimas líneas de log'
+      }
+    },
+    cancel_execution: {
+      description: 'Cancela una ejecución en curso de un flujo',
+      params: {
+        flowId: 'ID del flujo',
+        executionId: 'Ejecución a cancelar'
+      }
+    },
+    retry_execution: {
+      description: 'Vuelve a ejecutar una ejecución terminada de un flujo con las mismas entradas, sobrescribiendo opcionalmente algunas',
+      params: {
+        flowId: 'ID del flujo',
+        executionId: 'Ejecución a reintentar',
+        inputs: 'Entradas a sobrescribir; el resto se toman de la ejecución original (opcional)'
+      }
+    },
+    rerun_failed: {
+      description: 'Reintenta las ejecuciones fallidas de un flujo en una ventana de tiempo, saltándose las que ya se reintentaron',
+      params: {
+        flowId: 'ID del flujo',
+        since: 'Inicio de la ventana, ISO 8601 (por defecto: hace 24 horas)',
+        inputs: 'Entradas a sobrescribir en todos los reintentos (opcional)',
+        limit: 'Máximo de ejecuciones a reintentar, de la más reciente a la más antigua'
+      }
+    },
+    get_flow_stats: {
+      description: 'Muestra la salud de las ejecuciones de un flujo, o de todos: número de ejecuciones, tasa de éxito, duración p50/p95/máxima, errores más comunes y tendencia diaria',
+      params: {
+        flowId: 'ID del flujo (opcional; todos los flujos si se omite)',
+        since: 'Inicio de la ventana, ISO 8601 (por defecto: hace 7 días)'
+      }
+    },
+    export_flow: {
+      description: 'Exporta un flujo como bundle portable (nodos, edges, metadatos y los servidores MCP que usa) sin IDs propios de la instancia',
+      params: {
+        flowId: 'ID del flujo a exportar',
+        format: 'Formato del bundle: json o yaml'
+      }
+    },
+    import_flow: {
+      description: 'Crea un flujo a partir de un bundle de export_flow, con IDs de nodo nuevos, informando de conflictos de nombre y de servidores MCP',
+      params: {
+        bundle: 'El bundle, como objeto o como texto JSON/YAML',
+        name: 'Nombre del flujo nuevo (por defecto, el del bundle)',
+        createMissingServers: 'Registrar los servidores MCP del bundle que no existan en esta instancia'
+      }
+    },
+    list_instances: {
+      description: 'Lista las instancias de HiveFlow configuradas',
+      params: {}
+    }
+  },
+
+  resources: {
+    flows: {
+      name: 'Flujos de HiveFlow',
+      description: 'Lista de todos los flujos de trabajo'
+    },
+    mcpServers: {
+      name: 'Servidores MCP',
+      description: 'Lista de servidores MCP configurados'
+    },
+    executions: {
+      name: 'Ejecuciones de flujos',
+      description: 'Historial de ejecuciones de los flujos'
+    },
+    flow: {
+      name: 'Flujo específico',
+      description: 'Detalles de un flujo por su ID (opcionalmente de una instancia con nombre)'
+    },
+    flowExecutions: {
+      name: 'Ejecuciones del flujo',
+      description: 'Historial de ejecuciones de un flujo específico, filtrado por estado y hora de inicio (opcionalmente de una instancia con nombre)'
+    },
+    filteredExecutions: {
+      name: 'Ejecuciones filtradas',
+      description: 'Ejecuciones de todos los flujos filtradas por estado y hora de inicio (since/until, ISO 8601)'
+    },
+    flowStats: {
+      name: 'Estadísticas del flujo',
+      description: 'Estadísticas de ejecución de un flujo: tasa de éxito, percentiles de duración, errores más comunes y tendencia diaria (since/until, por defecto los últimos 7 días)'
+    },
+    stats: {
+      name: 'Estadísticas de ejecución',
+      description: 'Estadísticas de ejecución de todos los flujos con el desglose por flujo (since/until, por defecto los últimos 7 días)'
+    },
+    flowExport: {
+      name: 'Exportación de flujo',
+      description: 'Bundle portable de un flujo, en JSON o YAML (format=json|yaml), listo para import_flow'
+    },
+    execution: {
+      name: 'Detalle de ejecución',
+      description: 'Pasos por nodo, entradas, salidas, errores y logs de una ejecución (los valores grandes se recortan)'
+    }
+  },
+
+  prompts: {
+    diagnose_failed_execution: {
+      description: 'Diagnostica por qué falló una ejecución de un flujo y propone una solución',
+      args: {
+        flowId: 'ID del flujo cuya ejecución falló',
+        executionId: 'Ejecución a diagnosticar (por defecto: la última fallida)',
+        instance: 'Instancia de HiveFlow del flujo (opcional)'
+      },
+      execution: 'la ejecución {executionId}',
+      latestFailed: 'la última ejecución fallida',
+      text: 'Diagnostica {target} del flujo de HiveFlow {flowId}. Arriba se adjuntan la definición del flujo y su historial de ejecuciones.\n\n1. Localiza la ejecución y describe qué falló a partir de su estado, error y outputs.\n2. Señala el nodo o la conexión del flujo que más probablemente lo causó.\n3. Propón una solución concreta. Si requiere cambiar el flujo, indica qué herramientas usar (update_flow, add_node, connect_nodes...) y valida el resultado con validate_flow antes de guardarlo.\n4. Sugiere cómo confirmar la solución, por ejemplo con execute_flow y wait: true.'
+    },
+    design_flow: {
+      description: 'Diseña un nuevo flujo de HiveFlow a partir de una descripción en lenguaje natural',
+      args: {
+        description: 'Qué debe hacer el flujo',
+        name: 'Nombre del nuevo flujo (opcional)',
+        instance: 'Instancia de HiveFlow en la que crear el flujo (opcional)'
+      },
+      named: 'Llámalo "{name}".',
+      unnamed: 'Elige un nombre corto y descriptivo.',
+      text: 'Diseña un flujo de HiveFlow que haga lo siguiente:\n\n{description}\n\n{naming} Arriba se adjuntan los servidores MCP disponibles para el flujo.\n\n1. Divide el proceso en nodos { id, type, data }, empezando por un nodo trigger.\n2. Conéctalos con edges { source, target } de forma que todos los nodos sean alcanzables y no haya ciclos.\n3. Comprueba la definición con validate_flow y corrige los errores que indique.\n4. Muéstrame el diseño y, cuando lo confirme, créalo con create_flow.'
+    },
+    flow_health_summary: {
+      description: 'Resume la salud de tus flujos y sus ejecuciones recientes',
+      args: {
+        since: 'Solo tener en cuenta ejecuciones iniciadas después de esta fecha (ISO 8601, por defecto: últimas 24 horas)',
+        instance: 'Instancia de HiveFlow a resumir (opcional)'
+      },
+      text: 'Resume la salud de mis flujos de HiveFlow desde {since}. Arriba se adjuntan los flujos y sus ejecuciones en ese periodo.\n\n- Cuenta las ejecuciones de cada flujo y sus tasas de éxito y fallo.\n- Destaca los flujos que fallan, están pausados o tienen ejecuciones que parecen atascadas.\n- Menciona los flujos activos sin ejecuciones recientes.\n- Termina con las tres acciones más importantes, indicando los IDs de los flujos.'
+    }
+  },
+
+  messages: {
+    none: 'N/A',
+    noDescription: 'Sin descripción',
+    connected: 'Conectado',
+    disconnected: 'Desconectado',
+    inProgress: 'en progreso',
+    warnings: 'Avisos',
+    defaultMarker: 'por defecto',
+    flowValid: '✅ La definición del flujo es válida.',
+    flowInvalid: '❌ La definición del flujo tiene {count} errores:',
+    flowCreated: '✅ Flujo "{name}" creado exitosamente.\nID: {id}\nEstado: {status}',
+    flowsFound: '📋 Flujos encontrados ({count} de {total}):',
+    flowListItem: '• {name} ({id}) - Estado: {status}',
+    noFlows: 'No hay flujos disponibles',
+    flowDiff: '🔍 Cambios de {before} a {after}:',
+    flowDiffIdentical: '✅ No hay diferencias entre {before} y {after}',
+    flowDiffTarget: '"{name}" ({id})',
+    flowDiffLocal: 'la definición local',
+    flowDiffFields: 'Flujo:',
+    flowDiffNodes: 'Nodos (+{added} -{removed} ~{modified}):',
+    flowDiffEdges: 'Edges (+{added} -{removed} ~{modified}):',
+    flowDetails: '📊 Detalles del flujo "{name}":\n• ID: {id}\n• Estado: {status}\n• Nodos: {nodeCount}\n• Descripción: {description}\n• Última actualización: {updatedAt}',
+    flowUpdated: '✅ Flujo "{name}" actualizado exitosamente.\nCampos modificados: {fields}',
+    flowDeleted: '🗑️ Flujo {id} eliminado exitosamente.',
+    nodeAdded: '✅ Nodo {nodeId} ({type}) añadido al flujo "{name}".',
+    nodeConnectedFrom: 'Conectado desde {source} (edge {edgeId})',
+    graphCounts: 'Nodos: {nodeCount} • Conexiones: {edgeCount}',
+    nodeRemoved: '🗑️ Nodo {nodeId} eliminado del flujo "{name}".\nConexiones eliminadas: {removedCount}',
+    nodesConnected: '🔗 Nodos conectados en el flujo "{name}": {source} → {target} (edge {edgeId})',
+    nodesDisconnected: '✂️ Conexiones eliminadas del flujo "{name}": {edges}',
+    flowExecuted: '🚀 Flujo ejecutado exitosamente.\nExecution ID: {executionId}\nEstado: {status}',
+    statusStarted: 'iniciado',
+    flowPaused: '⏸️ Flujo pausado exitosamente.\nEstado: {status}',
+    statusPaused: 'pausado',
+    flowResumed: '▶️ Flujo reanudado exitosamente.\nEstado: {status}',
+    statusActive: 'activo',
+    mcpServers: '🔌 Servidores MCP ({count} de {total}):',
+    mcpServerListItem: '• {name} - Estado: {status} ({connection})',
+    noMcpServers: 'No hay servidores MCP configurados',
+    mcpServerCreated: '✅ Servidor MCP "{name}" registrado exitosamente.\nComando: {command}\nEstado: registrado',
+    mcpServerDetails: '🔌 Servidor MCP "{name}":\n• ID: {id}\n• Estado: {status} ({connection})\n• Comando: {command}\n• Entorno: {env}\n• Descripción: {description}',
+    mcpServerUpdated: '✅ Servidor MCP "{name}" actualizado exitosamente.\nCampos modificados: {fields}',
+    mcpServerDeleted: '🗑️ Servidor MCP "{name}" eliminado exitosamente.',
+    mcpServerConnected: '🔗 Servidor MCP "{name}" conectado.\nEstado: {status}',
+    mcpServerDisconnected: '⛔ Servidor MCP "{name}" desconectado.\nEstado: {status}',
+    mcpServerTestPassed: '✅ El servidor MCP "{name}" respondió en {latencyMs}ms y expone {count} herramientas.',
+    mcpServerTestFailed: '❌ Falló la prueba del servidor MCP "{name}": {error}',
+    executions: '📈 Ejecuciones del flujo ({count} de {total}):',
+    executionListItem: '• {id} - Estado: {status} - {startTime} {duration}',
+    noExecutions: 'No hay ejecuciones',
+    executionProgress: 'Ejecución {executionId}: {status}',
+    executionStillRunning: '⏳ La ejecución {executionId} sigue en curso tras {timeoutMs}ms.\nÚltimo estado: {status}\nUsa wait_for_execution para seguir esperando.',
+    executionFinished: '{icon} Ejecución {executionId} finalizada.\nEstado: {status}\nDuración: {duration}ms',
+    executionError: 'Error: {error}',
+    executionOutputs: 'Outputs: {outputs}',
+    executionStatus: 'Estado: {status}',
+    executionDetail: '🔍 Ejecución {executionId} de {flow}\nEstado: {status} • Inicio: {startTime} • Duración: {duration}ms',
+    executionSteps: 'Pasos:',
+    noExecutionSteps: 'Sin información de pasos',
+    executionStep: '{index}. {icon} {nodeId} ({nodeType}) - {status} - {duration}ms',
+    executionStepInputs: 'Entradas: {inputs}',
+    executionStepOutputs: 'Salidas: {outputs}',
+    executionLogs: 'Logs:',
+    noExecutionLogs: 'Sin logs',
+    executionTruncated: '✂️ Recortado para que el resultado no sea demasiado grande: {items}. Aumenta maxPayloadChars o maxLogLines para ver más.',
+    executionCancelled: '🛑 Ejecución {executionId} cancelada.\nEstado: {status}',
+    executionRetried: '🔁 Ejecución {retryOf} reintentada como {executionId}.',
+    rerunFailed: '🔁 Reintentadas {count} de {total} ejecuciones fallidas del flujo {flowId}:',
+    rerunItem: '• {retryOf} → {executionId} ({status})',
+    rerunItemFailed: '• {retryOf} ❌ {error}',
+    rerunSkipped: 'Se han saltado {count} ejecuciones fallidas que ya se habían reintentado.',
+    rerunRemaining: 'Otras {count} ejecuciones fallidas no se han reintentado por el límite.',
+    noFailedExecutions: 'No hay ejecuciones fallidas que reintentar en el flujo {flowId} desde {since}.',
+    instances: '🏢 Instancias de HiveFlow ({count}):',
+    executionsTruncated: '⚠️ El backend devolvió su máximo de {limit} ejecuciones de un flujo, así que no se incluyen las más antiguas.',
+    moreResults: '➡️ Hay más resultados. Pasa el cursor "{cursor}" para obtener la siguiente página.',
+    statsFlow: '📊 Estadísticas de ejecución de "{name}" ({since} → {until}):',
+    statsAllFlows: '📊 Estadísticas de ejecución de todos los flujos ({since} → {until}):',
+    statsSummary: '• Ejecuciones: {total} (✅ {succeeded} • ❌ {failed} • 🛑 {cancelled} • ⏳ {running})\n• Tasa de éxito: {successRate}\n• Duración: p50 {p50} • p95 {p95} • máx. {max}',
+    statsTopErrors: 'Errores más comunes',
+    statsByFlow: 'Por flujo',
+    statsFlowItem: '• {name}: {failed} de {total} fallidas ({failureRate})',
+    statsDaily: 'Tendencia diaria',
+    statsDayItem: '• {date}: ✅ {succeeded} • ❌ {failed} • total {total}',
+    dryRun: '🧪 Simulación de {name}. Se enviaría esta petición a HiveFlow:\n{method} {path}\n{body}',
+    dryRunNothing: '🧪 Simulación de {name}: no se enviaría ningún cambio a HiveFlow.',
+    confirmationRequired: '⚠️ {name} modifica HiveFlow y necesita confirmación. Revisa la petición anterior y vuelve a llamar a {name} con los mismos argumentos y confirmToken "{token}" (válido durante {minutes} minutos).',
+    flowExported: '📦 Flujo "{name}" exportado ({nodeCount} nodos, {serverCount} servidores MCP):',
+    flowImported: '📥 Flujo "{name}" importado.\nID: {id}\nEstado: {status}\nNodos: {nodeCount}',
+    importConflicts: 'Conflictos',
+    serversCreated: 'Servidores MCP registrados: {names}',
+    conflictFlowName: 'Ya existe un flujo llamado "{name}"; se importó como "{renamed}"',
+    conflictMissingServer: 'El servidor MCP "{name}" no existe en esta instancia; regístralo o pasa createMissingServers',
+    conflictServerDefinitionMissing: 'El servidor MCP "{name}" no existe y el bundle no trae el comando para registrarlo',
+    conflictServerMismatch: 'El servidor MCP "{name}" existe con un comando o argumentos distintos a los del bundle',
+    importedCopy: '{name} (importado {index})'
+  },
+
+  errors: {
+    toolFailed: '❌ Error ejecutando {name} [{code}]: {message}',
+    unknownTool: 'Herramienta desconocida: {name}',
+    unknownInstance: 'Instancia desconocida: {name}. Disponibles: {available}',
+    invalidFlow: 'La definición del flujo no es válida ({count} errores):',
+    invalidFlowHint: 'Corrige los nodos y conexiones indicados; validate_flow comprueba un flujo sin guardarlo.',
+    flowNotFound: 'Flujo con ID {flowId} no encontrado',
+    diffTargetRequired: 'Indica otherFlowId o definition para comparar el flujo, no ambos',
+    invalidDiffDefinition: 'definition debe ser un flujo con un array nodes o un bundle de export_flow',
+    noChanges: 'No se indicó ningún cambio (name, description, status, nodes o edges)',
+    noServerChanges: 'No se indicó ningún cambio (name, command, args, env o description)',
+    toolBlocked: {
+      readOnly: 'La herramienta {name} está desactivada: el servidor funciona en modo solo lectura',
+      notAllowed: 'La herramienta {name} no está en la lista de herramientas permitidas',
+      denied: 'La herramienta {name} está en la lista de herramientas prohibidas'
+    },
+    toolBlockedHint: 'Pide al administrador de este servidor MCP que cambie --read-only, --allow-tools o --deny-tools.',
+    invalidConfirmToken: 'Token de confirmación no válido o caducado, o los argumentos cambiaron desde que se emitió',
+    invalidConfirmTokenHint: 'Vuelve a llamar a la herramienta sin confirmToken para obtener un token nuevo.',
+    invalidArguments: 'Argumentos no válidos para {name} ({count} errores):',
+    invalidPathSegment: 'ID no válido {value}: debe ser un segmento de ruta no vacío distinto de "." y ".."',
+    invalidMcpServer: 'La definición del servidor MCP no es válida ({count} errores):',
+    mcpServerNotFound: 'Servidor MCP {serverId} no encontrado',
+    mcpServerNotFoundHint: 'Usa list_mcp_servers para ver los servidores registrados y sus IDs.',
+    mcpServerExists: 'Ya existe un servidor MCP llamado "{name}"',
+    edgeOrNodesRequired: 'Indica edgeId o bien source y target',
+    waitCancelled: 'Espera de la ejecución {executionId} cancelada',
+    executionNotFound: 'Ejecución {executionId} no encontrada en el flujo {flowId}',
+    executionDetailNotFound: 'Ejecución {executionId} no encontrada',
+    executionNotFoundHint: 'get_flow_executions lista las ejecuciones del flujo {flowId}.',
+    executionAlreadyFinished: 'La ejecución {executionId} ya terminó con estado {status}',
+    executionNotFinished: 'La ejecución {executionId} aún no ha terminado (estado: {status})',
+    executionNotFinishedHint: 'Espérala con wait_for_execution o detenla con cancel_execution antes de reintentarla.',
+    circuitOpen: 'Backend de HiveFlow no disponible en {url} tras {failures} fallos consecutivos. Se reintentará en {seconds}s.',
+    backendUnavailable: 'No se puede conectar con el backend de HiveFlow en {url}',
+    hint: '💡 {hint}',
+    resourceNotFound: 'Recurso no encontrado: {uri}',
+    invalidCursor: 'Cursor no válido: {cursor}',
+    invalidDate: 'Fecha no válida para {name}: {value} (usa ISO 8601, p. ej. 2025-01-31T00:00:00Z)',
+    unknownPrompt: 'Prompt desconocido: {name}',
+    missingPromptArguments: 'Faltan argumentos obligatorios para el prompt {name}: {arguments}',
+    resourceNotFoundHint: 'Usa resources/list y resources/templates/list para ver los recursos disponibles.',
+    bundleUnreadable: 'El bundle no es JSON ni YAML válido: {message}',
+    notABundle: 'No es un bundle de flujo (se esperaba el formato "{format}"); créalo con export_flow',
+    unsupportedBundleVersion: 'La versión {version} del bundle no está soportada (hasta la {supported})',
+    bundleMissingFlow: 'El bundle no contiene un flujo con nombre',
+    invalidExportFormat: 'Formato de exportación no válido: {format} (usa {formats})',
+    codes: {
+      AUTH_FAILED: 'Falló la autenticación con HiveFlow',
+      FORBIDDEN: 'La API key no tiene permiso para realizar esta operación',
+      NOT_FOUND: 'No se encontró el recurso de HiveFlow solicitado',
+      VALIDATION: 'HiveFlow rechazó la petición por no ser válida',
+      CONFLICT: 'La operación entra en conflicto con el estado actual del recurso',
+      RATE_LIMITED: 'Demasiadas peticiones a HiveFlow',
+      TIMEOUT: 'HiveFlow no respondió a tiempo',
+      BACKEND_UNAVAILABLE: 'Backend de HiveFlow no disponible',
+      BACKEND_ERROR: 'HiveFlow devolvió un error inesperado',
+      UNKNOWN_INSTANCE: 'Instancia de HiveFlow desconocida',
+      UNKNOWN_TOOL: 'Herramienta desconocida',
+      CANCELLED: 'Operación cancelada',
+      INTERNAL: 'Error interno del servidor MCP'
+    },
+    hints: {
+      AUTH_FAILED: 'Comprueba que la API key (--api-key o HIVEFLOW_API_KEY) es válida para {url}.',
+      FORBIDDEN: 'Usa una API key con permiso para esta operación.',
+      NOT_FOUND: 'Revisa el ID; list_flows y get_flow muestran los flujos y nodos disponibles.',
+      VALIDATION: 'Corrige los valores que indica el mensaje y vuelve a intentarlo.',
+      CONFLICT: 'Vuelve a cargar el recurso y reintenta con su estado actual.',
+      RATE_LIMITED: 'Espera un momento antes de reintentar o reduce el ritmo de peticiones.',
+      TIMEOUT: 'Vuelve a intentarlo o aumenta --timeout.',
+      BACKEND_UNAVAILABLE: 'Asegúrate de que HiveFlow está corriendo y es accesible en {url}.',
+      BACKEND_ERROR: 'Inténtalo más tarde; si persiste, revisa los logs de HiveFlow.',
+      UNKNOWN_INSTANCE: 'Usa list_instances para ver las instancias configuradas.',
+      UNKNOWN_TOOL: 'Usa tools/list para ver las herramientas disponibles.',
+      CANCELLED: 'Vuelve a lanzar la operación si todavía la necesitas.',
+      INTERNAL: 'Revisa los logs del servidor MCP para más detalles.'
+    }
+  },
+
+  validation: {
+    nodesNotArray: 'nodes debe ser un array',
+    edgesNotArray: 'edges debe ser un array',
+    nodeNotObject: 'El nodo debe ser un objeto',
+    nodeIdMissing: 'El nodo debe tener un id de tipo string',
+    nodeIdDuplicate: 'ID de nodo duplicado "{id}" (ya usado en nodes[{index}])',
+    nodeTypeMissing: 'El nodo debe tener un type de tipo string',
+    nodeDataInvalid: 'data debe ser un objeto',
+    nodePositionInvalid: 'position debe ser un objeto { x: number, y: number }',
+    edgeNotObject: 'El edge debe ser un objeto',
+    edgeIdDuplicate: 'ID de edge duplicado "{id}" (ya usado en edges[{index}])',
+    edgeEndMissing: 'El edge debe tener un {end} de tipo string',
+    edgeEndUnknown: 'El edge apunta al nodo inexistente "{id}"',
+    edgeCycle: 'El edge crea un ciclo: {cycle}',
+    nodeUnreachable: 'El nodo "{id}" no es alcanzable desde ningún nodo de entrada',
+    serverNameMissing: 'El servidor debe tener un nombre',
+    serverNameInvalid: 'Nombre de servidor no válido "{name}": usa letras, dígitos, ".", "_" y "-", empezando por letra o dígito',
+    serverCommandMissing: 'El servidor debe tener un comando',
+    serverArgsNotArray: 'args debe ser un array de strings',
+    serverArgNotString: 'Cada argumento debe ser un string',
+    serverEnvNotObject: 'env debe ser un objeto de pares NOMBRE: valor',
+    serverEnvNameInvalid: 'Nombre de variable de entorno no válido "{name}"',
+    serverEnvValueNotString: 'Los valores de las variables de entorno deben ser strings',
+    serverDescriptionInvalid: 'description debe ser un string'
+  },
+
+  arguments: {
+    root: 'argumentos',
+    required: 'Obligatorio',
+    wrongType: 'Se esperaba {expected} y se recibió {actual}',
+    notInEnum: '{value} no es uno de: {allowed}',
+    belowMinimum: 'Debe ser como mínimo {minimum}',
+    unexpected: 'Parámetro desconocido'
+  },
+
+  graph: {
+    nodeExists: 'Ya existe un nodo con ID {nodeId}',
+    nodeNotFound: 'Nodo {nodeId} no encontrado en el flujo',
+    alreadyConnected: 'Los nodos {source} y {target} ya están conectados (edge {edgeId})',
+    edgeNotFound: 'Edge {edgeId} no encontrado en el flujo',
+    notConnected: 'No hay conexión entre {source} y {target}'
+  },
+
+  doctor: {
+    title: '🩺 Comprobando la instancia de HiveFlow "{instance}"',
+    checks: {
+      apiUrl: 'URL del API',
+      apiKey: 'API key',
+      reachable: 'Conectividad',
+      authenticated: 'Autenticación'
+    },
+    apiUrlInvalid: '{url} no es una URL http(s) válida',
+    apiUrlHint: 'Usa --api-url o HIVEFLOW_API_URL, p. ej. https://api.hiveflow.ai',
+    apiKeySet: 'configurada ({key})',
+    apiKeyMissing: 'no hay ninguna API key configurada',
+    apiKeyHint: 'Usa --api-key o HIVEFLOW_API_KEY, o define la instancia en un archivo --profiles',
+    reachable: 'HiveFlow respondió en {latencyMs}ms',
+    authenticated: 'API key aceptada; {count} flujos visibles',
+    skippedInvalidUrl: 'omitida, la URL del API no es válida',
+    skippedUnreachable: 'omitida, HiveFlow no es accesible',
+    passed: '✅ Todas las comprobaciones han pasado',
+    failed: '❌ {count} comprobaciones han fallado'
+  }
+};
@@ -0,0 +1,118 @@
+const fs = require('node:fs');
+
+// Niveles de menor a mayor detalle
+const LOG_LEVELS = ['error', 'warn', 'info', 'debug'];
+const LOG_FORMATS = ['text', 'json'];
+const DEFAULT_LOG_LEVEL = 'info';
+
+// Equivalencia con los niveles de `notifications/message` de MCP (RFC 5424)
+const MCP_LEVELS = {
+  error: 'error',
+  warn: 'warning',
+  info: 'info',
+  debug: 'debug'
+};
+
+// Nivel propio más detallado que incluye el nivel MCP pedido por el cliente
+function fromMcpLevel(mcpLevel) {
+  switch (mcpLevel) {
+    case 'debug':
+      return 'debug';
+    case 'info':
+    case 'notice':
+      return 'info';
+    case 'warning':
+      return 'warn';
+    default:
+      return 'error';
+  }
+}
+
+const isLogLevel = (level) => LOG_LEVELS.includes(level);
+
+/**
+ * Logger con niveles que escribe en stderr (o en un fichero) en texto o JSON lines.
+ *
+ * Además reenvía cada entrada a los `sinks` registrados con `addSink(fn)`, que
+ * deciden por su cuenta si les interesa el nivel (p. ej. las sesiones MCP que
+ * publican `notifications/message` según el nivel que pidió el cliente).
+ */
+class Logger {
+  constructor({ level = DEFAULT_LOG_LEVEL, format = 'text', file } = {}) {
+    this.level = isLogLevel(level) ? level : DEFAULT_LOG_LEVEL;
+    this.format = LOG_FORMATS.includes(format) ? format : 'text';
+    this.fd = file ? fs.openSync(file, 'a') : null;
+    this.sinks = new Set();
+  }
+
+  isEnabled(level, threshold = this.level) {
+    return LOG_LEVELS.indexOf(level) <= LOG_LEVELS.indexOf(threshold);
+  }
+
+  addSink(sink) {
+    this.sinks.add(sink);
+    return () => this.sinks.delete(sink);
+  }
+
+  log(level, message, data) {
+    const entry = { time: new Date().toISOString(), level, message, ...(data ? { data } : {}) };
+
+    if (this.isEnabled(level)) {
+      this.write(entry);
+    }
+
+    for (const sink of this.sinks) {
+      try {
+        sink(entry);
+      } catch {
+        // Un sink que falla no debe romper el logging
+      }
+    }
+  }
+
+  write({ time, level, message, data }) {
+    const line = this.format === 'json'
+      ? JSON.stringify({ time, level, message, ...data })
+      : `${time} ${level.toUpperCase().padEnd(5)} ${message}${data ? ` ${JSON.stringify(data)}` : ''}`;
+
+    if (this.fd !== null) {
+      fs.writeSync(this.fd, `${line}\n`);
+    } else {
+      process.stderr.write(`${line}\n`);
+    }
+  }
+
+  error(message, data) {
+    this.log('error', message, data);
+  }
+
+  warn(message, data) {
+    this.log('warn', message, data);
+  }
+
+  info(message, data) {
+    this.log('info', message, data);
+  }
+
+  debug(message, data) {
+    this.log('debug', message, data);
+  }
+
+  close() {
+    this.sinks.clear();
+    if (this.fd !== null) {
+      fs.closeSync(this.fd);
+      this.fd = null;
+    }
+  }
+}
+
+module.exports = {
+  Logger,
+  LOG_LEVELS,
+  LOG_FORMATS,
+  DEFAULT_LOG_LEVEL,
+  MCP_LEVELS,
+  fromMcpLevel,
+  isLogLevel
+};
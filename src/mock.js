@@ -0,0 +1,456 @@
+const axios = require('axios');
+const { randomUUID } = require('node:crypto');
+
+// Backend de HiveFlow en memoria para demos, desarrollo y pruebas sin red.
+// Implementa los endpoints que usa el servidor MCP con datos de ejemplo y
+// ejecuciones que pasan de `running` a `completed`/`failed` con el tiempo.
+
+const MOCK_API_URL = 'mock://hiveflow';
+const DEFAULT_EXECUTION_MS = 2000;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Datos iniciales: flujos en varios estados, historial de ejecuciones y servidores MCP
+function seedFlows() {
+  return [
+    {
+      _id: 'flow-daily-report',
+      name: 'Daily Sales Report',
+      description: 'Collects yesterday\'s sales and emails a summary every morning',
+      status: 'active',
+      nodes: [
+        {
+          id: 'trigger',
+          type: 'schedule',
+          position: { x: 0, y: 0 },
+          data: {
+            label: 'Every day at 8:00',
+            cron: '0 8 * * *',
+            inputs: [{ name: 'date', type: 'string', description: 'Day to report on (YYYY-MM-DD); defaults to yesterday' }]
+          }
+        },
+        { id: 'fetch-sales', type: 'http', position: { x: 250, y: 0 }, data: { label: 'Fetch sales', method: 'GET', url: 'https://api.example.com/sales' } },
+        { id: 'summarize', type: 'llm', position: { x: 500, y: 0 }, data: { label: 'Summarize', prompt: 'Summarize these sales figures' } },
+        { id: 'send-email', type: 'email', position: { x: 750, y: 0 }, data: { label: 'Send email', to: 'sales@example.com' } }
+      ],
+      edges: [
+        { id: 'e1', source: 'trigger', target: 'fetch-sales' },
+        { id: 'e2', source: 'fetch-sales', target: 'summarize' },
+        { id: 'e3', source: 'summarize', target: 'send-email' }
+      ]
+    },
+    {
+      _id: 'flow-github-triage',
+      name: 'GitHub Issue Triage',
+      description: 'Labels new GitHub issues using the github MCP server',
+      status: 'active',
+      nodes: [
+        {
+          id: 'webhook',
+          type: 'webhook',
+          position: { x: 0, y: 0 },
+          // Entradas que declara el flujo; con --flow-tools forman el inputSchema de run_flow_github_issue_triage
+          data: {
+            label: 'New issue',
+            inputs: [
+              { name: 'repository', type: 'string', required: true, description: 'Repository as owner/name' },
+              { name: 'issueNumber', type: 'integer', required: true, description: 'Issue number' }
+            ]
+          }
+        },
+        { id: 'classify', type: 'llm', position: { x: 250, y: 0 }, data: { label: 'Classify issue' } },
+        { id: 'label', type: 'mcp', position: { x: 500, y: 0 }, data: { label: 'Add label', serverName: 'github', tool: 'add_labels' } }
+      ],
+      edges: [
+        { id: 'e1', source: 'webhook', target: 'classify' },
+        { id: 'e2', source: 'classify', target: 'label' }
+      ]
+    },
+    {
+      _id: 'flow-lead-enrichment',
+      name: 'Lead Enrichment',
+      description: 'Enriches new CRM leads with company data',
+      status: 'paused',
+      nodes: [
+        { id: 'trigger', type: 'webhook', position: { x: 0, y: 0 }, data: { label: 'New lead' } },
+        { id: 'enrich', type: 'http', position: { x: 250, y: 0 }, data: { label: 'Enrich', url: 'https://api.example.com/companies' } }
+      ],
+      edges: [{ id: 'e1', source: 'trigger', target: 'enrich' }]
+    },
+    {
+      _id: 'flow-slack-alerts',
+      name: 'Slack Alerts',
+      description: 'Draft: posts monitoring alerts to Slack',
+      status: 'draft',
+      nodes: [{ id: 'trigger', type: 'webhook', position: { x: 0, y: 0 }, data: { label: 'Alert received' } }],
+      edges: []
+    }
+  ];
+}
+
+// Historial de la última semana; GitHub Issue Triage falla a menudo para que haya algo que diagnosticar
+function seedProcesses(now) {
+  const processes = {};
+  const history = [
+    ['flow-daily-report', 7, () => null],
+    ['flow-github-triage', 12, (index) => (index % 3 === 0 ? 'GitHub API rate limit exceeded' : index % 5 === 0 ? 'Timeout calling MCP server github' : null)],
+    ['flow-lead-enrichment', 4, (index) => (index === 1 ? 'HTTP 502 from api.example.com' : null)]
+  ];
+
+  for (const [flowId, count, errorFor] of history) {
+    processes[flowId] = [];
+    for (let index = 0; index < count; index++) {
+      const start = now - (index + 1) * 7 * HOUR_MS - index * 7 * 60 * 1000;
+      const duration = 800 + ((index * 977) % 4200);
+      const error = errorFor(index);
+      processes[flowId].push({
+        processId: `proc-${flowId.replace(/^flow-/, '')}-${count - index}`,
+        flowId,
+        status: error ? 'failed' : 'completed',
+        startTime: new Date(start).toISOString(),
+        endTime: new Date(start + duration).toISOString(),
+        duration,
+        inputs: {},
+        outputs: error ? null : { ok: true },
+        error
+      });
+    }
+  }
+  return processes;
+}
+
+function seedMcpServers() {
+  return [
+    {
+      _id: 'mcp-filesystem',
+      name: 'filesystem',
+      description: 'Local file access',
+      command: 'npx',
+      args: ['-y', '@modelcontextprotocol/server-filesystem', '/tmp'],
+      env: {},
+      status: 'connected',
+      isConnected: true,
+      tools: [
+        { name: 'read_file', description: 'Read the contents of a file' },
+        { name: 'write_file', description: 'Create or overwrite a file' },
+        { name: 'list_directory', description: 'List the entries of a directory' }
+      ]
+    },
+    {
+      _id: 'mcp-github',
+      name: 'github',
+      description: 'GitHub issues and pull requests',
+      command: 'npx',
+      args: ['-y', '@modelcontextprotocol/server-github'],
+      env: { GITHUB_TOKEN: 'mock-token' },
+      status: 'disconnected',
+      isConnected: false,
+      tools: [
+        { name: 'list_issues', description: 'List repository issues' },
+        { name: 'add_labels', description: 'Add labels to an issue' }
+      ]
+    }
+  ];
+}
+
+class MockResponse {
+  constructor(status, body) {
+    this.status = status;
+    this.body = body;
+  }
+}
+
+const ok = (body) => new MockResponse(200, { success: true, ...body });
+const created = (body) => new MockResponse(201, { success: true, ...body });
+const fail = (status, message) => new MockResponse(status, { success: false, message });
+
+// Las herramientas de cada servidor solo se ven al probarlo
+const publicServer = ({ tools, ...server }) => server;
+
+/**
+ * Backend de HiveFlow en memoria. `handle()` recibe una petición
+ * (`method`, `path`, `params`, `body`) y devuelve `{ status, body }`.
+ * `executionMs` es lo que tarda en terminar cada ejecución simulada; una
+ * ejecución con `inputs.simulateFailure` termina en `failed`.
+ */
+class MockHiveFlowBackend {
+  constructor({ executionMs = DEFAULT_EXECUTION_MS, now = Date.now() } = {}) {
+    this.executionMs = executionMs;
+    this.flows = new Map(seedFlows().map(flow => [flow._id, {
+      ...flow,
+      createdAt: new Date(now - 30 * 24 * HOUR_MS).toISOString(),
+      updatedAt: new Date(now - 24 * HOUR_MS).toISOString()
+    }]));
+    this.processes = seedProcesses(now);
+    this.mcpServers = seedMcpServers();
+  }
+
+  handle({ method = 'get', path, params = {}, body = {} }) {
+    const segments = path.split('?')[0].split('/').filter(Boolean).map(decodeURIComponent);
+    const verb = method.toUpperCase();
+
+    if (segments[0] !== 'api') return fail(404, `Cannot ${verb} ${path}`);
+    if (segments[1] === 'flows') return this.handleFlows(verb, segments.slice(2), params, body || {});
+    if (segments[1] === 'mcp' && segments[2] === 'servers') return this.handleMcpServers(verb, segments.slice(3), body || {});
+    if (segments[1] === 'processes' && verb === 'GET' && segments.length === 3) return this.processDetail(segments[2]);
+    return fail(404, `Cannot ${verb} ${path}`);
+  }
+
+  handleFlows(verb, [flowId, action, ...rest], params, body) {
+    if (!flowId) {
+      if (verb === 'GET') {
+        const flows = [...this.flows.values()].filter(flow => !params.status || flow.status === params.status);
+        return ok({ data: flows });
+      }
+      if (verb === 'POST') return this.createFlow(body);
+    }
+
+    const flow = this.flows.get(flowId);
+    if (!flow) return fail(404, 'Flow not found');
+
+    if (action === 'processes' && rest.length > 0) return this.handleProcess(verb, flow, rest);
+    if (rest.length > 0) return fail(404, 'Flow not found');
+
+    if (!action) {
+      if (verb === 'GET') return ok({ flow });
+      if (verb === 'PUT') {
+        const { _id, createdAt, ...changes } = body;
+        Object.assign(flow, changes, { updatedAt: new Date().toISOString() });
+        return ok({ flow });
+      }
+      if (verb === 'DELETE') {
+        this.flows.delete(flowId);
+        delete this.processes[flowId];
+        return ok({ message: 'Flow deleted' });
+      }
+    }
+
+    if (verb === 'POST' && action === 'execute') return this.executeFlow(flow, body.inputs || {}, body.retryOf);
+    if (verb === 'POST' && action === 'pause') {
+      flow.status = 'paused';
+      return ok({ status: 'paused' });
+    }
+    if (verb === 'POST' && action === 'resume') {
+      flow.status = 'active';
+      return ok({ status: 'active' });
+    }
+    if (verb === 'GET' && action === 'processes') {
+      const limit = Number(params.limit) || Infinity;
+      const processes = (this.processes[flowId] || []).map(process => this.advance(process));
+      return ok({ processes: processes.slice(0, limit) });
+    }
+
+    return fail(404, 'Flow not found');
+  }
+
+  createFlow(body) {
+    if (!body.name || typeof body.name !== 'string') return fail(400, 'Flow name is required');
+
+    const now = new Date().toISOString();
+    const flow = {
+      nodes: [],
+      edges: [],
+      ...body,
+      _id: `flow-${randomUUID().slice(0, 8)}`,
+      status: body.status || 'draft',
+      createdAt: now,
+      updatedAt: now
+    };
+    this.flows.set(flow._id, flow);
+    return created({ data: flow });
+  }
+
+  executeFlow(flow, inputs, retryOf) {
+    if (flow.status === 'paused') return fail(409, 'Flow is paused; resume it before executing');
+
+    const process = {
+      processId: `proc-${randomUUID().slice(0, 8)}`,
+      flowId: flow._id,
+      status: 'running',
+      startTime: new Date().toISOString(),
+      inputs,
+      ...(retryOf ? { retryOf } : {})
+    };
+    (this.processes[flow._id] ||= []).unshift(process);
+    flow.lastExecuted = process.startTime;
+    return ok({ executionId: process.processId, status: 'running' });
+  }
+
+  // POST /api/flows/:id/processes/:processId/cancel
+  handleProcess(verb, flow, [processId, action, ...rest]) {
+    const process = (this.processes[flow._id] || []).find(item => item.processId === processId);
+    if (!process || action !== 'cancel' || verb !== 'POST' || rest.length > 0) return fail(404, 'Process not found');
+
+    this.advance(process);
+    if (process.status !== 'running') return fail(409, `Process already ${process.status}`);
+
+    const now = Date.now();
+    Object.assign(process, {
+      status: 'cancelled',
+      endTime: new Date(now).toISOString(),
+      duration: now - Date.parse(process.startTime),
+      error: 'Cancelled by user'
+    });
+    return ok({ status: 'cancelled' });
+  }
+
+  // GET /api/processes/:processId, con un paso por nodo del flujo y sus logs
+  processDetail(processId) {
+    const process = Object.values(this.processes).flat().find(item => item.processId === processId);
+    if (!process) return fail(404, 'Process not found');
+
+    this.advance(process);
+    const flow = this.flows.get(process.flowId);
+    const nodes = flow?.nodes || [];
+    const start = Date.parse(process.startTime);
+    const end = process.endTime ? Date.parse(process.endTime) : Date.now();
+    const stepMs = nodes.length > 0 ? Math.floor((process.duration ?? this.executionMs) / nodes.length) : 0;
+
+    const steps = [];
+    const logs = [];
+    let previous = process.inputs || {};
+    for (const [index, node] of nodes.entries()) {
+      const stepStart = start + index * stepMs;
+      if (stepStart > end) break;
+
+      const last = index === nodes.length - 1;
+      const finished = stepStart + stepMs <= end && !(last && process.status !== 'completed');
+      let status = finished ? 'completed' : 'running';
+      if (!finished && process.status !== 'running') status = process.status;
+
+      // Las salidas de los nodos LLM son largas para que se vea el recorte
+      const outputs = finished
+        ? { node: node.id, ok: true, ...(node.type === 'llm' ? { text: 'Sales grew in every region this week. '.repeat(120).trim() } : {}) }
+        : null;
+      const error = status === 'completed' || status === 'running' ? null : process.error || status;
+
+      steps.push({
+        nodeId: node.id,
+        nodeType: node.type,
+        label: node.data?.label,
+        status,
+        startTime: new Date(stepStart).toISOString(),
+        endTime: status === 'running' ? null : new Date(Math.min(stepStart + stepMs, end)).toISOString(),
+        duration: status === 'running' ? null : Math.min(stepMs, end - stepStart),
+        inputs: previous,
+        outputs,
+        error
+      });
+      logs.push({ timestamp: new Date(stepStart).toISOString(), level: 'info', nodeId: node.id, message: `Running ${node.data?.label || node.id}` });
+      if (error) logs.push({ timestamp: new Date(end).toISOString(), level: 'error', nodeId: node.id, message: error });
+      previous = outputs || previous;
+    }
+
+    return ok({ process: { ...process, flowName: flow?.name, steps, logs } });
+  }
+
+  // Las ejecuciones terminan cuando ha pasado `executionMs` desde que empezaron
+  advance(process) {
+    if (process.status !== 'running') return process;
+
+    const start = Date.parse(process.startTime);
+    if (Date.now() - start < this.executionMs) return process;
+
+    const failed = Boolean(process.inputs?.simulateFailure);
+    Object.assign(process, {
+      status: failed ? 'failed' : 'completed',
+      endTime: new Date(start + this.executionMs).toISOString(),
+      duration: this.executionMs,
+      outputs: failed ? null : { ok: true, inputs: process.inputs },
+      error: failed ? 'Simulated failure' : null
+    });
+    return process;
+  }
+
+  handleMcpServers(verb, [serverId, action, ...rest], body) {
+    if (!serverId) {
+      if (verb === 'GET') return ok({ servers: this.mcpServers.map(({ env, ...server }) => publicServer(server)) });
+      if (verb === 'POST') {
+        if (!body.name || !body.command) return fail(400, 'Server name and command are required');
+        if (this.mcpServers.some(server => server.name === body.name)) return fail(409, `MCP server "${body.name}" already exists`);
+        const server = { args: [], env: {}, ...body, _id: `mcp-${randomUUID().slice(0, 8)}`, status: 'registered', isConnected: false, tools: [] };
+        this.mcpServers.push(server);
+        return created({ server: publicServer(server) });
+      }
+    }
+
+    const server = this.mcpServers.find(item => item._id === serverId || item.name === serverId);
+    if (!server || rest.length > 0) return fail(404, 'MCP server not found');
+
+    if (!action) {
+      if (verb === 'GET') return ok({ server: publicServer(server) });
+      if (verb === 'PUT') {
+        const { _id, ...changes } = body;
+        Object.assign(server, changes);
+        return ok({ server: publicServer(server) });
+      }
+      if (verb === 'DELETE') {
+        this.mcpServers.splice(this.mcpServers.indexOf(server), 1);
+        return ok({ message: 'MCP server deleted' });
+      }
+    }
+
+    if (verb === 'POST' && (action === 'connect' || action === 'disconnect')) {
+      server.isConnected = action === 'connect';
+      server.status = server.isConnected ? 'connected' : 'disconnected';
+      return ok({ status: server.status, isConnected: server.isConnected });
+    }
+    if (verb === 'POST' && action === 'test') {
+      return ok({ connected: true, status: 'ok', tools: server.tools || [] });
+    }
+
+    return fail(404, 'MCP server not found');
+  }
+}
+
+/**
+ * Adapter de axios que responde desde `backend` en lugar de hacer peticiones
+ * HTTP. Devuelve el cuerpo sin parsear, como los adapters de axios.
+ */
+function createMockAdapter(backend) {
+  return async (config) => {
+    let body = config.data;
+    if (typeof body === 'string' && body) {
+      try {
+        body = JSON.parse(body);
+      } catch (error) {
+        body = {};
+      }
+    }
+
+    const result = backend.handle({
+      method: config.method,
+      path: config.url || '',
+      params: config.params || {},
+      body
+    });
+
+    const response = {
+      data: JSON.stringify(result.body),
+      status: result.status,
+      statusText: result.status < 400 ? 'OK' : 'Error',
+      headers: { 'content-type': 'application/json' },
+      config,
+      request: {}
+    };
+
+    const validateStatus = config.validateStatus || ((status) => status >= 200 && status < 300);
+    if (!validateStatus(response.status)) {
+      throw new axios.AxiosError(
+        `Request failed with status code ${response.status}`,
+        response.status >= 500 ? axios.AxiosError.ERR_BAD_RESPONSE : axios.AxiosError.ERR_BAD_REQUEST,
+        config,
+        response.request,
+        response
+      );
+    }
+    return response;
+  };
+}
+
+module.exports = {
+  MOCK_API_URL,
+  DEFAULT_EXECUTION_MS,
+  MockHiveFlowBackend,
+  createMockAdapter
+};
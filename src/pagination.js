@@ -0,0 +1,96 @@
+// Paginación por cursor y filtros para los listados de flujos y ejecuciones.
+//
+// El backend de HiveFlow no ofrece cursores, así que el servidor MCP pide la
+// lista completa y la pagina él mismo. Los cursores son opacos para el cliente
+// (base64url de `{ offset }`), así que el formato puede cambiar sin romperle.
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 500;
+
+// Peticiones simultáneas al agregar ejecuciones de todos los flujos
+const DEFAULT_CONCURRENCY = 4;
+
+function encodeCursor(offset) {
+  return Buffer.from(JSON.stringify({ offset })).toString('base64url');
+}
+
+// Devuelve el offset del cursor, o null si el cursor no es válido
+function decodeCursor(cursor) {
+  if (cursor === undefined || cursor === null || cursor === '') return 0;
+  try {
+    const { offset } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    return Number.isInteger(offset) && offset >= 0 ? offset : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Devuelve una página de `items` a partir de `cursor`. `nextCursor` es null
+ * cuando no quedan más elementos. Lanza si el cursor no es válido.
+ */
+function paginate(items, { cursor, limit = DEFAULT_PAGE_SIZE, onInvalidCursor } = {}) {
+  const offset = decodeCursor(cursor);
+  if (offset === null) {
+    throw onInvalidCursor ? onInvalidCursor(cursor) : new Error(`Invalid cursor: ${cursor}`);
+  }
+
+  const size = Math.min(Math.max(1, limit || DEFAULT_PAGE_SIZE), MAX_PAGE_SIZE);
+  const end = offset + size;
+  return {
+    items: items.slice(offset, end),
+    total: items.length,
+    nextCursor: end < items.length ? encodeCursor(end) : null
+  };
+}
+
+// Momento de inicio de una ejecución (ms) o null si no se conoce
+function executionTime(execution) {
+  const time = Date.parse(execution.startTime || execution.createdAt || '');
+  return Number.isNaN(time) ? null : time;
+}
+
+/**
+ * Filtra ejecuciones por estado y rango de tiempo (`since`/`until` en ms,
+ * inclusivos) y las ordena de la más reciente a la más antigua.
+ */
+function filterExecutions(executions, { status, since, until } = {}) {
+  return executions
+    .filter((execution) => {
+      if (status && execution.status !== status) return false;
+      if (since === undefined && until === undefined) return true;
+      const time = executionTime(execution);
+      if (time === null) return false;
+      return (since === undefined || time >= since) && (until === undefined || time <= until);
+    })
+    .sort((a, b) => (executionTime(b) ?? 0) - (executionTime(a) ?? 0));
+}
+
+// Como Promise.all(items.map(fn)) pero con como mucho `concurrency` llamadas a la vez
+async function mapWithConcurrency(items, concurrency, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+
+  const workers = Array.from({ length: Math.min(Math.max(1, concurrency), items.length) }, worker);
+  await Promise.all(workers);
+  return results;
+}
+
+module.exports = {
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+  DEFAULT_CONCURRENCY,
+  encodeCursor,
+  decodeCursor,
+  paginate,
+  executionTime,
+  filterExecutions,
+  mapWithConcurrency
+};
@@ -0,0 +1,178 @@
+const { randomUUID } = require('node:crypto');
+const { FLOW_TOOL_PREFIX } = require('./flowTools.js');
+
+// Qué herramientas puede usar el cliente MCP: modo solo lectura, listas de
+// herramientas permitidas/prohibidas y confirmación de las que cambian estado.
+
+// Herramientas que no cambian nada en HiveFlow; el resto se consideran mutadoras,
+// así que una herramienta nueva queda bloqueada en modo solo lectura hasta añadirla aquí.
+// Las generadas por flujo (`run_flow_*`) ejecutan flujos y son siempre mutadoras.
+const READ_ONLY_TOOLS = [
+  'list_flows',
+  'get_flow',
+  'validate_flow',
+  'diff_flows',
+  'get_flow_executions',
+  'wait_for_execution',
+  'get_execution',
+  'get_flow_stats',
+  'export_flow',
+  'list_mcp_servers',
+  'get_mcp_server',
+  'test_mcp_server',
+  'list_instances'
+];
+
+const MUTATING_TOOLS = [
+  'create_flow',
+  'update_flow',
+  'delete_flow',
+  'add_node',
+  'remove_node',
+  'connect_nodes',
+  'disconnect_nodes',
+  'execute_flow',
+  'pause_flow',
+  'resume_flow',
+  'cancel_execution',
+  'retry_execution',
+  'rerun_failed',
+  'import_flow',
+  'create_mcp_server',
+  'update_mcp_server',
+  'delete_mcp_server',
+  'connect_mcp_server',
+  'disconnect_mcp_server'
+];
+
+const CONFIRM_TOKEN_TTL_MS = 5 * 60 * 1000;
+
+const isMutatingTool = (name) => !READ_ONLY_TOOLS.includes(name);
+
+// Patrones de nombre de herramienta: nombres exactos o con `*` como comodín
+function toPattern(pattern) {
+  const source = pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+  return new RegExp(`^${source}$`);
+}
+
+// Lista separada por comas (CLI/variables de entorno) o array
+function parseToolList(value) {
+  if (!value) return [];
+  const items = Array.isArray(value) ? value : String(value).split(',');
+  return items.map(item => item.trim()).filter(Boolean);
+}
+
+// JSON con las claves ordenadas, para comparar argumentos sin depender del orden
+function stableStringify(value) {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+class ToolPolicy {
+  constructor({ readOnly = false, allowTools, denyTools, requireConfirmation = false, confirmTtlMs = CONFIRM_TOKEN_TTL_MS } = {}) {
+    this.readOnly = readOnly;
+    this.allowTools = parseToolList(allowTools);
+    this.denyTools = parseToolList(denyTools);
+    this.allowPatterns = this.allowTools.map(toPattern);
+    this.denyPatterns = this.denyTools.map(toPattern);
+    this.requireConfirmation = requireConfirmation;
+    this.confirmTtlMs = confirmTtlMs;
+    this.tokens = new Map();
+  }
+
+  /**
+   * Motivo por el que la herramienta no está disponible (`readOnly`, `notAllowed`
+   * o `denied`), o null si se puede usar.
+   */
+  blockedReason(name) {
+    if (this.readOnly && isMutatingTool(name)) return 'readOnly';
+    if (this.allowPatterns.length > 0 && !this.allowPatterns.some(pattern => pattern.test(name))) return 'notAllowed';
+    if (this.denyPatterns.some(pattern => pattern.test(name))) return 'denied';
+    return null;
+  }
+
+  allows(name) {
+    return this.blockedReason(name) === null;
+  }
+
+  needsConfirmation(name) {
+    return this.requireConfirmation && isMutatingTool(name);
+  }
+
+  // Patrones de las listas que no coinciden con ninguna herramienta conocida (probables erratas);
+  // los de herramientas por flujo dependen de los flujos que haya y no se comprueban
+  unknownPatterns(knownTools = [...READ_ONLY_TOOLS, ...MUTATING_TOOLS]) {
+    return [...this.allowTools, ...this.denyTools]
+      .filter(pattern => !pattern.startsWith(FLOW_TOOL_PREFIX))
+      .filter(pattern => !knownTools.some(name => toPattern(pattern).test(name)));
+  }
+
+  // Emitir un token de un solo uso para repetir exactamente la misma llamada desde
+  // la misma sesión MCP (`sessionId` es undefined en stdio y en la CLI)
+  issueToken(call, sessionId) {
+    const now = Date.now();
+    for (const [token, entry] of this.tokens) {
+      if (entry.expiresAt <= now) this.tokens.delete(token);
+    }
+
+    const token = randomUUID();
+    this.tokens.set(token, { key: stableStringify(call), sessionId: sessionId ?? null, expiresAt: now + this.confirmTtlMs });
+    return token;
+  }
+
+  // Consumir el token si lo emitió la misma sesión para la misma llamada y no ha caducado
+  consumeToken(token, call, sessionId) {
+    const entry = this.tokens.get(token);
+    if (!entry || entry.expiresAt <= Date.now() || entry.sessionId !== (sessionId ?? null) || entry.key !== stableStringify(call)) {
+      return false;
+    }
+    this.tokens.delete(token);
+    return true;
+  }
+}
+
+/**
+ * Señal que lanza el cliente de simulación al llegar a la primera petición que
+ * cambiaría algo en HiveFlow; lleva la petición que se habría enviado.
+ */
+class DryRunRequest extends Error {
+  constructor(request) {
+    super('Dry run');
+    this.name = 'DryRunRequest';
+    this.request = request;
+  }
+}
+
+// Cliente que deja pasar las lecturas y detiene la herramienta en la primera escritura
+function createDryRunClient(client) {
+  const plan = (method) => async (url, data) => {
+    throw new DryRunRequest({
+      method: method.toUpperCase(),
+      path: url,
+      body: method === 'delete' ? null : data ?? null
+    });
+  };
+
+  return {
+    defaults: client.defaults,
+    get: (...args) => client.get(...args),
+    post: plan('post'),
+    put: plan('put'),
+    patch: plan('patch'),
+    delete: plan('delete')
+  };
+}
+
+module.exports = {
+  READ_ONLY_TOOLS,
+  MUTATING_TOOLS,
+  CONFIRM_TOKEN_TTL_MS,
+  isMutatingTool,
+  parseToolList,
+  ToolPolicy,
+  DryRunRequest,
+  createDryRunClient
+};
@@ -0,0 +1,69 @@
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+
+const DEFAULT_PROFILES_PATH = path.join(os.homedir(), '.hiveflow', 'profiles.json');
+const DEFAULT_INSTANCE = 'default';
+
+/**
+ * Carga el archivo de perfiles con varias instancias de HiveFlow:
+ *
+ * {
+ *   "default": "staging",
+ *   "instances": {
+ *     "staging": { "apiUrl": "...", "apiKey": "...", "instanceId": "..." },
+ *     "production": { "apiUrl": "...", "apiKey": "..." }
+ *   }
+ * }
+ *
+ * `apiKey` puede sustituirse por `apiKeyEnv` con el nombre de una variable de entorno.
+ * Devuelve `null` si no se indicó ruta y el archivo por defecto no existe.
+ */
+function loadProfiles(filePath) {
+  const resolved = filePath || DEFAULT_PROFILES_PATH;
+  if (!filePath && !fs.existsSync(resolved)) {
+    return null;
+  }
+
+  let raw;
+  try {
+    raw = JSON.parse(fs.readFileSync(resolved, 'utf8'));
+  } catch (error) {
+    throw new Error(`Cannot read profiles file ${resolved}: ${error.message}`);
+  }
+
+  if (!raw || typeof raw.instances !== 'object' || Array.isArray(raw.instances)) {
+    throw new Error(`Profiles file ${resolved} must contain an "instances" object`);
+  }
+
+  const instances = {};
+  for (const [name, profile] of Object.entries(raw.instances)) {
+    const apiKey = profile.apiKey || (profile.apiKeyEnv && process.env[profile.apiKeyEnv]);
+    if (!profile.apiUrl) {
+      throw new Error(`Instance "${name}" in ${resolved} is missing "apiUrl"`);
+    }
+    if (!apiKey) {
+      throw new Error(`Instance "${name}" in ${resolved} is missing "apiKey" (or "apiKeyEnv")`);
+    }
+    instances[name] = {
+      apiUrl: profile.apiUrl,
+      apiKey,
+      instanceId: profile.instanceId
+    };
+  }
+
+  if (raw.default && !instances[raw.default]) {
+    throw new Error(`Default instance "${raw.default}" is not defined in ${resolved}`);
+  }
+
+  return {
+    defaultInstance: raw.default,
+    instances
+  };
+}
+
+module.exports = {
+  loadProfiles,
+  DEFAULT_PROFILES_PATH,
+  DEFAULT_INSTANCE
+};
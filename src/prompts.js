@@ -0,0 +1,111 @@
+const { withQuery, flowUri, flowExecutionsUri, executionsUri, executionUri } = require('./resources.js');
+
+// Ventana por defecto del resumen de salud de los flujos
+const DEFAULT_HEALTH_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Prompts guiados. Cada uno declara sus argumentos y un `build` que devuelve
+ * el texto de la petición y las URIs de los recursos que se incrustan en ella.
+ * Los textos están en los catálogos de i18n bajo `prompts.<nombre>`.
+ */
+const PROMPTS = [
+  {
+    name: 'diagnose_failed_execution',
+    arguments: [
+      { name: 'flowId', required: true },
+      { name: 'executionId', required: false },
+      { name: 'instance', required: false }
+    ],
+    build: ({ flowId, executionId, instance }, t) => ({
+      resources: [
+        flowUri(flowId, instance),
+        flowExecutionsUri(flowId, { instance }),
+        // Con una ejecución concreta se incluyen también sus pasos por nodo y sus logs
+        ...(executionId ? [executionUri(executionId, instance)] : [])
+      ],
+      text: t('prompts.diagnose_failed_execution.text', {
+        flowId,
+        target: executionId
+          ? t('prompts.diagnose_failed_execution.execution', { executionId })
+          : t('prompts.diagnose_failed_execution.latestFailed')
+      })
+    })
+  },
+  {
+    name: 'design_flow',
+    arguments: [
+      { name: 'description', required: true },
+      { name: 'name', required: false },
+      { name: 'instance', required: false }
+    ],
+    build: ({ description, name, instance }, t) => ({
+      resources: [
+        withQuery('hiveflow://mcp-servers', { instance })
+      ],
+      text: t('prompts.design_flow.text', {
+        description,
+        naming: name
+          ? t('prompts.design_flow.named', { name })
+          : t('prompts.design_flow.unnamed')
+      })
+    })
+  },
+  {
+    name: 'flow_health_summary',
+    arguments: [
+      { name: 'since', required: false },
+      { name: 'instance', required: false }
+    ],
+    build: ({ since, instance }, t) => {
+      const from = since || new Date(Date.now() - DEFAULT_HEALTH_WINDOW_MS).toISOString();
+      return {
+        resources: [
+          withQuery('hiveflow://flows', { instance }),
+          executionsUri({ instance, since: from })
+        ],
+        text: t('prompts.flow_health_summary.text', { since: from })
+      };
+    }
+  }
+];
+
+// Definiciones para prompts/list, con descripciones traducidas
+function listPrompts(t) {
+  return PROMPTS.map(prompt => ({
+    name: prompt.name,
+    description: t(`prompts.${prompt.name}.description`),
+    arguments: prompt.arguments.map(arg => ({
+      name: arg.name,
+      description: t(`prompts.${prompt.name}.args.${arg.name}`),
+      required: arg.required
+    }))
+  }));
+}
+
+/**
+ * Construye un prompt con sus argumentos. Devuelve null si no existe y, en
+ * `missing`, los argumentos obligatorios que faltan.
+ */
+function buildPrompt(name, args, t) {
+  const prompt = PROMPTS.find(item => item.name === name);
+  if (!prompt) return null;
+
+  const missing = prompt.arguments
+    .filter(arg => arg.required && !args[arg.name])
+    .map(arg => arg.name);
+  if (missing.length > 0) {
+    return { missing, resources: [], text: '' };
+  }
+
+  return {
+    missing,
+    description: t(`prompts.${name}.description`),
+    ...prompt.build(args, t)
+  };
+}
+
+module.exports = {
+  PROMPTS,
+  listPrompts,
+  buildPrompt
+};
@@ -0,0 +1,114 @@
+// Utilidades para las URIs de recursos hiveflow://
+
+// Decodificar un segmento de la URI; null si el escape % no es válido
+function decodeSegment(segment) {
+  try {
+    return decodeURIComponent(segment);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Descompone una URI de recurso en sus partes:
+ *
+ * - hiveflow://flows                        → { kind: 'flows' }
+ * - hiveflow://flows/{flowId}               → { kind: 'flow', flowId }
+ * - hiveflow://flows/{flowId}/executions    → { kind: 'flowExecutions', flowId }
+ * - hiveflow://flows/{flowId}/stats         → { kind: 'flowStats', flowId }
+ * - hiveflow://flows/{flowId}/export        → { kind: 'flowExport', flowId, format }
+ * - hiveflow://executions                   → { kind: 'executions' }
+ * - hiveflow://executions/{processId}       → { kind: 'execution', processId }
+ * - hiveflow://stats                        → { kind: 'stats' }
+ * - hiveflow://mcp-servers                  → { kind: 'mcpServers' }
+ *
+ * Todas aceptan `?instance=<nombre>`; las de ejecuciones y estadísticas además
+ * los filtros `status`, `since` y `until` (devueltos sin validar en `filters`) y la de
+ * exportación `format` (`json` o `yaml`).
+ * Devuelve `kind: 'unknown'` si no coincide.
+ */
+function parseResourceUri(uri) {
+  const [path, query] = String(uri).split('?');
+  const searchParams = new URLSearchParams(query || '');
+  const instance = searchParams.get('instance') || undefined;
+  const filters = {};
+  for (const name of ['status', 'since', 'until']) {
+    if (searchParams.get(name)) filters[name] = searchParams.get(name);
+  }
+
+  const match = path.match(/^hiveflow:\/\/flows\/([^/]+)/);
+  const flowId = match ? decodeSegment(match[1]) : undefined;
+  if (flowId === null) {
+    return { kind: 'unknown', path, instance };
+  }
+
+  const executionMatch = path.match(/^hiveflow:\/\/executions\/([^/]+)$/);
+  if (executionMatch) {
+    const processId = decodeSegment(executionMatch[1]);
+    return processId === null ? { kind: 'unknown', path, instance } : { kind: 'execution', path, instance, processId };
+  }
+
+  if (path === 'hiveflow://flows') {
+    return { kind: 'flows', path, instance };
+  }
+  if (path === 'hiveflow://executions') {
+    return { kind: 'executions', path, instance, filters };
+  }
+  if (path === 'hiveflow://stats') {
+    return { kind: 'stats', path, instance, filters };
+  }
+  if (path === 'hiveflow://mcp-servers') {
+    return { kind: 'mcpServers', path, instance };
+  }
+  if (/^hiveflow:\/\/flows\/[^/]+\/executions$/.test(path)) {
+    return { kind: 'flowExecutions', path, instance, filters, flowId };
+  }
+  if (/^hiveflow:\/\/flows\/[^/]+\/stats$/.test(path)) {
+    return { kind: 'flowStats', path, instance, filters, flowId };
+  }
+  if (/^hiveflow:\/\/flows\/[^/]+\/export$/.test(path)) {
+    const format = searchParams.get('format') || 'json';
+    return { kind: 'flowExport', path, instance, format, flowId };
+  }
+  if (/^hiveflow:\/\/flows\/[^/]+$/.test(path)) {
+    return { kind: 'flow', path, instance, flowId };
+  }
+  return { kind: 'unknown', path, instance };
+}
+
+// Añade a la URI los parámetros de query que tengan valor
+function withQuery(uri, query = {}) {
+  const params = new URLSearchParams();
+  for (const [name, value] of Object.entries(query)) {
+    if (value !== undefined && value !== null && value !== '') params.set(name, value);
+  }
+  const search = params.toString();
+  return search ? `${uri}?${search}` : uri;
+}
+
+// Construye la URI de un flujo, conservando la instancia si se indicó
+function flowUri(flowId, instance) {
+  return withQuery(`hiveflow://flows/${encodeURIComponent(flowId)}`, { instance });
+}
+
+// URIs de ejecuciones; `query` admite instance, status, since y until
+function flowExecutionsUri(flowId, query) {
+  return withQuery(`hiveflow://flows/${encodeURIComponent(flowId)}/executions`, query);
+}
+
+function executionsUri(query) {
+  return withQuery('hiveflow://executions', query);
+}
+
+function executionUri(processId, instance) {
+  return withQuery(`hiveflow://executions/${encodeURIComponent(processId)}`, { instance });
+}
+
+module.exports = {
+  parseResourceUri,
+  withQuery,
+  flowUri,
+  flowExecutionsUri,
+  executionsUri,
+  executionUri
+};
@@ -0,0 +1,447 @@
+// JSON Schemas de los resultados estructurados (`structuredContent`) de las herramientas.
+// Los objetos del backend se describen de forma permisiva: solo se tipan los campos
+// que usa el servidor y se permiten propiedades adicionales.
+
+const nullableString = { type: ['string', 'null'] };
+
+const flow = {
+  type: 'object',
+  properties: {
+    _id: { type: 'string' },
+    name: { type: 'string' },
+    description: nullableString,
+    status: nullableString,
+    nodes: { type: 'array', items: { type: 'object' } },
+    edges: { type: 'array', items: { type: 'object' } },
+    updatedAt: nullableString
+  }
+};
+
+const node = {
+  type: 'object',
+  properties: {
+    id: { type: 'string' },
+    type: { type: 'string' },
+    data: { type: 'object' },
+    position: { type: 'object' }
+  },
+  required: ['id']
+};
+
+const edge = {
+  type: 'object',
+  properties: {
+    id: { type: 'string' },
+    source: { type: 'string' },
+    target: { type: 'string' }
+  },
+  required: ['source', 'target']
+};
+
+const execution = {
+  type: 'object',
+  properties: {
+    processId: { type: 'string' },
+    _id: { type: 'string' },
+    status: nullableString,
+    startTime: nullableString,
+    endTime: nullableString,
+    duration: { type: ['number', 'null'] }
+  }
+};
+
+const mcpServer = {
+  type: 'object',
+  properties: {
+    _id: { type: 'string' },
+    name: { type: 'string' },
+    command: { type: 'string' },
+    args: { type: 'array', items: { type: 'string' } },
+    env: { type: 'object', additionalProperties: { type: 'string' } },
+    description: nullableString,
+    status: nullableString,
+    isConnected: { type: 'boolean' }
+  }
+};
+
+const validationIssue = {
+  type: 'object',
+  properties: {
+    path: { type: 'string' },
+    message: { type: 'string' }
+  },
+  required: ['path', 'message']
+};
+
+const objectSchema = (properties, required = Object.keys(properties)) => ({
+  type: 'object',
+  properties,
+  required
+});
+
+// Campos de paginación: `nextCursor` es null en la última página
+const page = {
+  total: { type: 'number' },
+  nextCursor: nullableString
+};
+
+const flowResult = objectSchema({ flow });
+
+const flowList = objectSchema({
+  flows: { type: 'array', items: flow },
+  count: { type: 'number' },
+  ...page
+}, ['flows', 'count']);
+
+const validationResult = objectSchema({
+  valid: { type: 'boolean' },
+  errors: { type: 'array', items: validationIssue },
+  warnings: { type: 'array', items: validationIssue }
+});
+
+// Resultado de diff_flows: cada cambio es `{ path, before, after }`
+const fieldChange = objectSchema({
+  path: { type: 'string' },
+  before: {},
+  after: {}
+});
+
+const nodeRef = {
+  type: 'object',
+  properties: {
+    id: { type: 'string' },
+    type: nullableString,
+    label: nullableString,
+    changes: { type: 'array', items: fieldChange }
+  },
+  required: ['id']
+};
+
+const edgeRef = {
+  type: 'object',
+  properties: {
+    id: nullableString,
+    source: { type: 'string' },
+    target: { type: 'string' },
+    changes: { type: 'array', items: fieldChange }
+  },
+  required: ['source', 'target']
+};
+
+const graphChanges = (item) => objectSchema({
+  added: { type: 'array', items: item },
+  removed: { type: 'array', items: item },
+  modified: { type: 'array', items: item }
+});
+
+const flowDiff = objectSchema({
+  before: objectSchema({ flowId: { type: 'string' }, name: nullableString }),
+  after: objectSchema({ flowId: nullableString, name: nullableString }),
+  identical: { type: 'boolean' },
+  flow: { type: 'array', items: fieldChange },
+  nodes: graphChanges(nodeRef),
+  edges: graphChanges(edgeRef)
+});
+
+const createFlowResult = objectSchema({
+  flow,
+  warnings: { type: 'array', items: validationIssue }
+});
+
+const updateFlowResult = objectSchema({
+  flow,
+  changedFields: { type: 'array', items: { type: 'string' } }
+});
+
+const deleteFlowResult = objectSchema({
+  flowId: { type: 'string' },
+  deleted: { type: 'boolean' }
+});
+
+const graphChangeResult = objectSchema({
+  flowId: { type: 'string' },
+  nodeCount: { type: 'number' },
+  edgeCount: { type: 'number' },
+  node,
+  edge: { anyOf: [edge, { type: 'null' }] },
+  removedEdges: { type: 'array', items: edge }
+}, ['flowId', 'nodeCount', 'edgeCount']);
+
+// Resultado de execute_flow y wait_for_execution; los campos finales solo aparecen al esperar
+const executionResult = objectSchema({
+  flowId: { type: 'string' },
+  executionId: nullableString,
+  status: { type: 'string' },
+  completed: { type: 'boolean' },
+  succeeded: { type: 'boolean' },
+  timedOut: { type: 'boolean' },
+  duration: { type: ['number', 'null'] },
+  outputs: {},
+  error: nullableString
+}, ['flowId', 'executionId', 'status']);
+
+// Detalle de get_execution y hiveflow://executions/{processId}; los valores
+// recortados quedan como texto y se listan en `truncated`
+const executionDetail = objectSchema({
+  execution: objectSchema({
+    executionId: { type: 'string' },
+    flowId: nullableString,
+    flowName: nullableString,
+    status: { type: 'string' },
+    startTime: nullableString,
+    endTime: nullableString,
+    duration: { type: ['number', 'null'] },
+    retryOf: nullableString,
+    inputs: {},
+    outputs: {},
+    error: nullableString,
+    steps: {
+      type: 'array',
+      items: objectSchema({
+        nodeId: { type: 'string' },
+        nodeType: nullableString,
+        label: nullableString,
+        status: { type: 'string' },
+        startTime: nullableString,
+        endTime: nullableString,
+        duration: { type: ['number', 'null'] },
+        inputs: {},
+        outputs: {},
+        error: nullableString
+      }, ['nodeId', 'status'])
+    },
+    logs: {
+      type: 'array',
+      items: objectSchema({
+        timestamp: nullableString,
+        level: { type: 'string' },
+        nodeId: nullableString,
+        message: { type: 'string' }
+      })
+    },
+    truncated: {
+      type: 'array',
+      items: objectSchema({ path: { type: 'string' }, size: { type: 'number' } })
+    }
+  }, ['executionId', 'status', 'steps', 'logs', 'truncated'])
+});
+
+const cancelExecutionResult = objectSchema({
+  flowId: { type: 'string' },
+  executionId: { type: 'string' },
+  status: { type: 'string' }
+});
+
+// retry_execution devuelve lo mismo que execute_flow (o wait_for_execution) más la ejecución original
+const retryExecutionResult = objectSchema({
+  ...executionResult.properties,
+  retryOf: { type: 'string' },
+  inputs: { type: 'object' }
+}, [...executionResult.required, 'retryOf']);
+
+const rerunFailedResult = objectSchema({
+  flowId: { type: 'string' },
+  since: { type: 'string' },
+  until: { type: 'string' },
+  retried: {
+    type: 'array',
+    items: objectSchema({
+      retryOf: { type: 'string' },
+      executionId: nullableString,
+      status: { type: 'string' },
+      error: nullableString
+    })
+  },
+  skipped: { type: 'number' },
+  remaining: { type: 'number' },
+  truncated: { type: 'boolean' }
+});
+
+const flowStatusResult = objectSchema({
+  flowId: { type: 'string' },
+  status: { type: 'string' }
+});
+
+const mcpServerList = objectSchema({
+  servers: { type: 'array', items: mcpServer },
+  count: { type: 'number' },
+  ...page
+}, ['servers', 'count']);
+
+const mcpServerResult = objectSchema({ server: mcpServer });
+
+const updateMcpServerResult = objectSchema({
+  server: mcpServer,
+  changedFields: { type: 'array', items: { type: 'string' } }
+});
+
+const deleteMcpServerResult = objectSchema({
+  serverId: { type: 'string' },
+  name: { type: 'string' },
+  deleted: { type: 'boolean' }
+});
+
+const mcpServerStatusResult = objectSchema({
+  serverId: { type: 'string' },
+  name: { type: 'string' },
+  status: { type: 'string' },
+  isConnected: { type: 'boolean' }
+});
+
+const mcpServerTestResult = objectSchema({
+  serverId: { type: 'string' },
+  name: { type: 'string' },
+  connected: { type: 'boolean' },
+  status: { type: 'string' },
+  latencyMs: { type: 'number' },
+  tools: {
+    type: 'array',
+    items: objectSchema({ name: { type: 'string' }, description: { type: 'string' } }, ['name'])
+  },
+  error: nullableString
+});
+
+const executionList = objectSchema({
+  flowId: { type: 'string' },
+  executions: { type: 'array', items: execution },
+  count: { type: 'number' },
+  ...page,
+  // El backend devolvió el máximo de ejecuciones que se le piden: faltan las más antiguas
+  truncated: { type: 'boolean' }
+}, ['flowId', 'executions', 'count']);
+
+const rate = { type: ['number', 'null'] };
+
+// Resultado de get_flow_stats; `flows` (desglose por flujo) solo aparece sin flowId
+const executionStats = objectSchema({
+  flowId: nullableString,
+  flowName: nullableString,
+  since: { type: 'string' },
+  until: { type: 'string' },
+  total: { type: 'number' },
+  succeeded: { type: 'number' },
+  failed: { type: 'number' },
+  cancelled: { type: 'number' },
+  running: { type: 'number' },
+  successRate: rate,
+  failureRate: rate,
+  duration: objectSchema({ p50: rate, p95: rate, max: rate }),
+  topErrors: {
+    type: 'array',
+    items: objectSchema({ message: { type: 'string' }, count: { type: 'number' } })
+  },
+  daily: {
+    type: 'array',
+    items: objectSchema({
+      date: { type: 'string' },
+      total: { type: 'number' },
+      succeeded: { type: 'number' },
+      failed: { type: 'number' },
+      cancelled: { type: 'number' }
+    })
+  },
+  flows: {
+    type: 'array',
+    items: objectSchema({
+      flowId: { type: 'string' },
+      flowName: nullableString,
+      total: { type: 'number' },
+      succeeded: { type: 'number' },
+      failed: { type: 'number' },
+      cancelled: { type: 'number' },
+      failureRate: rate
+    }, ['flowId', 'total', 'failed'])
+  },
+  truncated: { type: 'boolean' }
+}, ['since', 'until', 'total', 'succeeded', 'failed', 'cancelled', 'running', 'successRate', 'failureRate', 'duration', 'topErrors', 'daily']);
+
+const bundleConflict = objectSchema({
+  type: { type: 'string' },
+  name: { type: 'string' },
+  message: { type: 'string' }
+});
+
+const exportFlowResult = objectSchema({
+  flowId: { type: 'string' },
+  format: { type: 'string' },
+  bundle: { type: 'object' }
+});
+
+const importFlowResult = objectSchema({
+  flow,
+  nodeIdMap: { type: 'object', additionalProperties: { type: 'string' } },
+  conflicts: { type: 'array', items: bundleConflict },
+  createdServers: { type: 'array', items: { type: 'string' } },
+  warnings: { type: 'array', items: validationIssue }
+});
+
+// Las herramientas que cambian estado pueden devolver, en lugar de su resultado,
+// la petición que enviarían (simulación o confirmación pendiente)
+const dryRunPreview = {
+  dryRun: { type: 'boolean' },
+  request: {
+    anyOf: [
+      objectSchema({ method: { type: 'string' }, path: { type: 'string' }, body: {} }),
+      { type: 'null' }
+    ]
+  },
+  confirmToken: nullableString
+};
+
+function withDryRun(schema) {
+  const { required = [], ...rest } = schema;
+  return {
+    ...rest,
+    properties: { ...schema.properties, ...dryRunPreview },
+    anyOf: [{ required }, { required: ['dryRun', 'request'] }]
+  };
+}
+
+const instanceList = objectSchema({
+  defaultInstance: { type: 'string' },
+  instances: {
+    type: 'array',
+    items: objectSchema({
+      name: { type: 'string' },
+      apiUrl: { type: 'string' },
+      instanceId: nullableString,
+      isDefault: { type: 'boolean' }
+    }, ['name', 'apiUrl', 'isDefault'])
+  }
+});
+
+module.exports = {
+  flow,
+  node,
+  edge,
+  execution,
+  mcpServer,
+  validationIssue,
+  objectSchema,
+  withDryRun,
+  flowResult,
+  flowList,
+  validationResult,
+  flowDiff,
+  createFlowResult,
+  updateFlowResult,
+  deleteFlowResult,
+  graphChangeResult,
+  executionResult,
+  executionDetail,
+  cancelExecutionResult,
+  retryExecutionResult,
+  rerunFailedResult,
+  flowStatusResult,
+  mcpServerList,
+  mcpServerResult,
+  updateMcpServerResult,
+  deleteMcpServerResult,
+  mcpServerStatusResult,
+  mcpServerTestResult,
+  executionList,
+  executionStats,
+  exportFlowResult,
+  importFlowResult,
+  instanceList
+};
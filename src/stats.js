@@ -0,0 +1,145 @@
+const { executionTime } = require('./pagination.js');
+
+// Estadísticas de ejecuciones: tasas de éxito, latencias y tendencia diaria
+
+// Estados de proceso que indican que una ejecución terminó
+const SUCCESS_STATUSES = ['completed', 'success', 'succeeded'];
+// Fallos de la propia ejecución; las canceladas o detenidas no se consideran fallos a reintentar
+const FAILURE_STATUSES = ['failed', 'error', 'timeout'];
+const TERMINAL_STATUSES = [...SUCCESS_STATUSES, ...FAILURE_STATUSES, 'cancelled', 'canceled', 'stopped'];
+
+const DEFAULT_STATS_WINDOW_MS = 7 * 24 * 60 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Con ventanas más largas la tendencia solo incluye los días con ejecuciones
+const MAX_TREND_DAYS = 90;
+const TOP_ERRORS = 5;
+const MAX_ERROR_LENGTH = 200;
+
+function executionDuration(execution) {
+  if (typeof execution.duration === 'number') return execution.duration;
+  const start = Date.parse(execution.startTime || '');
+  const end = Date.parse(execution.endTime || '');
+  return Number.isNaN(start) || Number.isNaN(end) ? null : end - start;
+}
+
+// Mensaje de error de una ejecución, en una línea y acotado para poder agruparlo
+function executionError(execution) {
+  const error = execution.error ?? execution.errorMessage;
+  if (!error) return null;
+  const message = String(error.message || error).split('\n')[0].trim();
+  return message.length > MAX_ERROR_LENGTH ? `${message.slice(0, MAX_ERROR_LENGTH - 1)}…` : message;
+}
+
+// Percentil por rango más cercano sobre valores ya ordenados
+function percentile(sorted, p) {
+  if (sorted.length === 0) return null;
+  return sorted[Math.min(sorted.length - 1, Math.ceil((p / 100) * sorted.length) - 1)];
+}
+
+const ratio = (part, total) => (total > 0 ? Math.round((part / total) * 10000) / 10000 : null);
+const dayOf = (time) => new Date(time).toISOString().slice(0, 10);
+
+// Las canceladas o detenidas terminaron, pero no cuentan ni como éxito ni como fallo
+function classify(execution) {
+  if (SUCCESS_STATUSES.includes(execution.status)) return 'succeeded';
+  if (FAILURE_STATUSES.includes(execution.status)) return 'failed';
+  if (TERMINAL_STATUSES.includes(execution.status)) return 'cancelled';
+  return 'running';
+}
+
+// Contadores de cada resultado que se desglosan por día y por flujo
+const emptyCounts = () => ({ total: 0, succeeded: 0, failed: 0, cancelled: 0 });
+
+/**
+ * Calcula las estadísticas de `executions` (ya filtradas a la ventana `since`-`until`,
+ * en ms). Las tasas y las duraciones se calculan sobre las ejecuciones que
+ * terminaron con éxito o fallo (no las canceladas) y que informan la duración.
+ */
+function computeExecutionStats(executions, { since, until }) {
+  const counts = { total: executions.length, succeeded: 0, failed: 0, cancelled: 0, running: 0 };
+  const durations = [];
+  const errors = new Map();
+  const days = new Map();
+
+  for (const execution of executions) {
+    const outcome = classify(execution);
+    counts[outcome]++;
+
+    if (outcome === 'succeeded' || outcome === 'failed') {
+      const duration = executionDuration(execution);
+      if (duration !== null) durations.push(duration);
+    }
+
+    if (outcome === 'failed') {
+      const message = executionError(execution) || execution.status;
+      errors.set(message, (errors.get(message) || 0) + 1);
+    }
+
+    const time = executionTime(execution);
+    if (time !== null) {
+      const day = dayOf(time);
+      if (!days.has(day)) days.set(day, { date: day, ...emptyCounts() });
+      const entry = days.get(day);
+      entry.total++;
+      if (outcome !== 'running') entry[outcome]++;
+    }
+  }
+
+  // Rellenar los días sin ejecuciones para que la tendencia no tenga huecos
+  if ((until - since) / DAY_MS <= MAX_TREND_DAYS) {
+    for (let time = Date.parse(dayOf(since)); time <= until; time += DAY_MS) {
+      const day = dayOf(time);
+      if (!days.has(day)) days.set(day, { date: day, ...emptyCounts() });
+    }
+  }
+
+  durations.sort((a, b) => a - b);
+  const finished = counts.succeeded + counts.failed;
+
+  return {
+    since: new Date(since).toISOString(),
+    until: new Date(until).toISOString(),
+    ...counts,
+    successRate: ratio(counts.succeeded, finished),
+    failureRate: ratio(counts.failed, finished),
+    duration: {
+      p50: percentile(durations, 50),
+      p95: percentile(durations, 95),
+      max: durations.length > 0 ? durations[durations.length - 1] : null
+    },
+    topErrors: [...errors]
+      .map(([message, count]) => ({ message, count }))
+      .sort((a, b) => b.count - a.count)
+      .slice(0, TOP_ERRORS),
+    daily: [...days.values()].sort((a, b) => a.date.localeCompare(b.date))
+  };
+}
+
+// Ejecuciones y fallos por flujo, de más a menos fallos
+function summarizeByFlow(executions) {
+  const flows = new Map();
+  for (const execution of executions) {
+    if (!flows.has(execution.flowId)) {
+      flows.set(execution.flowId, { flowId: execution.flowId, flowName: execution.flowName, ...emptyCounts() });
+    }
+    const entry = flows.get(execution.flowId);
+    entry.total++;
+    const outcome = classify(execution);
+    if (outcome !== 'running') entry[outcome]++;
+  }
+
+  return [...flows.values()]
+    .map(entry => ({ ...entry, failureRate: ratio(entry.failed, entry.succeeded + entry.failed) }))
+    .sort((a, b) => b.failed - a.failed || b.total - a.total);
+}
+
+module.exports = {
+  SUCCESS_STATUSES,
+  FAILURE_STATUSES,
+  TERMINAL_STATUSES,
+  DEFAULT_STATS_WINDOW_MS,
+  computeExecutionStats,
+  summarizeByFlow,
+  executionDuration
+};
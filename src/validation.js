@@ -0,0 +1,230 @@
+// Validación local de definiciones de flujo (nodos + edges) antes de enviarlas al backend.
+// Cada problema se reporta con la ruta del elemento que lo causa, p. ej. `nodes[2].id`.
+
+const { createTranslator } = require('./i18n.js');
+
+const defaultTranslator = createTranslator();
+
+const ENTRY_NODE_PATTERN = /trigger|start|webhook|schedule|input/i;
+const SERVER_NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._-]*$/;
+const ENV_NAME_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isNonEmptyString = (value) => typeof value === 'string' && value.trim().length > 0;
+
+function validateNodes(nodes, errors, t) {
+  const indexById = new Map();
+
+  nodes.forEach((node, index) => {
+    const path = `nodes[${index}]`;
+
+    if (!isPlainObject(node)) {
+      errors.push({ path, message: t('validation.nodeNotObject') });
+      return;
+    }
+    if (!isNonEmptyString(node.id)) {
+      errors.push({ path: `${path}.id`, message: t('validation.nodeIdMissing') });
+    } else if (indexById.has(node.id)) {
+      errors.push({ path: `${path}.id`, message: t('validation.nodeIdDuplicate', { id: node.id, index: indexById.get(node.id) }) });
+    } else {
+      indexById.set(node.id, index);
+    }
+    if (!isNonEmptyString(node.type)) {
+      errors.push({ path: `${path}.type`, message: t('validation.nodeTypeMissing') });
+    }
+    if (node.data !== undefined && !isPlainObject(node.data)) {
+      errors.push({ path: `${path}.data`, message: t('validation.nodeDataInvalid') });
+    }
+    if (node.position !== undefined &&
+      (!isPlainObject(node.position) || typeof node.position.x !== 'number' || typeof node.position.y !== 'number')) {
+      errors.push({ path: `${path}.position`, message: t('validation.nodePositionInvalid') });
+    }
+  });
+
+  return indexById;
+}
+
+function validateEdges(edges, indexById, errors, t) {
+  const edgeIds = new Map();
+  const validEdges = [];
+
+  edges.forEach((edge, index) => {
+    const path = `edges[${index}]`;
+
+    if (!isPlainObject(edge)) {
+      errors.push({ path, message: t('validation.edgeNotObject') });
+      return;
+    }
+    if (edge.id !== undefined) {
+      if (edgeIds.has(edge.id)) {
+        errors.push({ path: `${path}.id`, message: t('validation.edgeIdDuplicate', { id: edge.id, index: edgeIds.get(edge.id) }) });
+      } else {
+        edgeIds.set(edge.id, index);
+      }
+    }
+
+    let valid = true;
+    for (const end of ['source', 'target']) {
+      if (!isNonEmptyString(edge[end])) {
+        errors.push({ path: `${path}.${end}`, message: t('validation.edgeEndMissing', { end }) });
+        valid = false;
+      } else if (!indexById.has(edge[end])) {
+        errors.push({ path: `${path}.${end}`, message: t('validation.edgeEndUnknown', { id: edge[end] }) });
+        valid = false;
+      }
+    }
+
+    if (valid) validEdges.push({ edge, index });
+  });
+
+  return validEdges;
+}
+
+// Detectar ciclos con DFS; reporta el edge que cierra cada ciclo
+function findCycles(nodeIds, validEdges, errors, t) {
+  const outgoing = new Map(nodeIds.map(id => [id, []]));
+  validEdges.forEach(entry => outgoing.get(entry.edge.source).push(entry));
+
+  const state = new Map();
+  const stack = [];
+
+  const visit = (nodeId) => {
+    state.set(nodeId, 'visiting');
+    stack.push(nodeId);
+
+    for (const { edge, index } of outgoing.get(nodeId)) {
+      const next = edge.target;
+      if (state.get(next) === 'visiting') {
+        const cycle = [...stack.slice(stack.indexOf(next)), next];
+        errors.push({ path: `edges[${index}]`, message: t('validation.edgeCycle', { cycle: cycle.join(' → ') }) });
+      } else if (!state.has(next)) {
+        visit(next);
+      }
+    }
+
+    stack.pop();
+    state.set(nodeId, 'done');
+  };
+
+  nodeIds.forEach(id => {
+    if (!state.has(id)) visit(id);
+  });
+}
+
+// Nodos a los que no se llega desde ningún nodo de entrada
+function findUnreachable(nodes, indexById, validEdges, warnings, t) {
+  if (nodes.length <= 1) return;
+
+  const incoming = new Set(validEdges.map(({ edge }) => edge.target));
+  const ids = [...indexById.keys()];
+  let entries = ids.filter(id => ENTRY_NODE_PATTERN.test(nodes[indexById.get(id)].type || ''));
+  if (entries.length === 0) {
+    entries = ids.filter(id => !incoming.has(id));
+  }
+
+  const reached = new Set(entries);
+  const queue = [...entries];
+  while (queue.length > 0) {
+    const current = queue.shift();
+    validEdges
+      .filter(({ edge }) => edge.source === current && !reached.has(edge.target))
+      .forEach(({ edge }) => {
+        reached.add(edge.target);
+        queue.push(edge.target);
+      });
+  }
+
+  ids.filter(id => !reached.has(id)).forEach(id => {
+    warnings.push({ path: `nodes[${indexById.get(id)}]`, message: t('validation.nodeUnreachable', { id }) });
+  });
+}
+
+/**
+ * Valida la definición de un flujo.
+ * Devuelve `{ valid, errors, warnings }`; cada problema es `{ path, message }`.
+ * Los errores impiden guardar el flujo; los avisos (nodos inalcanzables) no.
+ */
+function validateFlowDefinition({ nodes = [], edges = [] } = {}, t = defaultTranslator) {
+  const errors = [];
+  const warnings = [];
+
+  if (!Array.isArray(nodes)) {
+    errors.push({ path: 'nodes', message: t('validation.nodesNotArray') });
+  }
+  if (!Array.isArray(edges)) {
+    errors.push({ path: 'edges', message: t('validation.edgesNotArray') });
+  }
+  if (errors.length > 0) {
+    return { valid: false, errors, warnings };
+  }
+
+  const indexById = validateNodes(nodes, errors, t);
+  const validEdges = validateEdges(edges, indexById, errors, t);
+  findCycles([...indexById.keys()], validEdges, errors, t);
+  findUnreachable(nodes, indexById, validEdges, warnings, t);
+
+  return { valid: errors.length === 0, errors, warnings };
+}
+
+/**
+ * Valida la definición de un servidor MCP (name, command, args, env, description).
+ * Con `partial` (actualizaciones) solo se comprueban los campos presentes.
+ * Devuelve `{ valid, errors, warnings }` como validateFlowDefinition.
+ */
+function validateMcpServerDefinition(server = {}, { partial = false } = {}, t = defaultTranslator) {
+  const errors = [];
+
+  if (server.name !== undefined || !partial) {
+    if (!isNonEmptyString(server.name)) {
+      errors.push({ path: 'name', message: t('validation.serverNameMissing') });
+    } else if (!SERVER_NAME_PATTERN.test(server.name)) {
+      errors.push({ path: 'name', message: t('validation.serverNameInvalid', { name: server.name }) });
+    }
+  }
+  if ((server.command !== undefined || !partial) && !isNonEmptyString(server.command)) {
+    errors.push({ path: 'command', message: t('validation.serverCommandMissing') });
+  }
+  if (server.args !== undefined) {
+    if (!Array.isArray(server.args)) {
+      errors.push({ path: 'args', message: t('validation.serverArgsNotArray') });
+    } else {
+      server.args.forEach((arg, index) => {
+        if (typeof arg !== 'string') {
+          errors.push({ path: `args[${index}]`, message: t('validation.serverArgNotString') });
+        }
+      });
+    }
+  }
+  if (server.env !== undefined) {
+    if (!isPlainObject(server.env)) {
+      errors.push({ path: 'env', message: t('validation.serverEnvNotObject') });
+    } else {
+      for (const [name, value] of Object.entries(server.env)) {
+        if (!ENV_NAME_PATTERN.test(name)) {
+          errors.push({ path: `env.${name}`, message: t('validation.serverEnvNameInvalid', { name }) });
+        } else if (typeof value !== 'string') {
+          errors.push({ path: `env.${name}`, message: t('validation.serverEnvValueNotString') });
+        }
+      }
+    }
+  }
+  if (server.description !== undefined && typeof server.description !== 'string') {
+    errors.push({ path: 'description', message: t('validation.serverDescriptionInvalid') });
+  }
+
+  return { valid: errors.length === 0, errors, warnings: [] };
+}
+
+function formatValidationIssues({ errors, warnings }) {
+  return [
+    ...errors.map(issue => `• ❌ ${issue.path}: ${issue.message}`),
+    ...warnings.map(issue => `• ⚠️ ${issue.path}: ${issue.message}`)
+  ].join('\n');
+}
+
+module.exports = {
+  ENTRY_NODE_PATTERN,
+  validateFlowDefinition,
+  validateMcpServerDefinition,
+  formatValidationIssues
+};
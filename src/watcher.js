@@ -0,0 +1,174 @@
+const { parseResourceUri } = require('./resources.js');
+
+const DEFAULT_POLL_INTERVAL_MS = 15000;
+
+/**
+ * Vigila los recursos suscritos consultando el backend periódicamente.
+ *
+ * En cada ciclo calcula una huella de cada URI suscrita (estados de flujos,
+ * ejecuciones y servidores MCP) y la compara con la anterior:
+ * - `onUpdated(uri)` cuando cambia la huella de una URI
+ * - `onListChanged(instance)` cuando se añaden o eliminan flujos
+ *
+ * `source` obtiene los datos: `listFlows(instance)`, `listProcesses(instance, flowId, filters)`,
+ * `listExecutions(instance, filters)`, `getExecution(instance, processId)` y
+ * `listMcpServers(instance)`. Solo consulta mientras haya suscripciones.
+ */
+class ResourceWatcher {
+  constructor({ source, intervalMs = DEFAULT_POLL_INTERVAL_MS, onUpdated, onListChanged, logger = console }) {
+    this.source = source;
+    this.intervalMs = intervalMs;
+    this.onUpdated = onUpdated;
+    this.onListChanged = onListChanged;
+    this.logger = logger;
+
+    this.subscriptions = new Map();
+    this.snapshots = new Map();
+    this.flowIds = new Map();
+    this.timer = null;
+    this.polling = false;
+  }
+
+  get size() {
+    return this.subscriptions.size;
+  }
+
+  async subscribe(uri) {
+    this.subscriptions.set(uri, (this.subscriptions.get(uri) || 0) + 1);
+    this.start();
+
+    // Tomar la huella inicial para detectar cambios desde este momento
+    if (!this.snapshots.has(uri)) {
+      await this.refresh([uri], { notify: false });
+    }
+  }
+
+  unsubscribe(uri) {
+    const count = this.subscriptions.get(uri) || 0;
+    if (count <= 1) {
+      this.subscriptions.delete(uri);
+      this.snapshots.delete(uri);
+    } else {
+      this.subscriptions.set(uri, count - 1);
+    }
+
+    if (this.subscriptions.size === 0) {
+      this.stop();
+    }
+  }
+
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.poll(), this.intervalMs);
+    this.timer.unref?.();
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+    this.flowIds.clear();
+  }
+
+  async poll() {
+    if (this.polling) return;
+    this.polling = true;
+    try {
+      await this.refresh([...this.subscriptions.keys()], { notify: true });
+    } finally {
+      this.polling = false;
+    }
+  }
+
+  async refresh(uris, { notify }) {
+    const byInstance = new Map();
+    for (const uri of uris) {
+      const parsed = parseResourceUri(uri);
+      if (!byInstance.has(parsed.instance)) byInstance.set(parsed.instance, []);
+      byInstance.get(parsed.instance).push({ uri, parsed });
+    }
+
+    for (const [instance, entries] of byInstance) {
+      let flows;
+      try {
+        flows = await this.source.listFlows(instance);
+      } catch (error) {
+        this.logger.error('Resource watcher: cannot list flows', { instance: instance || 'default', error: error.message });
+        continue;
+      }
+
+      this.checkFlowSet(instance, flows, notify);
+
+      for (const { uri, parsed } of entries) {
+        try {
+          const fingerprint = await this.fingerprint(parsed, flows);
+          const previous = this.snapshots.get(uri);
+          this.snapshots.set(uri, fingerprint);
+          if (notify && previous !== undefined && previous !== fingerprint) {
+            await this.onUpdated(uri);
+          }
+        } catch (error) {
+          this.logger.error('Resource watcher: cannot refresh resource', { uri, error: error.message });
+        }
+      }
+    }
+  }
+
+  checkFlowSet(instance, flows, notify) {
+    const ids = flows.map(flow => flow._id).sort().join(',');
+    const previous = this.flowIds.get(instance);
+    this.flowIds.set(instance, ids);
+    if (notify && previous !== undefined && previous !== ids) {
+      this.onListChanged(instance);
+    }
+  }
+
+  async fingerprint(parsed, flows) {
+    const { kind, instance, flowId, filters } = parsed;
+
+    switch (kind) {
+      case 'flows':
+        return JSON.stringify(flows.map(flow => [flow._id, flow.name, flow.status, flow.updatedAt]));
+      case 'flow':
+      case 'flowExport': {
+        const flow = flows.find(item => item._id === flowId);
+        return JSON.stringify(flow ? [flow.name, flow.status, flow.updatedAt] : null);
+      }
+      case 'flowExecutions':
+      case 'flowStats':
+        return this.executionsFingerprint(await this.source.listProcesses(instance, flowId, filters));
+      case 'executions':
+      case 'stats':
+        return this.executionsFingerprint(await this.source.listExecutions(instance, filters));
+      case 'execution': {
+        // Cambia al avanzar la ejecución: estado, pasos completados y logs nuevos
+        const execution = await this.source.getExecution(instance, parsed.processId);
+        return JSON.stringify([
+          execution.status,
+          execution.steps.map(step => [step.nodeId, step.status]),
+          execution.logs.length
+        ]);
+      }
+      case 'mcpServers': {
+        const servers = await this.source.listMcpServers(instance);
+        return JSON.stringify(servers.map(server => [server.name, server.status, server.isConnected]));
+      }
+      default:
+        return 'unknown';
+    }
+  }
+
+  executionsFingerprint(processes) {
+    return JSON.stringify(
+      processes
+        .map(process => [process.processId || process._id, process.status])
+        .sort((a, b) => String(a[0]).localeCompare(String(b[0])))
+    );
+  }
+}
+
+module.exports = {
+  ResourceWatcher,
+  DEFAULT_POLL_INTERVAL_MS
+};
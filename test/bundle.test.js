@@ -0,0 +1,129 @@
+// Exportar e importar flujos como bundles portables, y diferencias entre versiones
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { serializeBundle, parseBundle, remapNodeIds, restoreNodeIds, importMetadata } = require('../src/bundle.js');
+const { diffFlows } = require('../src/diff.js');
+const { HiveFlowMCPServer } = require('../src/index.js');
+
+const FLOW_ID = 'flow-github-triage';
+
+async function withServer(fn) {
+  const server = new HiveFlowMCPServer({ mock: true, logLevel: 'error' });
+  try {
+    await fn(server, server.clients.get('default').mockBackend);
+  } finally {
+    await server.stop();
+  }
+}
+
+describe('bundle helpers', () => {
+  it('reads JSON and YAML bundles and rejects anything else', () => {
+    const bundle = { format: 'hiveflow-flow-bundle', version: 1, flow: { name: 'A', nodes: [], edges: [] } };
+    assert.deepEqual(parseBundle(serializeBundle(bundle, 'yaml').text).bundle, bundle);
+    assert.deepEqual(parseBundle(serializeBundle(bundle).text).bundle, bundle);
+    assert.equal(parseBundle({ format: 'other' }).error[0], 'errors.notABundle');
+    assert.equal(parseBundle({ ...bundle, version: 99 }).error[0], 'errors.unsupportedBundleVersion');
+  });
+
+  it('remaps node IDs and restores them in validation messages', () => {
+    const { nodes, edges, nodeIdMap } = remapNodeIds({
+      nodes: [{ id: 'start' }, { id: 'end' }],
+      edges: [{ source: 'start', target: 'end' }, { source: 'end', target: 'ghost' }]
+    });
+    assert.deepEqual(nodes.map(node => node.id), [nodeIdMap.start, nodeIdMap.end]);
+    assert.equal(edges[0].source, nodeIdMap.start);
+    assert.equal(edges[1].target, 'ghost');
+
+    const restored = restoreNodeIds({ errors: [{ path: 'edges[0]', message: `Node ${nodeIdMap.end} is unreachable` }], warnings: [] }, nodeIdMap);
+    assert.equal(restored.errors[0].message, 'Node end is unreachable');
+  });
+
+  it('drops instance fields from imported metadata', () => {
+    assert.deepEqual(importMetadata({ ownerId: 'u1', userId: 'u2', _id: 'x', tags: ['sales'] }), { tags: ['sales'] });
+    assert.deepEqual(importMetadata(['not', 'an', 'object']), {});
+  });
+});
+
+describe('export_flow and import_flow', () => {
+  it('round-trips a flow and recreates the MCP servers it uses', async () => {
+    await withServer(async (server) => {
+      const exported = await server.handleToolCall('export_flow', { flowId: FLOW_ID });
+      const { bundle } = exported.structuredContent;
+      assert.deepEqual(bundle.mcpServers.map(item => item.name), ['github']);
+
+      await server.handleToolCall('delete_mcp_server', { serverId: 'github' });
+      const imported = await server.handleToolCall('import_flow', {
+        bundle: serializeBundle(bundle, 'yaml').text,
+        name: 'GitHub Triage (copy)',
+        createMissingServers: true
+      });
+      assert.ok(!imported.isError, imported.content[0].text);
+
+      const { flow, nodeIdMap, createdServers } = imported.structuredContent;
+      assert.deepEqual(createdServers, ['github']);
+      assert.equal(flow.name, 'GitHub Triage (copy)');
+      assert.notEqual(flow._id, FLOW_ID);
+      assert.deepEqual(Object.keys(nodeIdMap).sort(), bundle.flow.nodes.map(node => node.id).sort());
+      assert.deepEqual(
+        flow.edges.map(edge => [edge.source, edge.target]),
+        bundle.flow.edges.map(edge => [nodeIdMap[edge.source], nodeIdMap[edge.target]])
+      );
+    });
+  });
+
+  it('rejects an invalid bundle before creating anything', async () => {
+    await withServer(async (server, backend) => {
+      const { bundle } = (await server.handleToolCall('export_flow', { flowId: FLOW_ID })).structuredContent;
+      bundle.flow.edges.push({ source: bundle.flow.nodes[0].id, target: 'missing-node' });
+      await server.handleToolCall('delete_mcp_server', { serverId: 'github' });
+      const flowCount = backend.flows.size;
+
+      const result = await server.handleToolCall('import_flow', { bundle, createMissingServers: true });
+      assert.equal(result._meta['hiveflow/error'].code, 'VALIDATION');
+      assert.match(result.content[0].text, /missing-node/);
+      assert.doesNotMatch(result.content[0].text, /node_[a-z0-9]/);
+      assert.equal(backend.flows.size, flowCount);
+      assert.ok(!backend.mcpServers.some(item => item.name === 'github'));
+    });
+  });
+});
+
+describe('diffFlows', () => {
+  const before = {
+    name: 'Report',
+    nodes: [
+      { id: 'a', type: 'trigger', position: { x: 0, y: 0 }, data: { label: 'Start' } },
+      { id: 'b', type: 'ai', position: { x: 100, y: 0 }, data: { label: 'Summarize', prompt: 'Summarize' } },
+      { id: 'c', type: 'email', position: { x: 200, y: 0 }, data: { label: 'Send' } }
+    ],
+    edges: [{ id: 'e1', source: 'a', target: 'b' }, { id: 'e2', source: 'b', target: 'c' }]
+  };
+
+  it('reports identical flows, ignoring edge IDs and positions by default', () => {
+    const after = structuredClone(before);
+    after.nodes[0].position.x = 500;
+    after.edges[0].id = 'other';
+    assert.equal(diffFlows(before, after).identical, true);
+
+    const withPositions = diffFlows(before, after, { ignorePositions: false });
+    assert.deepEqual(withPositions.nodes.modified[0].changes, [{ path: 'position.x', before: 0, after: 500 }]);
+  });
+
+  it('lists changed fields, nodes and edges', () => {
+    const after = structuredClone(before);
+    after.name = 'Report v2';
+    after.nodes[1].data.prompt = 'Summarize briefly';
+    after.nodes = after.nodes.filter(node => node.id !== 'c');
+    after.nodes.push({ id: 'd', type: 'slack', data: { label: 'Post' } });
+    after.edges = [after.edges[0], { source: 'b', target: 'd' }];
+
+    const diff = diffFlows(before, after);
+    assert.equal(diff.identical, false);
+    assert.deepEqual(diff.flow, [{ path: 'name', before: 'Report', after: 'Report v2' }]);
+    assert.deepEqual(diff.nodes.added.map(node => node.id), ['d']);
+    assert.deepEqual(diff.nodes.removed.map(node => node.id), ['c']);
+    assert.deepEqual(diff.nodes.modified[0].changes, [{ path: 'data.prompt', before: 'Summarize', after: 'Summarize briefly' }]);
+    assert.deepEqual(diff.edges.added, [{ id: null, source: 'b', target: 'd' }]);
+    assert.deepEqual(diff.edges.removed, [{ id: 'e2', source: 'b', target: 'c' }]);
+  });
+});
@@ -0,0 +1,80 @@
+// Caché de respuestas GET: TTL, lecturas sin caché, invalidación tras mutaciones y ETag
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const axios = require('axios');
+const { ResponseCache, createCachingAdapter } = require('../src/cache.js');
+
+// Cliente axios sobre un adapter falso que cuenta las peticiones que llegan al "backend"
+function createClient({ etag } = {}) {
+  const calls = [];
+  const backend = async (config) => {
+    const path = new URL(config.url, 'http://localhost').pathname;
+    calls.push(`${config.method.toUpperCase()} ${path}`);
+    const notModified = etag && config.headers['If-None-Match'] === etag;
+    return {
+      data: notModified ? '' : JSON.stringify({ path, call: calls.length }),
+      status: notModified ? 304 : 200,
+      statusText: notModified ? 'Not Modified' : 'OK',
+      headers: etag ? { etag } : {},
+      config
+    };
+  };
+  const cache = new ResponseCache();
+  const client = axios.create({ baseURL: 'http://hiveflow.test', adapter: createCachingAdapter(cache, backend) });
+  return { client, cache, calls };
+}
+
+describe('createCachingAdapter', () => {
+  it('serves repeated GETs from the cache without sharing objects', async () => {
+    const { client, calls } = createClient();
+    const first = await client.get('/api/flows');
+    const second = await client.get('/api/flows');
+    assert.equal(calls.length, 1);
+    assert.deepEqual(second.data, first.data);
+    assert.notEqual(second.data, first.data);
+  });
+
+  it('goes to the backend for cache: false and uncached endpoints', async () => {
+    const { client, calls } = createClient();
+    await client.get('/api/flows');
+    await client.get('/api/flows', { cache: false });
+    await client.get('/api/processes/p1');
+    await client.get('/api/processes/p1');
+    assert.equal(calls.length, 4);
+  });
+
+  it('drops only the entries a mutation affects', async () => {
+    const { client, calls } = createClient();
+    await client.get('/api/flows');
+    await client.get('/api/flows/a');
+    await client.get('/api/flows/b');
+    await client.get('/api/mcp/servers');
+
+    await client.put('/api/flows/a', {});
+    calls.length = 0;
+    await client.get('/api/flows');
+    await client.get('/api/flows/a');
+    await client.get('/api/flows/b');
+    await client.get('/api/mcp/servers');
+    assert.deepEqual(calls, ['GET /api/flows', 'GET /api/flows/a']);
+  });
+
+  it('revalidates stale entries with If-None-Match', async () => {
+    const { client, cache, calls } = createClient({ etag: '"v1"' });
+    const first = await client.get('/api/flows');
+    for (const entry of cache.entries.values()) entry.storedAt = 0;
+
+    const second = await client.get('/api/flows');
+    assert.equal(calls.length, 2);
+    assert.equal(second.status, 200);
+    assert.deepEqual(second.data, first.data);
+  });
+});
+
+describe('ResponseCache', () => {
+  it('evicts the oldest entries beyond maxEntries', () => {
+    const cache = new ResponseCache({ maxEntries: 2 });
+    ['a', 'b', 'c'].forEach(key => cache.set(key, { path: `/api/flows/${key}` }));
+    assert.deepEqual([...cache.entries.keys()], ['b', 'c']);
+  });
+});
@@ -0,0 +1,133 @@
+// Cliente HTTP de HiveFlow: rutas del API, reintentos y circuit breaker
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('node:http');
+const { createPathBuilder, createHiveFlowClient, CircuitBreaker } = require('../src/client.js');
+const { ERROR_CODES } = require('../src/errors.js');
+
+describe('createPathBuilder', () => {
+  const apiPath = createPathBuilder();
+
+  it('encodes every interpolated value as one path segment', () => {
+    assert.equal(apiPath`/api/flows/${'flow-1'}/execute`, '/api/flows/flow-1/execute');
+    assert.equal(apiPath`/api/flows/${'../mcp/servers'}`, '/api/flows/..%2Fmcp%2Fservers');
+    assert.equal(apiPath`/api/flows/${'a b?c#d'}`, '/api/flows/a%20b%3Fc%23d');
+    assert.equal(apiPath`/api/processes/${42}`, '/api/processes/42');
+  });
+
+  it('rejects empty, dot and non-string segments', () => {
+    for (const value of ['', '.', '..', undefined, null, {}]) {
+      assert.throws(() => apiPath`/api/flows/${value}`, (error) => {
+        assert.equal(error.code, ERROR_CODES.VALIDATION);
+        return true;
+      }, String(value));
+    }
+  });
+
+  it('explains why a dot segment is rejected', () => {
+    assert.throws(() => apiPath`/api/flows/${'..'}`, /other than "\." or "\.\."/);
+  });
+});
+
+// Backend HTTP local que responde con los `[status, body, headers]` de `replies` en orden
+async function startBackend(replies) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    requests.push(`${req.method} ${req.url}`);
+    const [status, body = {}, headers = {}] = replies[Math.min(requests.length, replies.length) - 1];
+    res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+    res.end(JSON.stringify(body));
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const client = (options = {}) => createHiveFlowClient(
+    { apiUrl: `http://127.0.0.1:${server.address().port}`, apiKey: 'test-key' },
+    { retryDelayMs: 1, maxRetryDelayMs: 5, cache: false, ...options }
+  );
+  return { requests, client, close: () => new Promise(resolve => server.close(resolve)) };
+}
+
+describe('createHiveFlowClient retries', () => {
+  it('retries idempotent requests on 502/503/504', async () => {
+    const backend = await startBackend([[503], [502], [200, { success: true, data: [] }]]);
+    try {
+      const response = await backend.client().get('/api/flows');
+      assert.deepEqual(response.data.data, []);
+      assert.equal(backend.requests.length, 3);
+    } finally {
+      await backend.close();
+    }
+  });
+
+  it('does not resend a POST after a 429 unless it is marked idempotent', async () => {
+    const backend = await startBackend([[429, {}, { 'Retry-After': '0' }]]);
+    try {
+      const client = backend.client({ retries: 2 });
+      await assert.rejects(client.post('/api/flows/a/execute', {}), (error) => error.response.status === 429);
+      assert.equal(backend.requests.length, 1);
+
+      await assert.rejects(client.request({ method: 'post', url: '/api/flows/a/test', idempotent: true }));
+      assert.equal(backend.requests.length, 4);
+    } finally {
+      await backend.close();
+    }
+  });
+
+  it('does not retry client errors', async () => {
+    const backend = await startBackend([[404, { success: false, message: 'Flow not found' }]]);
+    try {
+      await assert.rejects(backend.client().get('/api/flows/missing'));
+      assert.equal(backend.requests.length, 1);
+    } finally {
+      await backend.close();
+    }
+  });
+
+  it('turns a 200 with success: false into a BACKEND_ERROR', async () => {
+    const backend = await startBackend([[200, { success: false, message: 'Quota exceeded' }]]);
+    try {
+      await assert.rejects(backend.client().get('/api/flows'), (error) => {
+        assert.equal(error.code, ERROR_CODES.BACKEND_ERROR);
+        assert.equal(error.message, 'Quota exceeded');
+        return true;
+      });
+    } finally {
+      await backend.close();
+    }
+  });
+});
+
+describe('circuit breaker', () => {
+  it('fails fast once the backend keeps failing', async () => {
+    const backend = await startBackend([[503]]);
+    try {
+      const client = backend.client({ retries: 0, circuitThreshold: 2, circuitResetMs: 60000 });
+      await assert.rejects(client.get('/api/flows'));
+      await assert.rejects(client.get('/api/flows'));
+      await assert.rejects(client.get('/api/flows'), (error) => error.code === 'CIRCUIT_OPEN');
+      assert.equal(backend.requests.length, 2);
+      assert.equal(client.circuitBreaker.state, 'open');
+    } finally {
+      await backend.close();
+    }
+  });
+
+  it('lets one trial request through after the reset time', async () => {
+    const breaker = new CircuitBreaker({ threshold: 1, resetMs: 20 });
+    breaker.recordFailure();
+    assert.equal(breaker.state, 'open');
+    assert.ok(breaker.check() > 0);
+
+    await new Promise(resolve => setTimeout(resolve, 30));
+    assert.equal(breaker.check(), 0);
+    assert.equal(breaker.state, 'half-open');
+    // Mientras la petición de prueba no termina, las demás siguen fallando
+    assert.ok(breaker.check() > 0);
+
+    breaker.recordFailure();
+    assert.equal(breaker.state, 'open');
+    await new Promise(resolve => setTimeout(resolve, 30));
+    assert.equal(breaker.check(), 0);
+    breaker.recordSuccess();
+    assert.equal(breaker.state, 'closed');
+  });
+});
@@ -0,0 +1,58 @@
+// Conversión de errores a códigos estables y pistas según su origen
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { HiveFlowError, ERROR_CODES, toHiveFlowError } = require('../src/errors.js');
+const { HiveFlowMCPServer } = require('../src/index.js');
+
+const axiosError = (status, data = {}) => ({
+  isAxiosError: true,
+  config: { baseURL: 'http://hiveflow.test' },
+  response: { status, data }
+});
+
+describe('toHiveFlowError', () => {
+  it('maps backend statuses to stable codes with the backend message', () => {
+    const cases = [[401, 'AUTH_FAILED'], [404, 'NOT_FOUND'], [422, 'VALIDATION'], [409, 'CONFLICT'], [429, 'RATE_LIMITED'], [503, 'BACKEND_UNAVAILABLE'], [500, 'BACKEND_ERROR']];
+    for (const [status, code] of cases) {
+      const error = toHiveFlowError(axiosError(status, { message: 'from backend' }));
+      assert.equal(error.code, code, String(status));
+      assert.equal(error.message, 'from backend');
+      assert.equal(error.status, status);
+    }
+  });
+
+  it('reports network failures and timeouts', () => {
+    assert.equal(toHiveFlowError({ isAxiosError: true, code: 'ECONNREFUSED', config: {} }).code, ERROR_CODES.BACKEND_UNAVAILABLE);
+    assert.equal(toHiveFlowError({ isAxiosError: true, code: 'ECONNABORTED', config: {} }).code, ERROR_CODES.TIMEOUT);
+  });
+
+  it('keeps the hint a HiveFlowError already has', () => {
+    const error = toHiveFlowError(new HiveFlowError(ERROR_CODES.VALIDATION, 'bad', { hint: 'specific hint' }));
+    assert.equal(error.hint, 'specific hint');
+  });
+});
+
+describe('VALIDATION hints', () => {
+  const call = async (name, args) => {
+    const server = new HiveFlowMCPServer({ mock: true, logLevel: 'error' });
+    try {
+      return (await server.handleToolCall(name, args))._meta['hiveflow/error'];
+    } finally {
+      await server.stop();
+    }
+  };
+
+  it('points to validate_flow only for flow definition errors', async () => {
+    const invalidFlow = await call('create_flow', { name: 'Broken', description: 'Duplicated node IDs', nodes: [{ id: 'a' }, { id: 'a' }] });
+    assert.equal(invalidFlow.code, 'VALIDATION');
+    assert.match(invalidFlow.hint, /validate_flow/);
+
+    const invalidCursor = await call('list_flows', { cursor: 'not-a-cursor' });
+    assert.equal(invalidCursor.code, 'VALIDATION');
+    assert.doesNotMatch(invalidCursor.hint, /validate_flow/);
+
+    const invalidPath = await call('get_flow', { flowId: '..' });
+    assert.equal(invalidPath.code, 'VALIDATION');
+    assert.doesNotMatch(invalidPath.hint, /validate_flow/);
+  });
+});
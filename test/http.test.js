@@ -0,0 +1,119 @@
+// Servidor HTTP compartido: protección contra DNS rebinding, token bearer y ciclo de vida de las sesiones
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('node:http');
+const { HiveFlowMCPServer } = require('../src/index.js');
+
+const TOKEN = 'test-token';
+const INITIALIZE = {
+  jsonrpc: '2.0',
+  id: 1,
+  method: 'initialize',
+  params: { protocolVersion: '2025-03-26', capabilities: {}, clientInfo: { name: 'http-test', version: '1.0.0' } }
+};
+const MCP_ACCEPT = 'application/json, text/event-stream';
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// http.request en lugar de fetch: fetch no deja cambiar la cabecera Host
+function request(port, { method = 'POST', path = '/mcp', headers = {}, body } = {}) {
+  return new Promise((resolve, reject) => {
+    const req = http.request({ host: '127.0.0.1', port, method, path, headers, agent: false }, (res) => {
+      const chunks = [];
+      res.on('data', chunk => chunks.push(chunk));
+      res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, text: Buffer.concat(chunks).toString('utf8') }));
+    });
+    req.on('error', reject);
+    req.end(body === undefined ? undefined : typeof body === 'string' ? body : JSON.stringify(body));
+  });
+}
+
+async function startServer(options = {}) {
+  const server = new HiveFlowMCPServer({ mock: true, logLevel: 'error' });
+  await server.start({ transport: 'http', host: '127.0.0.1', port: 0, ...options });
+  return { server, port: server.httpServer.httpServer.address().port };
+}
+
+describe('HTTP transport access checks', () => {
+  let server;
+  let port;
+  const post = (headers, body = INITIALIZE) => request(port, {
+    headers: { 'content-type': 'application/json', accept: MCP_ACCEPT, authorization: `Bearer ${TOKEN}`, ...headers },
+    body
+  });
+
+  before(async () => {
+    ({ server, port } = await startServer({ authToken: TOKEN }));
+  });
+
+  after(() => server.stop());
+
+  it('serves /health without a token', async () => {
+    const response = await request(port, { method: 'GET', path: '/health' });
+    assert.equal(response.status, 200);
+  });
+
+  it('rejects requests without a valid bearer token', async () => {
+    const missing = await post({ authorization: '' });
+    assert.equal(missing.status, 401);
+    assert.equal(missing.headers['www-authenticate'], 'Bearer');
+    assert.equal((await post({ authorization: 'Bearer wrong' })).status, 401);
+  });
+
+  it('rejects a Host header that is not allowed', async () => {
+    assert.equal((await post({ host: 'evil.example:80' })).status, 403);
+  });
+
+  it('rejects an Origin that is not allowed', async () => {
+    assert.equal((await post({ origin: 'http://evil.example' })).status, 403);
+    assert.equal((await post({ origin: 'http://localhost:5173' })).status, 200);
+  });
+
+  it('answers an invalid JSON body with a parse error', async () => {
+    const response = await post({}, '{not json');
+    assert.equal(response.status, 400);
+    assert.equal(JSON.parse(response.text).error.code, -32700);
+  });
+});
+
+describe('HTTP transport sessions', () => {
+  it('releases the MCP server of a rejected initialize', async () => {
+    const { server, port } = await startServer();
+    try {
+      const baseline = server.sessions.size;
+      for (let attempt = 0; attempt < 3; attempt++) {
+        // Sin text/event-stream en Accept el SDK responde 406 sin abrir sesión
+        const response = await request(port, {
+          headers: { 'content-type': 'application/json', accept: 'application/json' },
+          body: INITIALIZE
+        });
+        assert.equal(response.status, 406);
+      }
+      assert.equal(server.httpServer.sessions.size, 0);
+      assert.equal(server.sessions.size, baseline);
+      assert.equal(server.logSinks.size, baseline);
+    } finally {
+      await server.stop();
+    }
+  });
+
+  it('closes sessions after the idle timeout', async () => {
+    const { server, port } = await startServer({ sessionIdleMs: 100 });
+    try {
+      const baseline = server.sessions.size;
+      const response = await request(port, {
+        headers: { 'content-type': 'application/json', accept: MCP_ACCEPT },
+        body: INITIALIZE
+      });
+      assert.equal(response.status, 200);
+      assert.equal(server.httpServer.sessions.size, 1);
+      assert.equal(server.sessions.size, baseline + 1);
+
+      await sleep(400);
+      assert.equal(server.httpServer.sessions.size, 0);
+      assert.equal(server.sessions.size, baseline);
+    } finally {
+      await server.stop();
+    }
+  });
+});
@@ -0,0 +1,91 @@
+// Cursores, filtros de ejecuciones y aviso de listados recortados por el backend
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { paginate, encodeCursor, decodeCursor, filterExecutions, mapWithConcurrency } = require('../src/pagination.js');
+const { HiveFlowMCPServer } = require('../src/index.js');
+
+describe('paginate', () => {
+  const items = Array.from({ length: 5 }, (_, index) => index);
+
+  it('walks the items with opaque cursors', () => {
+    const first = paginate(items, { limit: 2 });
+    assert.deepEqual(first.items, [0, 1]);
+    assert.equal(first.total, 5);
+
+    const second = paginate(items, { limit: 2, cursor: first.nextCursor });
+    assert.deepEqual(second.items, [2, 3]);
+
+    const last = paginate(items, { limit: 2, cursor: second.nextCursor });
+    assert.deepEqual(last.items, [4]);
+    assert.equal(last.nextCursor, null);
+  });
+
+  it('rejects cursors it did not issue', () => {
+    assert.equal(decodeCursor('not-a-cursor'), null);
+    assert.equal(decodeCursor(encodeCursor(3)), 3);
+    assert.throws(() => paginate(items, { cursor: 'not-a-cursor' }), /Invalid cursor/);
+  });
+});
+
+describe('filterExecutions', () => {
+  const executions = [
+    { processId: 'a', status: 'failed', startTime: '2025-01-01T10:00:00Z' },
+    { processId: 'b', status: 'completed', startTime: '2025-01-03T10:00:00Z' },
+    { processId: 'c', status: 'failed', startTime: '2025-01-05T10:00:00Z' },
+    { processId: 'd', status: 'failed' }
+  ];
+
+  it('filters by status and time range, most recent first', () => {
+    const since = Date.parse('2025-01-02T00:00:00Z');
+    assert.deepEqual(filterExecutions(executions, { status: 'failed' }).map(item => item.processId), ['c', 'a', 'd']);
+    assert.deepEqual(filterExecutions(executions, { since }).map(item => item.processId), ['c', 'b']);
+  });
+});
+
+describe('mapWithConcurrency', () => {
+  it('keeps the order and never exceeds the concurrency', async () => {
+    let running = 0;
+    let peak = 0;
+    const results = await mapWithConcurrency([30, 10, 20, 5, 15], 2, async (ms) => {
+      running++;
+      peak = Math.max(peak, running);
+      await new Promise(resolve => setTimeout(resolve, ms));
+      running--;
+      return ms * 2;
+    });
+    assert.deepEqual(results, [60, 20, 40, 10, 30]);
+    assert.equal(peak, 2);
+  });
+});
+
+describe('execution lists capped by the backend', () => {
+  it('flags results as truncated when a flow has too many executions', async () => {
+    const server = new HiveFlowMCPServer({ mock: true, logLevel: 'error' });
+    try {
+      const processes = server.clients.get('default').mockBackend.processes;
+      const base = Date.now() - 60 * 60 * 1000;
+      processes['flow-daily-report'] = Array.from({ length: 1200 }, (_, index) => ({
+        processId: `proc-bulk-${index}`,
+        flowId: 'flow-daily-report',
+        status: 'completed',
+        startTime: new Date(base - index * 1000).toISOString(),
+        duration: 100
+      }));
+
+      const executions = await server.handleToolCall('get_flow_executions', { flowId: 'flow-daily-report' });
+      assert.equal(executions.structuredContent.truncated, true);
+      assert.equal(executions.structuredContent.total, 1000);
+
+      const stats = await server.handleToolCall('get_flow_stats', {});
+      assert.equal(stats.structuredContent.truncated, true);
+
+      const resource = await server.readResourceContents('hiveflow://executions');
+      assert.equal(resource._meta['hiveflow/truncated'], true);
+
+      const other = await server.handleToolCall('get_flow_executions', { flowId: 'flow-lead-enrichment' });
+      assert.equal(other.structuredContent.truncated, false);
+    } finally {
+      await server.stop();
+    }
+  });
+});
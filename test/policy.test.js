@@ -0,0 +1,123 @@
+// Política de herramientas: solo lectura, listas de permitidas/prohibidas,
+// simulación (dryRun) y tokens de confirmación ligados a la sesión
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { Client } = require('@modelcontextprotocol/sdk/client/index.js');
+const { StreamableHTTPClientTransport } = require('@modelcontextprotocol/sdk/client/streamableHttp.js');
+const { ToolPolicy } = require('../src/policy.js');
+const { HiveFlowMCPServer } = require('../src/index.js');
+
+const FLOW_ID = 'flow-daily-report';
+
+const errorCode = (result) => result._meta?.['hiveflow/error']?.code;
+
+async function withServer(policy, fn) {
+  const server = new HiveFlowMCPServer({ mock: true, logLevel: 'error', policy });
+  try {
+    await fn(server, server.clients.get('default').mockBackend);
+  } finally {
+    await server.stop();
+  }
+}
+
+describe('ToolPolicy', () => {
+  it('blocks mutating tools in read-only mode', () => {
+    const policy = new ToolPolicy({ readOnly: true });
+    assert.equal(policy.blockedReason('list_flows'), null);
+    assert.equal(policy.blockedReason('execute_flow'), 'readOnly');
+    assert.equal(policy.blockedReason('run_flow_daily_sales_report'), 'readOnly');
+  });
+
+  it('applies allow and deny lists with wildcards', () => {
+    const policy = new ToolPolicy({ allowTools: 'list_*,get_flow,execute_flow', denyTools: ['execute_*'] });
+    assert.equal(policy.blockedReason('list_flows'), null);
+    assert.equal(policy.blockedReason('get_flow'), null);
+    assert.equal(policy.blockedReason('delete_flow'), 'notAllowed');
+    assert.equal(policy.blockedReason('execute_flow'), 'denied');
+    assert.deepEqual(new ToolPolicy({ allowTools: 'list_flowz' }).unknownPatterns(), ['list_flowz']);
+  });
+
+  it('issues single-use tokens bound to the call and the session', () => {
+    const policy = new ToolPolicy({ requireConfirmation: true });
+    const call = { name: 'delete_flow', instance: 'default', args: { flowId: 'a' } };
+
+    const token = policy.issueToken(call, 'session-1');
+    assert.equal(policy.consumeToken(token, call, 'session-2'), false);
+    assert.equal(policy.consumeToken(token, { ...call, args: { flowId: 'b' } }, 'session-1'), false);
+    assert.equal(policy.consumeToken(token, call, 'session-1'), true);
+    assert.equal(policy.consumeToken(token, call, 'session-1'), false);
+
+    const cliToken = policy.issueToken(call);
+    assert.equal(policy.consumeToken(cliToken, call, 'session-1'), false);
+    assert.equal(policy.consumeToken(cliToken, call), true);
+  });
+
+  it('rejects expired tokens', () => {
+    const policy = new ToolPolicy({ requireConfirmation: true, confirmTtlMs: -1 });
+    const call = { name: 'pause_flow', args: {} };
+    assert.equal(policy.consumeToken(policy.issueToken(call), call), false);
+  });
+});
+
+describe('policy enforcement', () => {
+  it('refuses blocked tools with FORBIDDEN', async () => {
+    await withServer({ readOnly: true }, async (server) => {
+      const result = await server.handleToolCall('pause_flow', { flowId: FLOW_ID });
+      assert.equal(errorCode(result), 'FORBIDDEN');
+      assert.ok(!(await server.handleToolCall('get_flow', { flowId: FLOW_ID })).isError);
+    });
+  });
+
+  it('previews a change with dryRun without sending it', async () => {
+    await withServer({}, async (server, backend) => {
+      const result = await server.handleToolCall('pause_flow', { flowId: FLOW_ID, dryRun: true });
+      assert.equal(result.structuredContent.dryRun, true);
+      assert.deepEqual(result.structuredContent.request, { method: 'POST', path: `/api/flows/${FLOW_ID}/pause`, body: null });
+      assert.equal(backend.flows.get(FLOW_ID).status, 'active');
+    });
+  });
+
+  it('runs a change only with the confirm token of the same call', async () => {
+    await withServer({ requireConfirmation: true }, async (server, backend) => {
+      const preview = await server.handleToolCall('pause_flow', { flowId: FLOW_ID });
+      const token = preview.structuredContent.confirmToken;
+      assert.ok(token);
+      assert.equal(backend.flows.get(FLOW_ID).status, 'active');
+
+      const wrongCall = await server.handleToolCall('pause_flow', { flowId: 'flow-lead-enrichment', confirmToken: token });
+      assert.equal(errorCode(wrongCall), 'VALIDATION');
+
+      const fresh = await server.handleToolCall('pause_flow', { flowId: FLOW_ID });
+      await server.handleToolCall('pause_flow', { flowId: FLOW_ID, confirmToken: fresh.structuredContent.confirmToken });
+      assert.equal(backend.flows.get(FLOW_ID).status, 'paused');
+    });
+  });
+
+  it('does not accept a confirm token from another HTTP session', async () => {
+    await withServer({ requireConfirmation: true }, async (server, backend) => {
+      await server.start({ transport: 'http', host: '127.0.0.1', port: 0 });
+      const url = new URL(`http://127.0.0.1:${server.httpServer.httpServer.address().port}/mcp`);
+      const connect = async () => {
+        const client = new Client({ name: 'policy-test', version: '1.0.0' });
+        await client.connect(new StreamableHTTPClientTransport(url));
+        return client;
+      };
+      const [first, second] = [await connect(), await connect()];
+      try {
+        const preview = await first.callTool({ name: 'pause_flow', arguments: { flowId: FLOW_ID } });
+        const confirmToken = preview.structuredContent.confirmToken;
+
+        const stolen = await second.callTool({ name: 'pause_flow', arguments: { flowId: FLOW_ID, confirmToken } });
+        assert.equal(errorCode(stolen), 'VALIDATION');
+        assert.equal(backend.flows.get(FLOW_ID).status, 'active');
+
+        const confirmed = await first.callTool({ name: 'pause_flow', arguments: { flowId: FLOW_ID, confirmToken } });
+        assert.ok(!confirmed.isError);
+        assert.equal(backend.flows.get(FLOW_ID).status, 'paused');
+      } finally {
+        await first.close();
+        await second.close();
+      }
+    });
+  });
+});
@@ -0,0 +1,147 @@
+// Prueba de humo contra el backend simulado (--mock): herramientas, recursos y
+// prompts a través de un cliente MCP, y los subcomandos de la CLI con su código de salida.
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('node:path');
+const { spawnSync } = require('node:child_process');
+const { Client } = require('@modelcontextprotocol/sdk/client/index.js');
+const { InMemoryTransport } = require('@modelcontextprotocol/sdk/inMemory.js');
+const { HiveFlowMCPServer } = require('../src/index.js');
+
+const CLI = path.join(__dirname, '..', 'src', 'index.js');
+const FLOW_ID = 'flow-daily-report';
+
+const errorCode = (result) => result._meta?.['hiveflow/error']?.code;
+
+describe('MCP server (--mock)', () => {
+  let server;
+  let client;
+
+  before(async () => {
+    server = new HiveFlowMCPServer({ mock: true, logLevel: 'error' });
+    // Solo el mock sirve GET /api/processes/:id: esperar una ejecución no debe depender de él
+    server.clients.get('default').mockBackend.processDetail = () => {
+      throw new Error('GET /api/processes/:id is not part of the HiveFlow API');
+    };
+    const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+    client = new Client({ name: 'smoke-test', version: '1.0.0' });
+    await Promise.all([server.createMcpServer().connect(serverTransport), client.connect(clientTransport)]);
+  });
+
+  after(async () => {
+    await client.close();
+    await server.stop();
+  });
+
+  it('lists tools and prompts', async () => {
+    const { tools } = await client.listTools();
+    for (const name of ['list_flows', 'get_flow', 'execute_flow', 'wait_for_execution']) {
+      assert.ok(tools.some(tool => tool.name === name), name);
+    }
+    const { prompts } = await client.listPrompts();
+    assert.ok(prompts.length > 0);
+  });
+
+  it('returns structured content that matches the output schema', async () => {
+    // El cliente del SDK valida structuredContent contra el outputSchema de la herramienta
+    const result = await client.callTool({ name: 'list_flows', arguments: {} });
+    assert.ok(!result.isError);
+    assert.ok(result.structuredContent.flows.some(flow => flow._id === FLOW_ID));
+  });
+
+  it('reports an unknown flow as NOT_FOUND', async () => {
+    const result = await client.callTool({ name: 'get_flow', arguments: { flowId: 'missing-flow' } });
+    assert.equal(result.isError, true);
+    assert.equal(errorCode(result), 'NOT_FOUND');
+  });
+
+  it('rejects invalid arguments', async () => {
+    const result = await client.callTool({ name: 'get_flow', arguments: {} });
+    assert.equal(result.isError, true);
+    assert.equal(errorCode(result), 'VALIDATION');
+  });
+
+  it('waits for a successful and a failed execution', async () => {
+    const ok = await client.callTool({
+      name: 'execute_flow',
+      arguments: { flowId: FLOW_ID, wait: true, pollIntervalMs: 100 }
+    });
+    assert.equal(ok.structuredContent.succeeded, true);
+
+    const failed = await client.callTool({
+      name: 'execute_flow',
+      arguments: { flowId: FLOW_ID, inputs: { simulateFailure: true }, wait: true, pollIntervalMs: 100 }
+    });
+    assert.equal(failed.isError, undefined);
+    assert.equal(failed.structuredContent.succeeded, false);
+  });
+
+  it('reports an unknown execution as NOT_FOUND instead of waiting', async () => {
+    const result = await client.callTool({
+      name: 'wait_for_execution',
+      arguments: { flowId: FLOW_ID, executionId: 'missing-execution', pollIntervalMs: 100, timeoutMs: 60000 }
+    });
+    assert.equal(result.isError, true);
+    assert.equal(errorCode(result), 'NOT_FOUND');
+  });
+
+  it('lists and reads resources', async () => {
+    const { resources } = await client.listResources();
+    assert.ok(resources.some(resource => resource.uri === `hiveflow://flows/${FLOW_ID}`));
+
+    const { contents } = await client.readResource({ uri: `hiveflow://flows/${FLOW_ID}` });
+    assert.equal(JSON.parse(contents[0].text)._id, FLOW_ID);
+  });
+
+  it('answers an unknown resource with a NOT_FOUND error body', async () => {
+    const { contents } = await client.readResource({ uri: 'hiveflow://missing' });
+    assert.equal(JSON.parse(contents[0].text).error.code, 'NOT_FOUND');
+  });
+});
+
+describe('CLI (--mock)', () => {
+  const run = (...args) => spawnSync(process.execPath, [CLI, '--mock', '--log-level', 'error', ...args], {
+    encoding: 'utf8',
+    timeout: 30000
+  });
+
+  it('lists flows', () => {
+    const result = run('flows', 'list', '--json');
+    assert.equal(result.status, 0, result.stderr);
+    assert.ok(JSON.parse(result.stdout).flows.length > 0);
+  });
+
+  it('shows a flow with its nodes and connections as JSON', () => {
+    const result = run('flows', 'get', FLOW_ID, '--json');
+    assert.equal(result.status, 0, result.stderr);
+    const { flow } = JSON.parse(result.stdout);
+    assert.ok(flow.nodes.length > 0);
+    assert.ok(flow.edges.length > 0);
+  });
+
+  it('exits with 1 and prints the error on stderr for an unknown flow', () => {
+    const result = run('flows', 'get', 'missing-flow');
+    assert.equal(result.status, 1);
+    assert.match(result.stderr, /NOT_FOUND/);
+  });
+
+  it('exits with 0 when a waited run succeeds', () => {
+    const result = run('--mock-execution-time', '100', 'flows', 'run', FLOW_ID, '--wait');
+    assert.equal(result.status, 0, result.stderr);
+  });
+
+  it('exits with 1 when a waited run fails', () => {
+    const result = run('--mock-execution-time', '100', 'flows', 'run', FLOW_ID, '--input', 'simulateFailure=true', '--wait');
+    assert.equal(result.status, 1);
+  });
+
+  it('exits with 1 when a waited run times out', () => {
+    const result = run('flows', 'run', FLOW_ID, '--wait', '--wait-timeout', '1');
+    assert.equal(result.status, 1);
+  });
+
+  it('lists executions and MCP servers', () => {
+    assert.equal(run('executions', FLOW_ID).status, 0);
+    assert.equal(run('mcp-servers', 'list').status, 0);
+  });
+});
@@ -0,0 +1,74 @@
+// Estadísticas de ejecuciones: clasificación de estados, tasas, errores y desglose por flujo
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { computeExecutionStats, summarizeByFlow, executionDuration } = require('../src/stats.js');
+
+const since = Date.parse('2025-01-01T00:00:00Z');
+const until = Date.parse('2025-01-03T00:00:00Z');
+
+const run = (status, extra = {}) => ({
+  flowId: 'flow-a',
+  status,
+  startTime: '2025-01-02T10:00:00Z',
+  duration: 1000,
+  ...extra
+});
+
+describe('computeExecutionStats', () => {
+  const executions = [
+    run('completed', { duration: 100 }),
+    run('completed', { duration: 300 }),
+    run('failed', { duration: 200, error: 'Timeout calling MCP server' }),
+    run('cancelled', { duration: 50000, error: 'Cancelled by user' }),
+    run('stopped'),
+    run('running')
+  ];
+  const stats = computeExecutionStats(executions, { since, until });
+
+  it('counts cancelled and stopped runs apart from failures', () => {
+    assert.equal(stats.total, 6);
+    assert.equal(stats.succeeded, 2);
+    assert.equal(stats.failed, 1);
+    assert.equal(stats.cancelled, 2);
+    assert.equal(stats.running, 1);
+  });
+
+  it('computes rates and durations from succeeded and failed runs only', () => {
+    assert.equal(stats.successRate, 0.6667);
+    assert.equal(stats.failureRate, 0.3333);
+    assert.deepEqual(stats.duration, { p50: 200, p95: 300, max: 300 });
+  });
+
+  it('groups the errors of failed runs only', () => {
+    assert.deepEqual(stats.topErrors, [{ message: 'Timeout calling MCP server', count: 1 }]);
+  });
+
+  it('fills the daily trend for the whole window', () => {
+    assert.deepEqual(stats.daily.map(day => day.date), ['2025-01-01', '2025-01-02', '2025-01-03']);
+    assert.deepEqual(stats.daily[1], { date: '2025-01-02', total: 6, succeeded: 2, failed: 1, cancelled: 2 });
+  });
+});
+
+describe('summarizeByFlow', () => {
+  it('ranks flows by failures without counting cancelled runs', () => {
+    const flows = summarizeByFlow([
+      run('cancelled'),
+      run('cancelled'),
+      run('completed'),
+      run('failed', { flowId: 'flow-b' }),
+      run('completed', { flowId: 'flow-b' })
+    ]);
+    assert.deepEqual(flows.map(flow => [flow.flowId, flow.failed, flow.cancelled, flow.failureRate]), [
+      ['flow-b', 1, 0, 0.5],
+      ['flow-a', 0, 2, 0]
+    ]);
+  });
+});
+
+describe('executionDuration', () => {
+  it('uses the reported duration or the start and end times', () => {
+    assert.equal(executionDuration({ duration: 42 }), 42);
+    assert.equal(executionDuration({ startTime: '2025-01-01T00:00:00Z', endTime: '2025-01-01T00:00:02Z' }), 2000);
+    assert.equal(executionDuration({ startTime: '2025-01-01T00:00:00Z' }), null);
+  });
+});